@@ -1,18 +1,100 @@
 import { tool } from "@opencode-ai/plugin/tool"
-import { spawnSync } from "node:child_process"
-import { readdir } from "node:fs/promises"
+import { lstat, readdir } from "node:fs/promises"
+import { join, relative, resolve } from "node:path"
 import {
+  findCatalogPlugin,
   getAvailablePlugins,
   getAllMarketplaceCatalogs,
   getConfig,
-  getEnabledPluginsMap,
+  describeEnablement,
+  formatInstallation,
+  getDataSchemaReport,
+  getEnablementMap,
   getInstalledPlugins,
+  getInstalledPluginsPath,
   getKnownMarketplaces,
+  getMarketplaceCatalog,
+  getMarketplaceDir,
   getPluginsRoot,
+  getSchemaBlockers,
+  getSettingsPath,
+  isInsidePluginCache,
   isPluginSystemAvailable,
+  isSameInstallation,
+  listInstallations,
   normalizePluginIdentifier,
+  readScopeEnabledState,
+  resolvePluginSourceDir,
   summarizeInstalled,
 } from "./lib/data.js"
+import { buildClaudeArgs, getCliQuirks, probeClaude } from "./lib/adapter.js"
+import { SEVERITIES, auditPluginDir, isAtLeast } from "./lib/audit.js"
+import { getCacheFreshness } from "./lib/cache.js"
+import { getUpdateChanges } from "./lib/changes.js"
+import { formatClaudeCommand, runClaude } from "./lib/cli.js"
+import { inspectPluginComponents } from "./lib/components.js"
+import { getConflictReport } from "./lib/conflicts.js"
+import {
+  describeDependencyProblems,
+  findInstalledDependents,
+  isDependencySatisfied,
+  resolveDependencyClosure,
+} from "./lib/dependencies.js"
+import { collectGarbage, getDiskUsage, selectGarbage } from "./lib/disk.js"
+import {
+  LOCKFILE_NAME,
+  buildLockfile,
+  computeLockfileDrift,
+  formatDriftItem,
+  getDefaultLockfilePath,
+  getLockfileProjectPath,
+  readLockfile,
+  writeLockfile,
+} from "./lib/lockfile.js"
+import { nativeInstall, nativeUninstall, planNativeInstall } from "./lib/native.js"
+import {
+  formatUpdateNotice,
+  getUpdateCheckSettings,
+  readLastUpdateCheck,
+  runScheduledUpdateCheck,
+} from "./lib/notify.js"
+import { getOutdatedRows, hasUpdate, isCommitOnlyUpdate } from "./lib/outdated.js"
+import { getProjectInventory, listStaleInstallations } from "./lib/projects.js"
+import {
+  configureProjectDirectory,
+  getActiveProfile,
+  getBridgeConfigPath,
+  getBridgeStateDir,
+  getProjectRoot,
+  listProfiles,
+  setActiveProfile,
+} from "./lib/profiles.js"
+import { SCAFFOLD_COMPONENTS, planScaffold, writeScaffold } from "./lib/scaffold.js"
+import { blendSearchScore, highlightMatches, scorePluginMatch } from "./lib/search.js"
+import {
+  createPluginSnapshot,
+  discardSnapshot,
+  findSnapshot,
+  getSnapshotRetention,
+  getSnapshotsRoot,
+  isRestorableFile,
+  listSnapshots,
+  pruneSnapshots,
+  restorePluginSnapshot,
+} from "./lib/snapshots.js"
+import {
+  DEFAULT_PLUGIN_TIMEOUT_MS,
+  DEFAULT_UPDATE_CONCURRENCY,
+  DEFAULT_UPDATE_RETRIES,
+  createDeadline,
+  formatTargetId,
+  groupUpdateTargets,
+  createWriteQueue,
+  runGroupsWithConcurrency,
+  selectUpdateTargets,
+  withRetries,
+} from "./lib/updates.js"
+import { validateMarketplaceDir } from "./lib/validate.js"
 
 function formatNumber(value) {
   if (value >= 1_000_000) return `${(value / 1_000_000).toFixed(1)}M`
@@ -20,33 +102,123 @@ function formatNumber(value) {
   return String(value)
 }
 
-function runClaude(args, options = {}) {
-  const spawnOptions = {
-    encoding: "utf-8",
-    timeout: options.timeout ?? 180_000,
-    stdio: ["pipe", "pipe", "pipe"],
-  }
-  if (options.cwd) spawnOptions.cwd = options.cwd
+function formatBytes(value) {
+  if (value >= 1024 ** 3) return `${(value / 1024 ** 3).toFixed(1)} GB`
+  if (value >= 1024 ** 2) return `${(value / 1024 ** 2).toFixed(1)} MB`
+  if (value >= 1024) return `${(value / 1024).toFixed(1)} KB`
+  return `${value} B`
+}
 
-  const result = spawnSync("claude", args, spawnOptions)
+const PROGRESS_INTERVAL_MS = 2_000
+const DEFAULT_DIFF_LINES = 40
 
-  if (result.error) {
-    return {
-      ok: false,
-      exitCode: -1,
-      stdout: "",
-      stderr: result.error.message,
-      command: `claude ${args.join(" ")}`,
-    }
+// Tool calls have no progress channel in the plugin API, so long CLI runs
+// report through TUI toasts using the client handed to the plugin. Update
+// notices use the same client.
+let progressClient = null
+
+function reportProgress(title, message) {
+  try {
+    Promise.resolve(progressClient?.tui?.showToast({ body: { title, message, variant: "info" } })).catch(() => {})
+  } catch {
+    // progress is best effort
   }
+}
+
+function runClaudeWithContext(args, context, options = {}) {
+  const title = options.progressTitle ?? formatClaudeCommand(args)
+  let lastReport = 0
+  return runClaude(args, {
+    ...options,
+    signal: context?.abort,
+    onOutput(line) {
+      const now = Date.now()
+      if (now - lastReport < PROGRESS_INTERVAL_MS) return
+      lastReport = now
+      reportProgress(title, line.trim().slice(0, 200))
+    },
+  })
+}
+
+function formatAge(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000))
+  if (seconds < 60) return `${seconds}s`
+  const minutes = Math.round(seconds / 60)
+  if (minutes < 60) return `${minutes}m`
+  const hours = Math.round(minutes / 60)
+  if (hours < 48) return `${hours}h`
+  return `${Math.round(hours / 24)}d`
+}
 
+function summarizeDataFreshness() {
+  const freshness = getCacheFreshness()
+  const now = Date.now()
+  const index = freshness.derived.find((entry) => entry.name === `available:${getPluginsRoot()}`)
   return {
-    ok: result.status === 0,
-    exitCode: result.status ?? -1,
-    stdout: result.stdout ?? "",
-    stderr: result.stderr ?? "",
-    command: `claude ${args.join(" ")}`,
+    indexAgeMs: index?.ageMs ?? null,
+    indexSources: index?.sources ?? 0,
+    indexHits: index?.hits ?? 0,
+    filesCached: freshness.files.length,
+    newestChangeAgeMs: freshness.files.length ? Math.round(now - Math.max(...freshness.files.map((file) => file.mtimeMs))) : null,
+    watchedDirs: freshness.watching.length,
+  }
+}
+
+function describeDataFreshness(data) {
+  const parts = []
+  parts.push(data.indexAgeMs !== null
+    ? `catalog index built ${formatAge(data.indexAgeMs)} ago from ${data.indexSources} source(s), reused ${data.indexHits}x`
+    : "no catalog index built yet")
+  if (data.filesCached) {
+    parts.push(`${data.filesCached} file(s) cached, newest changed ${formatAge(data.newestChangeAgeMs)} ago`)
   }
+  parts.push(data.watchedDirs ? `watching ${data.watchedDirs} dir(s)` : "no file watches")
+  return `_Data: ${parts.join("; ")}._`
+}
+
+// Version of the object every tool returns with format=json. Adding fields
+// keeps the version; renaming or removing one bumps it.
+const OUTPUT_SCHEMA_VERSION = 1
+
+const formatArg = tool.schema.enum(["markdown", "json"]).optional().describe("markdown (default), or json for a versioned result object with the same data")
+
+function failure(error, extra = {}) {
+  return { ok: false, error, ...extra }
+}
+
+function resolveFailure(resolved) {
+  return failure(resolved.reason, resolved.candidates?.length ? { candidates: resolved.candidates } : {})
+}
+
+function renderFailure(result) {
+  const extra = result.candidates?.length ? `\nCandidates:\n- ${result.candidates.join("\n- ")}` : ""
+  return `${result.error}${extra}`
+}
+
+// Keys starting with "_" are working values (parsed dates and the like) and
+// stay out of the JSON output.
+function serializeResult(envelope) {
+  return JSON.stringify(envelope, (key, value) => key.startsWith("_") ? undefined : value, 2)
+}
+
+// Tools return result objects and render markdown from them. This adds the
+// `format` argument to every tool and, for markdown, ends each reply with a
+// one-line note on how fresh the data behind it is.
+function finalizeTools(tools) {
+  return Object.fromEntries(Object.entries(tools).map(([name, definition]) => [name, {
+    description: definition.description,
+    args: { ...definition.args, format: formatArg },
+    async execute(args, context) {
+      const { format, ...toolArgs } = args ?? {}
+      const result = await definition.execute(toolArgs, context)
+      const freshness = summarizeDataFreshness()
+      if (format === "json") {
+        return serializeResult({ schemaVersion: OUTPUT_SCHEMA_VERSION, tool: name, ...result, freshness })
+      }
+      const output = result.error ? renderFailure(result) : definition.render(result)
+      return `${output}\n\n${describeDataFreshness(freshness)}`
+    },
+  }]))
 }
 
 function formatVerificationBlock(input) {
@@ -67,8 +239,8 @@ function formatVerificationBlock(input) {
 }
 
 async function isClaudeAvailable() {
-  const result = runClaude(["--version"])
-  return result.ok
+  const probe = await probeClaude()
+  return probe.ok
 }
 
 function findMatchingPlugins(plugins, pluginName, marketplace) {
@@ -88,14 +260,6 @@ function findMatchingPlugins(plugins, pluginName, marketplace) {
   return byName
 }
 
-function dedupeByKey(plugins) {
-  const map = new Map()
-  for (const plugin of plugins) {
-    map.set(plugin.key, plugin)
-  }
-  return Array.from(map.values())
-}
-
 async function inspectInstallPath(installPath) {
   if (!installPath) return []
 
@@ -117,7 +281,15 @@ async function inspectInstallPath(installPath) {
 }
 
 function sortPluginsForSearch(plugins) {
+  const maxInstalls = plugins.reduce((max, plugin) => Math.max(max, plugin.installs ?? 0), 0)
+  const rank = (plugin) => typeof plugin.relevance === "number"
+    ? blendSearchScore(plugin.relevance, plugin.installs, maxInstalls)
+    : null
+
   return [...plugins].sort((a, b) => {
+    const rankA = rank(a)
+    const rankB = rank(b)
+    if (rankA !== null && rankB !== null && rankA !== rankB) return rankB - rankA
     if (a.installed && !b.installed) return -1
     if (!a.installed && b.installed) return 1
     if (b.installs !== a.installs) return b.installs - a.installs
@@ -139,9 +311,19 @@ function summarizeMarketplaceState(known, key) {
   return `present(lastUpdated=${updated}, source=${source})`
 }
 
+function formatEnablement(enablement) {
+  if (enablement.enabled === null) return "not set in any settings file"
+  return `${enablement.enabled ? "enabled" : "disabled"} by ${enablement.scope} settings (${enablement.path})`
+}
+
+function formatShortEnablement(enablement) {
+  if (enablement.enabled === null) return "enabled=unset"
+  return `${enablement.enabled ? "enabled" : "disabled"} via ${enablement.scope}`
+}
+
 function renderCommandResult(result) {
   const lines = []
-  lines.push("## CLI")
+  lines.push(result.engine === "native" ? "## Native engine" : "## CLI")
   lines.push(`- command: \`${result.command}\``)
   lines.push(`- exit_code: ${result.exitCode}`)
   if (result.stdout.trim()) {
@@ -176,7 +358,7 @@ function outputSuggestsNoopUpdate(result) {
 const plugin_search = tool({
   description: "Search available plugins across registered Claude Code marketplaces. Supports query/category filters and returns install popularity + installed status.",
   args: {
-    query: tool.schema.string().optional().describe("Search query over plugin name, description, tags, author, and marketplace"),
+    query: tool.schema.string().optional().describe("Search query over plugin name, tags, category, description, author, and marketplace. Multi-word and typo-tolerant; results are ranked by relevance blended with popularity."),
     category: tool.schema.string().optional().describe("Filter by category (development, productivity, design, testing, security, etc.)"),
     marketplace: tool.schema.string().optional().describe("Filter by marketplace name"),
     installed_only: tool.schema.boolean().optional().describe("Only show currently installed plugins"),
@@ -184,7 +366,7 @@ const plugin_search = tool({
   },
   async execute(args) {
     if (!await isPluginSystemAvailable()) {
-      return "**Plugin system not found.** Run Claude Code once so `~/.claude/plugins` is initialized."
+      return failure("**Plugin system not found.** Run Claude Code once so `~/.claude/plugins` is initialized.")
     }
 
     let rows = await getAvailablePlugins()
@@ -194,20 +376,12 @@ const plugin_search = tool({
     const limit = args.limit ?? 20
 
     if (q) {
-      rows = rows.filter((row) => {
-        const haystack = [
-          row.name,
-          row.description,
-          row.category,
-          row.marketplace,
-          row.author,
-          ...row.tags,
-        ]
-          .filter(Boolean)
-          .join(" ")
-          .toLowerCase()
-        return haystack.includes(q)
-      })
+      rows = rows
+        .map((row) => {
+          const match = scorePluginMatch(row, q)
+          return match ? { ...row, relevance: match.relevance, matches: match.matches } : null
+        })
+        .filter(Boolean)
     }
 
     if (category) {
@@ -222,8 +396,14 @@ const plugin_search = tool({
       rows = rows.filter((row) => row.installed)
     }
 
-    rows = sortPluginsForSearch(rows).slice(0, limit)
-
+    const enablement = await getEnablementMap()
+    rows = sortPluginsForSearch(rows)
+      .slice(0, limit)
+      .map((row) => row.installed ? { ...row, enablement: describeEnablement(enablement, row.key) } : row)
+    return { ok: true, query: q ?? null, plugins: rows }
+  },
+  render(result) {
+    const rows = result.plugins
     if (rows.length === 0) {
       return "No plugins matched. Try broader filters or call `plugin_search` without filters."
     }
@@ -234,13 +414,22 @@ const plugin_search = tool({
 
     for (const row of rows) {
       const status = row.installed ? "✅" : "•"
-      const version = row.installedVersion ?? row.version ?? "unknown"
+      const installedVersions = Array.from(new Set(row.installations.map((installation) => installation.version ?? "unknown")))
+      const version = installedVersions.length ? installedVersions.join("/") : row.version ?? "unknown"
       const categoryText = row.category ? `[${row.category}]` : "[uncategorized]"
-      const installs = row.installs > 0 ? `${formatNumber(row.installs)} installs` : "installs unknown"
+      const installs = [
+        row.installs > 0 ? `${formatNumber(row.installs)} installs` : "installs unknown",
+        row.enablement ? formatShortEnablement(row.enablement) : null,
+      ].filter(Boolean).join(" · ")
 
       lines.push(`${status} **${row.name}** @ ${row.marketplace} - v${version} ${categoryText}`)
-      lines.push(`  ${row.description || "No description"}`)
-      lines.push(`  ${installs}`)
+      lines.push(`  ${highlightMatches(row.description, result.query) || "No description"}`)
+      if (row.matches) {
+        const matched = row.matches.map((match) => `${match.word} (${match.field})`).join(", ")
+        lines.push(`  ${installs} · relevance ${row.relevance.toFixed(2)} · matched: ${matched}`)
+      } else {
+        lines.push(`  ${installs}`)
+      }
       lines.push("")
     }
 
@@ -257,57 +446,56 @@ const plugin_info = tool({
   },
   async execute(args) {
     if (!await isPluginSystemAvailable()) {
-      return "Plugin system not found."
+      return failure("Plugin system not found.")
     }
 
-    const available = await getAvailablePlugins()
-    const installed = summarizeInstalled(await getInstalledPlugins())
-    const merged = dedupeByKey([
-      ...available,
-      ...installed.map((row) => ({
-        ...row,
-        description: "",
-        installs: 0,
-        installed: true,
-        installedRows: [],
-        installedVersion: row.version,
-        hasSkills: false,
-        hasLsp: false,
-        strict: false,
-        tags: [],
-      })),
-    ])
-
-    const matches = findMatchingPlugins(merged, args.plugin, args.marketplace)
+    const matches = findMatchingPlugins(await listKnownPlugins(), args.plugin, args.marketplace)
 
     if (matches.length === 0) {
-      return `No plugin matched \`${args.plugin}\`. Try \`plugin_search query="${args.plugin}"\`.`
+      return failure(`No plugin matched \`${args.plugin}\`. Try \`plugin_search query="${args.plugin}"\`.`)
     }
 
     if (matches.length > 1) {
-      const lines = ["Multiple plugins matched. Specify plugin@marketplace:", ""]
-      for (const match of matches) {
-        lines.push(`- ${match.key}`)
-      }
-      return lines.join("\n")
+      return failure("Multiple plugins matched. Specify plugin@marketplace.", { candidates: matches.map((match) => match.key) })
     }
 
     const target = matches[0]
-    const provides = await inspectInstallPath(target.installPath)
-
+    return {
+      ok: true,
+      plugin: target,
+      enablement: describeEnablement(await getEnablementMap(), target.key),
+      provides: await inspectInstallPath(target.installPath),
+    }
+  },
+  render(result) {
+    const target = result.plugin
+    const provides = result.provides
     const lines = []
     lines.push(`# ${target.key}`)
     lines.push("")
-    lines.push(`- installed: ${target.installed ? "yes" : "no"}`)
-    lines.push(`- version: ${target.installedVersion ?? target.version ?? "unknown"}`)
+    lines.push(`- installed: ${target.installed ? `yes, ${target.installations.length} installation(s)` : "no"}`)
+    if (target.installed || result.enablement.enabled !== null) {
+      lines.push(`- enabled: ${formatEnablement(result.enablement)}`)
+      for (const entry of result.enablement.overrides) {
+        lines.push(`  - overrides ${entry.scope} settings (${entry.enabled ? "enabled" : "disabled"}, ${entry.path})`)
+      }
+    }
+    lines.push(`- version: ${target.version ?? "unknown"}${target.installed ? " (catalog)" : ""}`)
     lines.push(`- category: ${target.category ?? "unknown"}`)
     lines.push(`- author: ${target.author ?? "unknown"}`)
     lines.push(`- strict: ${target.strict ? "true" : "false"}`)
     lines.push(`- installs: ${target.installs > 0 ? target.installs.toLocaleString() : "unknown"}`)
     if (target.homepage) lines.push(`- homepage: ${target.homepage}`)
-    if (target.installedAt) lines.push(`- installed_at: ${target.installedAt}`)
-    if (target.lastUpdated) lines.push(`- last_updated: ${target.lastUpdated}`)
-    if (target.installPath) lines.push(`- install_path: ${target.installPath}`)
+    if (target.installations.length) {
+      lines.push("")
+      lines.push("## Installations")
+      for (const installation of target.installations) {
+        lines.push(`- ${formatInstallation(installation)}: version ${installation.version ?? "unknown"}`)
+        if (installation.installedAt) lines.push(`  - installed_at: ${installation.installedAt}`)
+        if (installation.lastUpdated) lines.push(`  - last_updated: ${installation.lastUpdated}`)
+        if (installation.installPath) lines.push(`  - install_path: ${installation.installPath}`)
+      }
+    }
     if (target.description) {
       lines.push("")
       lines.push(target.description)
@@ -326,15 +514,16 @@ const plugin_info = tool({
 })
 
 const plugin_list = tool({
-  description: "List installed plugins, optionally filtered by marketplace and scope.",
+  description: "List plugin installations (one per scope and project), optionally filtered by marketplace and scope.",
   args: {
     marketplace: tool.schema.string().optional().describe("Filter by marketplace"),
     scope: tool.schema.enum(["user", "project", "local", "managed"]).optional().describe("Filter by install scope"),
     sort: tool.schema.enum(["marketplace", "name", "updated"]).optional().describe("Sort mode, default marketplace"),
+    view: tool.schema.enum(["flat", "project"]).optional().describe("flat (default) lists every installation; project groups them under user scope and each project directory"),
   },
   async execute(args) {
     if (!await isPluginSystemAvailable()) {
-      return "Plugin system not found."
+      return failure("Plugin system not found.")
     }
 
     let rows = summarizeInstalled(await getInstalledPlugins())
@@ -361,88 +550,447 @@ const plugin_list = tool({
       })
     }
 
+    // A project install's enabled state is read from its own project's settings
+    const enablementByProject = new Map()
+    const plugins = []
+    for (const row of rows) {
+      const projectPath = row.projectPath ?? getProjectRoot()
+      if (!enablementByProject.has(projectPath)) enablementByProject.set(projectPath, await getEnablementMap(projectPath))
+      plugins.push({ ...row, enablement: describeEnablement(enablementByProject.get(projectPath), row.key) })
+    }
+    return { ok: true, view: args.view ?? "flat", plugins }
+  },
+  render(result) {
+    const rows = result.plugins
     if (!rows.length) {
       return "No installed plugins matched your filters."
     }
 
     const lines = []
-    lines.push(`**Installed plugins: ${rows.length}**`)
+    lines.push(`**Installations: ${rows.length} of ${new Set(rows.map((row) => row.key)).size} plugin(s)**`)
     lines.push("")
 
+    const formatRow = (row) => `- ${row.key} (scope=${row.scope}${result.view === "project" || !row.projectPath ? "" : `, project=${row.projectPath}`}, version=${row.version ?? "unknown"}, ${formatShortEnablement(row.enablement)})`
+    if (result.view !== "project") {
+      lines.push(...rows.map(formatRow))
+      return lines.join("\n")
+    }
+
+    // User and managed installs apply everywhere; the rest belong to one project
+    const groups = new Map([["", []]])
     for (const row of rows) {
-      lines.push(`- ${row.key} (scope=${row.scope ?? "unknown"}, version=${row.version ?? "unknown"})`)
+      const group = row.projectPath ?? ""
+      if (!groups.has(group)) groups.set(group, [])
+      groups.get(group).push(row)
+    }
+    for (const [projectPath, groupRows] of [...groups].sort(([a], [b]) => a.localeCompare(b))) {
+      if (!groupRows.length) continue
+      lines.push(projectPath ? `## ${projectPath}` : "## All projects (user and managed scope)")
+      lines.push(...groupRows.map(formatRow))
+      lines.push("")
+    }
+    lines.push("`plugin_projects` checks project installs for deleted or moved projects.")
+
+    return lines.join("\n")
+  },
+})
+
+const plugin_projects = tool({
+  description: "Group project and local scope installs by project directory and flag stale rows: the directory no longer exists, or its settings no longer list the plugin.",
+  args: {
+    stale_only: tool.schema.boolean().optional().describe("Only show projects with stale installs"),
+  },
+  async execute(args) {
+    if (!await isPluginSystemAvailable()) return failure("Plugin system not found.")
+
+    const inventory = await getProjectInventory()
+    const projects = args.stale_only ? inventory.projects.filter((project) => project.stale) : inventory.projects
+    return {
+      ok: true,
+      projectRoot: getProjectRoot(),
+      globalInstalls: inventory.globalInstalls,
+      staleInstalls: listStaleInstallations(inventory).length,
+      projects,
+    }
+  },
+  render(result) {
+    const lines = []
+    lines.push("# Project installs")
+    lines.push("")
+    lines.push(`- user_and_managed_installs: ${result.globalInstalls}`)
+    lines.push(`- projects: ${result.projects.length}`)
+    lines.push(`- stale_installs: ${result.staleInstalls}`)
+
+    for (const project of result.projects) {
+      const current = project.projectPath === result.projectRoot ? ", current project" : ""
+      lines.push("")
+      lines.push(`## ${project.projectPath ?? "(no projectPath)"}${project.exists ? "" : " (missing)"}${current}`)
+      for (const installation of project.installations) {
+        const state = installation.stale ? ` - ⚠️ ${installation.stale}: ${installation.reason}` : ""
+        lines.push(`- ${installation.key} (${installation.scope}, ${installation.version ?? "unknown"})${state}`)
+      }
+    }
+
+    if (result.staleInstalls) {
+      lines.push("")
+      lines.push("Remove stale rows with `plugin_prune` (`dry_run=true` to preview). Rows whose project still exists but no longer lists the plugin are only pruned with `include_unreferenced=true`.")
+    }
+    return lines.join("\n")
+  },
+})
+
+const plugin_disk_usage = tool({
+  description: "Report disk usage of the plugin cache per marketplace, plugin and version, of marketplace clones, and of bridge snapshots, marking versions no installed_plugins.json row references. Read-only.",
+  args: {
+    marketplace: tool.schema.string().optional().describe("Only report this marketplace"),
+  },
+  async execute(args) {
+    if (!await isPluginSystemAvailable()) return failure("Plugin system not found.")
+
+    const usage = await getDiskUsage()
+    if (!usage.ok) return failure(`Cannot tell which cache versions are in use: ${usage.reason}.`)
+    const versions = args.marketplace ? usage.versions.filter((version) => version.marketplace === args.marketplace) : usage.versions
+    const marketplaces = args.marketplace ? usage.marketplaces.filter((marketplace) => marketplace.name === args.marketplace) : usage.marketplaces
+    const garbage = selectGarbage({ versions, marketplaces })
+    return {
+      ok: true,
+      root: usage.root,
+      marketplace: args.marketplace ?? null,
+      totals: usage.totals,
+      reclaimableBytes: garbage.reduce((total, candidate) => total + candidate.bytes, 0),
+      reclaimable: garbage.length,
+      versions: versions.map((version) => ({
+        ...version,
+        referenced: version.referencedBy.length > 0,
+        referencedBy: version.referencedBy.map((reference) => formatTargetId(reference.key, reference)),
+      })),
+      marketplaces,
+      snapshots: usage.snapshots,
+    }
+  },
+  render(result) {
+    const lines = []
+    lines.push(result.marketplace ? `# Disk usage: ${result.marketplace}` : "# Disk usage")
+    lines.push("")
+    lines.push(`- root: ${result.root}`)
+    lines.push(`- total: ${formatBytes(result.totals.totalBytes)} (cache ${formatBytes(result.totals.cacheBytes)}, marketplace clones ${formatBytes(result.totals.cloneBytes)}, snapshots ${formatBytes(result.totals.snapshotBytes)})`)
+    lines.push(`- reclaimable: ${formatBytes(result.reclaimableBytes)} in ${result.reclaimable} director${result.reclaimable === 1 ? "y" : "ies"}`)
+
+    const byMarketplace = new Map()
+    for (const version of result.versions) {
+      const list = byMarketplace.get(version.marketplace) ?? []
+      list.push(version)
+      byMarketplace.set(version.marketplace, list)
+    }
+    for (const [marketplace, versions] of byMarketplace) {
+      lines.push("")
+      lines.push(`## cache/${marketplace} (${formatBytes(versions.reduce((total, version) => total + version.bytes, 0))})`)
+      for (const version of versions) {
+        const use = version.referenced ? `used by ${version.referencedBy.join(", ")}` : "⚠️ unreferenced"
+        lines.push(`- ${version.plugin} ${version.version}: ${formatBytes(version.bytes)}, ${version.files} file(s), ${use}`)
+      }
+    }
+
+    if (result.marketplaces.length) {
+      lines.push("")
+      lines.push("## Marketplace clones")
+      for (const marketplace of result.marketplaces) {
+        const state = !marketplace.exists
+          ? "not cloned"
+          : marketplace.registered
+            ? `${formatBytes(marketplace.bytes)}, registered`
+            : marketplace.installedPlugins.length
+              ? `${formatBytes(marketplace.bytes)}, not registered, ${marketplace.installedPlugins.length} plugin(s) still installed from it`
+              : `${formatBytes(marketplace.bytes)}, ⚠️ orphaned`
+        lines.push(`- ${marketplace.name}: ${state}`)
+      }
+    }
+
+    lines.push("")
+    lines.push(`Snapshots: ${formatBytes(result.snapshots.bytes)} in ${result.snapshots.path} (pruned by retention, see \`plugin_snapshots\`).`)
+    if (result.reclaimable) {
+      lines.push("")
+      lines.push("Reclaim space with `plugin_gc` (`dry_run=true` to preview).")
+    }
+    return lines.join("\n")
+  },
+})
+
+const plugin_conflicts = tool({
+  description: "Report name collisions between skills, commands, agents and MCP servers across installed plugins and ~/.claude, plus overlapping hook matchers, and which definition wins given enablement and scope.",
+  args: {
+    plugin: tool.schema.string().optional().describe("Only show conflicts involving this installed plugin (plugin@marketplace or name)"),
+    marketplace: tool.schema.string().optional().describe("Marketplace for name-only plugin value"),
+    include_hooks: tool.schema.boolean().optional().describe("Include overlapping hook matchers, default true"),
+  },
+  async execute(args) {
+    if (!await isPluginSystemAvailable()) return failure("Plugin system not found.")
+
+    let involving = null
+    if (args.plugin) {
+      const resolved = await resolvePluginTarget(args.plugin, args.marketplace)
+      if (!resolved.ok) return resolveFailure(resolved)
+      involving = resolved.target.key
+    }
+    const report = await getConflictReport({ involving })
+    const conflicts = args.include_hooks === false ? report.conflicts.filter((conflict) => conflict.type !== "hook") : report.conflicts
+    return { ok: true, plugin: involving, projectRoot: getProjectRoot(), providers: report.providers, conflicts }
+  },
+  render(result) {
+    const collisions = result.conflicts.filter((conflict) => conflict.type !== "hook")
+    const hooks = result.conflicts.filter((conflict) => conflict.type === "hook")
+    const lines = []
+    lines.push(`# Conflicts${result.plugin ? ` involving ${result.plugin}` : ""}`)
+    lines.push("")
+    lines.push(`- project_root: ${result.projectRoot}`)
+    lines.push(`- sources_scanned: ${result.providers.length} (${result.providers.filter((provider) => provider.kind === "plugin").length} plugin install(s), ${result.providers.filter((provider) => provider.kind === "standalone").length} .claude dir(s))`)
+    lines.push(`- name_collisions: ${collisions.length}`)
+    lines.push(`- hook_overlaps: ${hooks.length}`)
+    if (collisions.length) {
+      lines.push("")
+      lines.push("## Name collisions")
+      for (const conflict of collisions) {
+        lines.push(`- ${conflict.type} \`${conflict.name}\`: ${conflict.winner ? `**${conflict.winner}** wins` : conflict.note}`)
+        for (const provider of conflict.providers) {
+          const state = provider.kind === "plugin" ? `${provider.scope}, ${provider.enabled ? "enabled" : "disabled"}` : "standalone"
+          lines.push(`  - ${provider.id} (${state})${provider.path ? `: ${provider.path}` : ""}`)
+        }
+      }
+    }
+    if (hooks.length) {
+      lines.push("")
+      lines.push("## Overlapping hooks")
+      for (const conflict of hooks) {
+        lines.push(`- ${conflict.name}: ${conflict.providers.map((provider) => provider.id).join(" and ")} both run`)
+      }
+    }
+    if (!result.conflicts.length) {
+      lines.push("")
+      lines.push("No conflicts found.")
+    } else {
+      lines.push("")
+      lines.push("Precedence: project .claude > user .claude > plugins by scope (managed > local > project > user). Disabled plugins never win.")
+    }
+    return lines.join("\n")
+  },
+})
+
+const plugin_profile = tool({
+  description: "Show the Claude profiles (config directories) the bridge knows about, and switch the active one for this session.",
+  args: {
+    use: tool.schema.string().optional().describe("Profile name to use for the rest of this session"),
+  },
+  async execute(args) {
+    let switched = null
+    if (args.use) {
+      const result = setActiveProfile(args.use)
+      if (!result.ok) return failure(result.reason)
+      switched = result.profile
+    }
+
+    const active = getActiveProfile()
+    const profiles = []
+    for (const [name, profile] of Object.entries(listProfiles())) {
+      const initialized = await readdir(join(profile.configDir, "plugins")).then(() => true, () => false)
+      profiles.push({ name, ...profile, active: name === active.name, initialized })
     }
+    return {
+      ok: true,
+      switched,
+      active,
+      projectRoot: getProjectRoot(),
+      configFile: getBridgeConfigPath(),
+      stateDir: getBridgeStateDir(),
+      profiles,
+    }
+  },
+  render(result) {
+    const { active } = result
+    const lines = []
+    if (result.switched) {
+      lines.push(`Switched to profile \`${result.switched.name}\` (${result.switched.configDir}) for this session.`)
+      lines.push("")
+    }
+
+    lines.push("# Claude profiles")
+    lines.push("")
+    lines.push(`- active: ${active.name}`)
+    lines.push(`- project_root: ${result.projectRoot}`)
+    lines.push(`- config_file: ${result.configFile}`)
+    lines.push(`- state_dir: ${result.stateDir}`)
+    if (active.missing) {
+      lines.push("")
+      lines.push(`⚠️ Profile \`${active.missing}\` is selected but not defined; using \`${active.name}\`.`)
+    }
+    lines.push("")
 
+    for (const profile of result.profiles) {
+      const initialized = profile.initialized ? "plugins found" : "no plugins dir"
+      lines.push(`- ${profile.active ? `**${profile.name}** (active)` : profile.name}: ${profile.configDir} (${profile.source}, ${initialized})`)
+    }
     return lines.join("\n")
   },
 })
 
+function describeUpdateCheck(check) {
+  if (check.intervalHours === 0 || check.notice === "off") return "off"
+  const last = check.last?.checkedAt
+    ? `last ${check.last.checkedAt} (${check.last.outdated ?? 0} outdated, ${check.last.staleMarketplaces ?? 0} stale marketplace(s))`
+    : "not run yet"
+  return `every ${check.intervalHours}h at session start via ${check.notice}, ${last}`
+}
+
 const plugin_status = tool({
   description: "Show current plugin system status including marketplace coverage and CLI availability.",
   args: {},
   async execute() {
     if (!await isPluginSystemAvailable()) {
-      return "**Plugin system not found.** Run Claude Code once to initialize `~/.claude/plugins`."
+      return failure(`**Plugin system not found.** Run Claude Code once to initialize \`${getPluginsRoot()}\` (profile ${getActiveProfile().name}).`)
     }
 
-    const claudeReady = await isClaudeAvailable()
+    const probe = await probeClaude()
     const installed = summarizeInstalled(await getInstalledPlugins())
-    const marketplaces = await getKnownMarketplaces()
+    const known = await getKnownMarketplaces()
     const catalogs = await getAllMarketplaceCatalogs()
     const config = await getConfig()
 
+    // Plugins are counted once however many installations they have
+    const installedKeys = Array.from(new Map(installed.map((row) => [row.key, row])).values())
     const installedByMarketplace = {}
-    for (const row of installed) {
+    for (const row of installedKeys) {
       const key = row.marketplace ?? "unknown"
       installedByMarketplace[key] = (installedByMarketplace[key] ?? 0) + 1
     }
 
+    const names = new Set([...Object.keys(known), ...catalogs.map((c) => c.marketplaceName)])
+    const marketplaces = Array.from(names).sort().map((name) => {
+      const meta = known[name]
+      const catalog = catalogs.find((c) => c.marketplaceName === name)
+      return {
+        name,
+        installed: installedByMarketplace[name] ?? 0,
+        available: catalog?.catalog?.plugins?.length ?? 0,
+        source: meta?.source?.repo ?? meta?.source?.url ?? meta?.source?.source ?? "unknown",
+      }
+    })
+
+    return {
+      ok: true,
+      profile: getActiveProfile().name,
+      pluginsRoot: getPluginsRoot(),
+      projectRoot: getProjectRoot(),
+      claudeReady: probe.ok,
+      cli: { binary: probe.binary, version: probe.version, quirks: getCliQuirks().length },
+      installedPlugins: installedKeys.length,
+      installations: installed.length,
+      knownMarketplaces: Object.keys(known).length,
+      catalogsLoaded: catalogs.length,
+      syncMode: config.sync_mode ?? null,
+      enabledAgents: config.enabled_agents ?? [],
+      marketplaces,
+      schemas: await getDataSchemaReport(),
+      cache: getCacheFreshness(),
+      updateCheck: { ...getUpdateCheckSettings(), last: await readLastUpdateCheck() },
+    }
+  },
+  render(result) {
     const lines = []
     lines.push("# Plugin status")
     lines.push("")
-    lines.push(`- plugins_root: ${getPluginsRoot()}`)
-    lines.push(`- claude_cli_available: ${claudeReady ? "yes" : "no"}`)
-    lines.push(`- installed_plugins: ${installed.length}`)
-    lines.push(`- known_marketplaces: ${Object.keys(marketplaces).length}`)
-    lines.push(`- catalogs_loaded: ${catalogs.length}`)
-    lines.push(`- sync_mode: ${config.sync_mode ?? "unknown"}`)
-    lines.push(`- enabled_agents: ${(config.enabled_agents ?? []).join(", ") || "none"}`)
+    lines.push(`- profile: ${result.profile}`)
+    lines.push(`- plugins_root: ${result.pluginsRoot}`)
+    lines.push(`- project_root: ${result.projectRoot}`)
+    lines.push(`- claude_cli_available: ${result.claudeReady ? "yes" : "no"}`)
+    lines.push(`- claude_cli: ${result.cli.binary} ${result.cli.version ?? "(version unknown)"}, ${result.cli.quirks} flag quirk(s)`)
+    lines.push(`- installed_plugins: ${result.installedPlugins} (${result.installations} installation(s))`)
+    lines.push(`- known_marketplaces: ${result.knownMarketplaces}`)
+    lines.push(`- catalogs_loaded: ${result.catalogsLoaded}`)
+    lines.push(`- sync_mode: ${result.syncMode ?? "unknown"}`)
+    lines.push(`- enabled_agents: ${result.enabledAgents.join(", ") || "none"}`)
+    lines.push(`- update_check: ${describeUpdateCheck(result.updateCheck)}`)
     lines.push("")
     lines.push("## Marketplace coverage")
     lines.push("")
 
-    const names = new Set([...Object.keys(marketplaces), ...catalogs.map((c) => c.marketplaceName)])
-    for (const name of Array.from(names).sort()) {
-      const meta = marketplaces[name]
-      const catalog = catalogs.find((c) => c.marketplaceName === name)
-      const catalogCount = catalog?.catalog?.plugins?.length ?? 0
-      const installedCount = installedByMarketplace[name] ?? 0
-      const source = meta?.source?.repo ?? meta?.source?.url ?? meta?.source?.source ?? "unknown"
-      lines.push(`- ${name}: installed ${installedCount}, available ${catalogCount}, source ${source}`)
+    for (const marketplace of result.marketplaces) {
+      lines.push(`- ${marketplace.name}: installed ${marketplace.installed}, available ${marketplace.available}, source ${marketplace.source}`)
+    }
+
+    const findings = result.schemas.filter((entry) => entry.status !== "ok" && entry.status !== "missing")
+    const readOnly = findings.filter((entry) => entry.status === "corrupt" || entry.status === "unrecognized")
+    lines.push("")
+    lines.push("## Schema")
+    lines.push("")
+    lines.push(`- files_checked: ${result.schemas.filter((entry) => entry.status !== "missing").length}`)
+    lines.push(`- findings: ${findings.length}`)
+    for (const entry of findings) {
+      lines.push(`- ${entry.label} (${entry.status}): ${entry.path}`)
+      if (entry.error) lines.push(`  - ${entry.error}`)
+      for (const issue of entry.issues) {
+        lines.push(`  - ${issue.level}: ${issue.message}`)
+      }
+    }
+    if (readOnly.length) {
+      lines.push("")
+      lines.push(`⚠️ Mutating tools that depend on ${readOnly.map((entry) => entry.label).join(", ")} are read-only until the file is repaired or the bridge learns the new schema.`)
+    }
+
+    const freshness = result.cache
+    const now = Date.now()
+    lines.push("")
+    lines.push("## Data freshness")
+    lines.push("")
+    lines.push(`- last_watch_event: ${freshness.lastChangeAt ? `${formatAge(now - freshness.lastChangeAt)} ago` : "none"}`)
+    lines.push(`- watched_dirs: ${freshness.watching.length}`)
+    for (const entry of freshness.derived) {
+      lines.push(`- index ${entry.name.split(":")[0]}: built ${formatAge(entry.ageMs)} ago from ${entry.sources} source(s), reused ${entry.hits}x`)
+    }
+    for (const file of freshness.files) {
+      lines.push(`- ${file.path}: changed ${formatAge(now - file.mtimeMs)} ago, parsed ${formatAge(now - file.loadedAt)} ago, reused ${file.hits}x`)
     }
 
     return lines.join("\n")
   },
 })
 
-async function resolvePluginTarget(plugin, marketplace) {
+// Catalog rows plus installed plugins whose marketplace no longer lists them.
+async function listKnownPlugins() {
   const available = await getAvailablePlugins()
-  const installed = summarizeInstalled(await getInstalledPlugins())
-  const merged = dedupeByKey([
-    ...available,
-    ...installed.map((row) => ({
-      ...row,
-      description: "",
-      installs: 0,
-      installed: true,
-      installedRows: [],
-      installedVersion: row.version,
-      hasSkills: false,
-      hasLsp: false,
-      strict: false,
-      tags: [],
-    })),
-  ])
+  const catalogKeys = new Set(available.map((row) => row.key))
+  const installed = await getInstalledPlugins()
+  const orphans = Object.entries(installed)
+    .filter(([key, rows]) => !catalogKeys.has(key) && rows?.length)
+    .map(([key, rows]) => {
+      const installations = listInstallations(key, rows)
+      const first = installations[0]
+      return {
+        key,
+        name: first.name,
+        marketplace: first.marketplace,
+        description: "",
+        version: null,
+        category: null,
+        homepage: null,
+        tags: [],
+        author: null,
+        strict: false,
+        installs: 0,
+        installed: true,
+        installedRows: rows,
+        installations,
+        installPath: first.installPath,
+        installedVersion: first.version,
+        installedAt: first.installedAt,
+        lastUpdated: first.lastUpdated,
+        hasSkills: false,
+        hasLsp: false,
+      }
+    })
+  return [...available, ...orphans]
+}
+
+async function resolvePluginTarget(plugin, marketplace) {
+  const merged = await listKnownPlugins()
 
   const matches = findMatchingPlugins(merged, plugin, marketplace)
   if (!matches.length) {
@@ -466,57 +1014,482 @@ async function resolvePluginTarget(plugin, marketplace) {
   }
 }
 
-function buildMutationReply(title, cliResult, verification) {
+function renderComponentSection(title, items, formatItem) {
+  const lines = [`## ${title} (${items.length})`]
+  if (!items.length) {
+    lines.push("- none")
+  }
+  for (const item of items) {
+    lines.push(`- ${formatItem(item)}`)
+  }
+  return lines.join("\n")
+}
+
+function renderPluginComponents(components) {
+  const sections = [
+    renderComponentSection("Skills", components.skills, (skill) => {
+      const description = skill.description ?? "⚠️ missing frontmatter description"
+      return `${skill.name}: ${description} (${skill.path})`
+    }),
+    renderComponentSection("Commands", components.commands, (command) => {
+      return `/${command.name}${command.description ? `: ${command.description}` : ""} (${command.path})`
+    }),
+    renderComponentSection("Agents", components.agents, (agent) => {
+      return `${agent.name}${agent.description ? `: ${agent.description}` : ""} (${agent.path})`
+    }),
+    renderComponentSection("Hooks", components.hooks, (hook) => {
+      const target = hook.command ? `\`${hook.command}\`` : hook.type
+      return `${hook.event} matcher=${hook.matcher ?? "(all)"} -> ${target} (${hook.source})`
+    }),
+    renderComponentSection("MCP servers", components.mcpServers, (server) => {
+      return `${server.name}: ${server.command ?? server.url ?? "unknown"} (${server.source})`
+    }),
+    renderComponentSection("LSP servers", components.lspServers, (server) => {
+      return `${server.name}: ${server.command ?? server.url ?? "unknown"} (${server.source})`
+    }),
+  ]
+  return sections.join("\n\n")
+}
+
+async function resolveMarketplaceSource(target) {
+  const entry = await findCatalogPlugin(target.name, target.marketplace)
+  if (!entry) {
+    return { ok: false, reason: `\`${target.key}\` is not listed in the ${target.marketplace} catalog` }
+  }
+  const source = resolvePluginSourceDir(target.marketplace, entry)
+  if (!source.ok) return source
+  return { ok: true, path: source.path, entry }
+}
+
+async function runPluginAudit(target, origin) {
+  if (origin !== "marketplace" && target.installPath) {
+    const report = await auditPluginDir(target.installPath)
+    if (report) return { ok: true, origin: "installed", report }
+    if (origin === "installed") return { ok: false, reason: `install path not found: ${target.installPath}` }
+  } else if (origin === "installed") {
+    return { ok: false, reason: `\`${target.key}\` is not installed` }
+  }
+
+  const source = await resolveMarketplaceSource(target)
+  if (!source.ok) return source
+  const report = await auditPluginDir(source.path, source.entry)
+  if (!report) return { ok: false, reason: `source directory not found: ${source.path}` }
+  return { ok: true, origin: "marketplace", report }
+}
+
+function renderAuditReport(audit, minSeverity = "info") {
+  const { report } = audit
+  const shown = report.findings.filter((finding) => isAtLeast(finding.severity, minSeverity))
+  const lines = []
+  lines.push(`- scanned: ${report.dir} (${audit.origin})`)
+  lines.push(`- risk: ${report.maxSeverity ?? "none"}`)
+  lines.push(`- findings: ${[...SEVERITIES].reverse().map((severity) => `${severity} ${report.counts[severity]}`).join(", ")}`)
+  if (shown.length) {
+    lines.push("")
+    for (const finding of shown) {
+      const location = finding.line ? `${finding.file}:${finding.line}` : finding.file
+      lines.push(`- [${finding.severity.toUpperCase()}] ${finding.title} (${location})`)
+      lines.push(`  \`${finding.snippet.replace(/`/g, "'")}\``)
+    }
+  }
+  return lines.join("\n")
+}
+
+function mutationResult(title, cliResult, verification, extra = {}) {
+  return {
+    ok: cliResult.ok && verification.verified,
+    kind: "mutation",
+    title,
+    cli: cliResult,
+    verification,
+    ...extra,
+  }
+}
+
+function renderMutation(result) {
   const lines = []
-  lines.push(`# ${title}`)
+  lines.push(`# ${result.title}`)
   lines.push("")
-  lines.push(renderCommandResult(cliResult))
+  lines.push(renderCommandResult(result.cli))
   lines.push("")
-  lines.push(formatVerificationBlock(verification))
-  if (cliResult.ok && verification.verified) {
+  lines.push(formatVerificationBlock(result.verification))
+  if (result.ok) {
     lines.push("")
     lines.push("Restart OpenCode to ensure newly installed/updated content is reloaded by plugins.")
   }
   return lines.join("\n")
 }
 
-const plugin_install = tool({
-  description: "Install plugin via Claude CLI and verify the installed_plugins.json state transition.",
-  args: {
-    plugin: tool.schema.string().describe("Plugin identifier plugin@marketplace, or name if unique"),
-    marketplace: tool.schema.string().optional().describe("Marketplace for name-only plugin value"),
-    scope: tool.schema.enum(["user", "project", "local"]).optional().describe("Install scope"),
-  },
-  async execute(args) {
-    if (!await isPluginSystemAvailable()) {
-      return "Plugin system not found."
-    }
-    if (!await isClaudeAvailable()) {
-      return "Claude CLI not available. Install command `claude` first."
-    }
-
-    const resolved = await resolvePluginTarget(args.plugin, args.marketplace)
-    if (!resolved.ok) {
-      const extra = resolved.candidates?.length ? `\nCandidates:\n- ${resolved.candidates.join("\n- ")}` : ""
-      return `${resolved.reason}${extra}`
-    }
+function planResult(title, plan, extra = {}) {
+  return {
+    ok: true,
+    kind: "plan",
+    dryRun: true,
+    title,
+    plan: {
+      claudeReady: plan.claudeReady,
+      steps: plan.steps.map((step) => ({
+        command: step.command ?? formatClaudeCommand(step.args),
+        cwd: step.options?.cwd ?? null,
+      })),
+      before: plan.before,
+      expected: plan.expected,
+      items: plan.items ?? [],
+      warning: plan.warning ?? null,
+    },
+    ...extra,
+  }
+}
 
-    const pluginKey = resolved.target.key
-    const before = await getInstalledPlugins()
-    const beforeSummary = summarizePluginState(before, pluginKey)
+function renderPlan(result) {
+  const { plan } = result
+  const lines = []
+  lines.push(`# Plan: ${result.title}`)
+  lines.push("")
+  lines.push("Dry run: no commands were executed.")
+  lines.push("")
+  lines.push("## Commands")
+  if (!plan.steps.length) {
+    lines.push("- none")
+  }
+  plan.steps.forEach((step, index) => {
+    const cwd = step.cwd ? ` (cwd: ${step.cwd})` : ""
+    lines.push(`${index + 1}. \`${step.command}\`${cwd}`)
+  })
+  lines.push("")
+  lines.push("## Expected state")
+  lines.push(`- claude_cli_available: ${plan.claudeReady ? "yes" : "no"}`)
+  lines.push(`- state_before: ${plan.before}`)
+  lines.push(`- state_expected: ${plan.expected}`)
+  if (plan.items.length) {
+    lines.push("")
+    lines.push("## Items")
+    lines.push(...plan.items.map((item) => `- ${item}`))
+  }
+  if (plan.warning) {
+    lines.push("")
+    lines.push(`⚠️ ${plan.warning}`)
+  }
+  lines.push("")
+  lines.push("Re-run without `dry_run` to apply this plan.")
+  return lines.join("\n")
+}
+
+// Mutating tools return either a dry-run plan or the applied mutation.
+function renderAction(result) {
+  return result.kind === "plan" ? renderPlan(result) : renderMutation(result)
+}
+
+// Files each kind of mutation reads, writes, or verifies against.
+const SCHEMA_GUARDS = {
+  plugin: ["installed_plugins", "settings"],
+  update: ["installed_plugins"],
+  marketplace: ["known_marketplaces"],
+  all: ["installed_plugins", "known_marketplaces", "settings"],
+}
+
+function describeSchemaProblem(entry) {
+  return entry.error ?? entry.issues.filter((issue) => issue.level === "error").map((issue) => issue.message).join("; ")
+}
+
+// A mutation against a corrupt or unrecognized file could clobber data a
+// newer Claude CLI wrote, and its verification would be meaningless. The tool
+// then goes read-only, dry runs included, and hands back the command instead.
+async function checkReadOnly(guard, steps, projectPath = getProjectRoot()) {
+  const blockers = await getSchemaBlockers(SCHEMA_GUARDS[guard], projectPath)
+  if (!blockers.length) return null
+  const recommendation = steps.map((step) => ({
+    command: formatClaudeCommand(step.args),
+    cwd: step.options?.cwd ?? null,
+  }))
+  const lines = [
+    "**Read-only:** the bridge did not run anything because a file it depends on is not in a layout it recognizes.",
+    "",
+    ...blockers.map((entry) => `- ${entry.label} (${entry.status}): ${describeSchemaProblem(entry)}`),
+    "",
+    recommendation.length
+      ? "Run the command with the Claude CLI yourself, or repair the file and retry. `plugin_status` lists every schema finding."
+      : "Repair or restore the file and retry. `plugin_status` lists every schema finding.",
+    ...recommendation.map((step) => `- \`${step.command}\`${step.cwd ? ` (cwd: ${step.cwd})` : ""}`),
+  ]
+  return failure(lines.join("\n"), { readOnly: true, blockers, recommendation })
+}
+
+async function getCatalogVersion(pluginKey) {
+  const available = await getAvailablePlugins()
+  return available.find((row) => row.key === pluginKey)?.version ?? null
+}
+
+// Project and local installs are addressed by running the CLI from their
+// project directory, so an install in another project can be updated too.
+async function planPluginUpdate(pluginKey, row) {
+  const scope = row?.scope ?? "user"
+  const projectPath = row?.projectPath ?? null
+  const args = await buildClaudeArgs("update", { plugin: pluginKey, scope })
+  const options = {}
+  if ((scope === "project" || scope === "local") && projectPath) {
+    options.cwd = projectPath
+  }
+  return { scope, projectPath, args, options }
+}
+
+// Finds the installation's row again by scope and projectPath and compares
+// it with the row from before the update; other rows are ignored. A run that
+// was cancelled or timed out is not a verdict on the update, so it is
+// reported as cancelled whatever the state looks like.
+function verifyInstallationUpdate(row, afterRows, cliResult) {
+  const after = afterRows.find((candidate) => isSameInstallation(candidate, row)) ?? null
+  const to = after?.version ?? null
+  if (cliResult.terminated) {
+    const reason = cliResult.stderr.trim().split("\n").at(-1)
+    return { status: "cancelled", to, reason: cliResult.terminated === "timeout" ? reason.toLowerCase() : "cancelled while running" }
+  }
+  const noop = outputSuggestsNoopUpdate(cliResult)
+  if (!cliResult.ok) {
+    return { status: "failed", to, reason: cliResult.stderr.trim().split("\n")[0] || "unknown error" }
+  }
+  if (!after) return { status: "unverified", to, reason: "installation row is missing after the update" }
+  if (row.version !== after.version) {
+    return { status: "updated", to, reason: `version changed: ${row.version} -> ${after.version}` }
+  }
+  if (!noop && row.lastUpdated !== after.lastUpdated) {
+    return { status: "updated", to, reason: `lastUpdated changed: ${row.lastUpdated} -> ${after.lastUpdated}` }
+  }
+  if (noop) return { status: "latest", to, reason: "CLI output indicates already at latest version" }
+  return { status: "unverified", to, reason: "could not confirm update from state or CLI output" }
+}
+
+function selectEngine(requested, claudeReady) {
+  if (requested === "cli" || requested === "native") return requested
+  return claudeReady ? "cli" : "native"
+}
+
+function engineLabel(result) {
+  return result.engine === "native" ? "Native engine" : "CLI"
+}
+
+const engineArg = tool.schema.enum(["auto", "cli", "native"]).optional().describe("auto (default) uses the Claude CLI when available and falls back to the native engine, which copies from the marketplace clone")
+
+const projectPathArg = tool.schema.string().optional().describe("Project directory of the project or local installation to target, default the current project")
+
+const dryRunArg = tool.schema.boolean().optional().describe("Return the exact CLI command(s) and expected before/after state without running anything")
+
+const snapshotArg = tool.schema.boolean().optional().describe("Snapshot each plugin's cache dir and installed_plugins.json rows before updating so plugin_rollback can undo it, default true")
+
+function describeSnapshotRetention() {
+  const retention = getSnapshotRetention()
+  return `keep ${retention.keep} per plugin, drop after ${retention.maxAgeDays} day(s); the newest is always kept`
+}
+
+// A snapshot is only worth keeping when the update touched something; a
+// failed run may have half-replaced the cache dir, so keep it then too.
+async function settleUpdateSnapshot(snapshot, cliResult, beforeRows, afterRows) {
+  if (!snapshot) return null
+  const changed = JSON.stringify(beforeRows) !== JSON.stringify(afterRows)
+  if (cliResult.ok && !changed) {
+    await discardSnapshot(snapshot)
+    return null
+  }
+  return snapshot
+}
+
+// Dependencies missing for the current project, in install order. Ones already
+// installed at a scope that serves this project are left alone.
+async function planDependencyInstalls(pluginKey, installed) {
+  const closure = await resolveDependencyClosure(pluginKey)
+  const dependencies = closure.order.filter((key) => key !== pluginKey)
+  const projectPath = getProjectRoot()
+  return {
+    ...closure,
+    toInstall: dependencies.filter((key) => !isDependencySatisfied(installed[key], projectPath)),
+    satisfied: dependencies.filter((key) => isDependencySatisfied(installed[key], projectPath)),
+    results: [],
+  }
+}
+
+function renderDependencies(dependencies) {
+  if (!dependencies || (!dependencies.toInstall.length && !dependencies.satisfied.length)) return ""
+  const lines = ["", "", "## Dependencies"]
+  for (const key of dependencies.toInstall) {
+    const outcome = dependencies.results.find((item) => item.key === key)
+    const status = !outcome ? "not installed" : outcome.verified ? "installed, verified" : `failed (exit ${outcome.cli.exitCode})`
+    lines.push(`- ${key}: ${status}`)
+  }
+  for (const key of dependencies.satisfied) {
+    lines.push(`- ${key}: already installed`)
+  }
+  return lines.join("\n")
+}
+
+function formatConflict(conflict) {
+  const providers = conflict.providers
+    .map((provider) => `${provider.id}${provider.kind === "plugin" ? ` (${provider.scope}${provider.enabled ? "" : ", disabled"})` : ""}`)
+    .join(", ")
+  const outcome = conflict.winner ? `${conflict.winner} wins` : conflict.note
+  return `${conflict.type} \`${conflict.name}\`: ${providers}; ${outcome}`
+}
+
+// Compares the plugin's marketplace source with everything already active in
+// this project. Remote sources are not on disk yet, so they are skipped.
+async function checkInstallConflicts(target, scope) {
+  const entry = target.marketplace ? await findCatalogPlugin(target.name, target.marketplace) : null
+  const source = entry ? resolvePluginSourceDir(target.marketplace, entry) : { ok: false, reason: "not in a catalog" }
+  if (!source.ok) return { checked: false, reason: source.reason, items: [] }
+  const report = await getConflictReport({
+    candidate: { key: target.key, dir: source.path, entry, scope: scope ?? "user" },
+    involving: target.key,
+  })
+  return { checked: true, reason: null, items: report.conflicts }
+}
+
+function renderInstallConflicts(conflicts) {
+  if (!conflicts?.items.length) return ""
+  return [
+    "",
+    "",
+    "## Conflicts",
+    ...conflicts.items.map((conflict) => `- ${formatConflict(conflict)}`),
+    "",
+    "⚠️ Run `plugin_conflicts` for the full report, or disable one side with `plugin_disable`.",
+  ].join("\n")
+}
+
+const plugin_install = tool({
+  description: "Install plugin via Claude CLI (or the native engine when the CLI is missing) and verify the installed_plugins.json state transition.",
+  args: {
+    plugin: tool.schema.string().describe("Plugin identifier plugin@marketplace, or name if unique"),
+    marketplace: tool.schema.string().optional().describe("Marketplace for name-only plugin value"),
+    scope: tool.schema.enum(["user", "project", "local"]).optional().describe("Install scope"),
+    engine: engineArg,
+    audit_threshold: tool.schema.enum(SEVERITIES).optional().describe("Audit the marketplace source before installing and act on findings at or above this severity, default high"),
+    audit_action: tool.schema.enum(["off", "warn", "refuse"]).optional().describe("What to do when audit findings reach the threshold: warn (default), refuse, or off to skip the audit"),
+    dependencies: tool.schema.enum(["install", "skip"]).optional().describe("install (default) installs the plugin's missing dependencies first, in dependency order; skip installs only this plugin"),
+    dry_run: dryRunArg,
+  },
+  async execute(args, context) {
+    if (!await isPluginSystemAvailable()) {
+      return failure("Plugin system not found.")
+    }
+
+    const resolved = await resolvePluginTarget(args.plugin, args.marketplace)
+    if (!resolved.ok) return resolveFailure(resolved)
+
+    const pluginKey = resolved.target.key
+    const before = await getInstalledPlugins()
+    const beforeSummary = summarizePluginState(before, pluginKey)
+
+    const cliArgs = await buildClaudeArgs("install", { plugin: pluginKey, scope: args.scope })
+    const readOnly = await checkReadOnly("plugin", [{ args: cliArgs }])
+    if (readOnly) return readOnly
+    const claudeReady = await isClaudeAvailable()
+    const engine = selectEngine(args.engine, claudeReady)
+
+    const auditAction = args.audit_action ?? "warn"
+    const auditThreshold = args.audit_threshold ?? "high"
+    let audit = null
+    if (auditAction !== "off") {
+      const scan = await runPluginAudit(resolved.target, "marketplace")
+      audit = scan.ok
+        ? {
+          ok: true,
+          origin: scan.origin,
+          report: scan.report,
+          threshold: auditThreshold,
+          exceeded: Boolean(scan.report.maxSeverity && isAtLeast(scan.report.maxSeverity, auditThreshold)),
+        }
+        : { ok: false, reason: scan.reason }
+      if (audit.exceeded && auditAction === "refuse") {
+        return {
+          ok: false,
+          kind: "refused",
+          title: `Install ${pluginKey} refused`,
+          reason: `Security audit found ${audit.report.maxSeverity} findings (threshold: ${auditThreshold}). Nothing was installed.`,
+          audit,
+        }
+      }
+    }
+
+    const dependencies = args.dependencies === "skip" ? null : await planDependencyInstalls(pluginKey, before)
+    if (dependencies && (dependencies.missing.length || dependencies.cycles.length)) {
+      return failure([
+        `Cannot install \`${pluginKey}\`: its dependencies do not resolve. Nothing was installed.`,
+        "",
+        ...describeDependencyProblems(dependencies).map((line) => `- ${line}`),
+        "",
+        "Add the marketplace that provides them, or pass `dependencies=skip` to install this plugin alone.",
+      ].join("\n"), { dependencies })
+    }
+
+    const conflicts = await checkInstallConflicts(resolved.target, args.scope)
 
-    const cliArgs = ["plugin", "install", pluginKey]
-    if (args.scope) cliArgs.push("--scope", args.scope)
-    const cliResult = runClaude(cliArgs)
+    const installStep = async (key) => engine === "native"
+      ? { command: `native install ${key} --scope ${args.scope ?? "user"}` }
+      : { args: key === pluginKey ? cliArgs : await buildClaudeArgs("install", { plugin: key, scope: args.scope }) }
+
+    if (args.dry_run) {
+      const scope = args.scope ?? "user"
+      const projectNote = scope === "user" ? "" : `, projectPath=${getProjectRoot()}`
+      const nativePlan = engine === "native" ? await planNativeInstall(pluginKey) : null
+      const steps = []
+      for (const key of [...dependencies?.toInstall ?? [], pluginKey]) {
+        steps.push(await installStep(key))
+      }
+      return planResult(`Install ${pluginKey}`, {
+        claudeReady,
+        steps,
+        before: beforeSummary,
+        expected: `${(before[pluginKey]?.length ?? 0) + 1} row(s), new row scope=${scope}${projectNote}, version=${nativePlan?.version ?? await getCatalogVersion(pluginKey) ?? "catalog latest"}`,
+        items: [
+          ...(dependencies?.toInstall ?? []).map((key) => `dependency: install ${key}`),
+          ...(dependencies?.satisfied ?? []).map((key) => `dependency: ${key} already installed`),
+          ...(nativePlan?.ok ? [`copy ${nativePlan.sourcePath} -> ${nativePlan.installPath}`] : []),
+          ...(conflicts.items ?? []).map((conflict) => `conflict: ${formatConflict(conflict)}`),
+        ],
+        warning: nativePlan && !nativePlan.ok ? nativePlan.reason : null,
+      }, { audit, dependencies, conflicts })
+    }
+    if (engine === "cli" && !claudeReady) {
+      return failure("Claude CLI not available. Install command `claude` first.")
+    }
+
+    const runInstall = async (key) => engine === "native"
+      ? await nativeInstall(key, { scope: args.scope })
+      : await runClaudeWithContext((await installStep(key)).args, context)
+
+    // Dependencies go first, each verified like the plugin itself; the first
+    // one that does not land stops the install.
+    for (const key of dependencies?.toInstall ?? []) {
+      const depBefore = (await getInstalledPlugins())[key]?.length ?? 0
+      const depResult = await runInstall(key)
+      const depVerified = ((await getInstalledPlugins())[key]?.length ?? 0) > depBefore
+      dependencies.results.push({ key, cli: depResult, verified: depVerified })
+      if (!depResult.ok || !depVerified) {
+        return mutationResult(
+          `Install ${pluginKey}`,
+          depResult,
+          {
+            exitCode: depResult.exitCode,
+            verified: false,
+            before: beforeSummary,
+            after: summarizePluginState(await getInstalledPlugins(), pluginKey),
+            reason: `dependency ${key} did not install, so ${pluginKey} was not installed`,
+            warning: depResult.ok ? `${engineLabel(depResult)} reported success for ${key} but installed_plugins.json did not show a new row.` : null,
+          },
+          { audit, dependencies, conflicts },
+        )
+      }
+    }
+
+    const cliResult = await runInstall(pluginKey)
 
     const after = await getInstalledPlugins()
     const afterSummary = summarizePluginState(after, pluginKey)
     const verified = (after[pluginKey]?.length ?? 0) > (before[pluginKey]?.length ?? 0)
     const warning = cliResult.ok && !verified
-      ? "CLI reported success but installed_plugins.json did not show a new row. Possible Claude CLI schema/behavior change."
+      ? `${engineLabel(cliResult)} reported success but installed_plugins.json did not show a new row. Possible Claude CLI schema/behavior change.`
       : null
 
-    return buildMutationReply(
+    return mutationResult(
       `Install ${pluginKey}`,
       cliResult,
       {
@@ -527,47 +1500,132 @@ const plugin_install = tool({
         reason: verified ? "install row count increased" : "install row count did not increase",
         warning,
       },
+      { audit, dependencies, conflicts },
     )
   },
+  render(result) {
+    if (result.kind === "refused") {
+      return [
+        `# ${result.title}`,
+        "",
+        result.reason,
+        "",
+        renderAuditReport(result.audit, result.audit.threshold),
+        "",
+        "Review the findings with `plugin_audit`, then re-run with a higher `audit_threshold` or `audit_action=warn` to install anyway.",
+      ].join("\n")
+    }
+    const reply = result.kind === "plan"
+      ? renderPlan(result)
+      : `${renderMutation(result)}${renderDependencies(result.dependencies)}${renderInstallConflicts(result.conflicts)}`
+    if (!result.audit) return reply
+    if (!result.audit.ok) return `${reply}\n\n## Audit\n- skipped: ${result.audit.reason}`
+    return [
+      reply,
+      "",
+      "## Audit",
+      renderAuditReport(result.audit, result.audit.threshold),
+      result.audit.exceeded ? `\n⚠️ Findings at or above ${result.audit.threshold}. Review them before using this plugin.` : "",
+    ].join("\n").trimEnd()
+  },
 })
 
 const plugin_uninstall = tool({
-  description: "Uninstall plugin via Claude CLI and verify installed_plugins.json state transition.",
+  description: "Uninstall plugin via Claude CLI (or the native engine when the CLI is missing) and verify installed_plugins.json state transition.",
   args: {
     plugin: tool.schema.string().describe("Plugin identifier plugin@marketplace, or name if unique"),
     marketplace: tool.schema.string().optional().describe("Marketplace for name-only plugin value"),
-    scope: tool.schema.enum(["user", "project", "local"]).optional().describe("Scope if needed by Claude CLI"),
+    scope: tool.schema.enum(["user", "project", "local"]).optional().describe("Scope of the installation to remove, needed when the plugin is installed at several"),
+    project_path: projectPathArg,
+    engine: engineArg,
+    force: tool.schema.boolean().optional().describe("Uninstall even when other installed plugins depend on this one"),
+    dry_run: dryRunArg,
   },
-  async execute(args) {
+  async execute(args, context) {
     if (!await isPluginSystemAvailable()) {
-      return "Plugin system not found."
-    }
-    if (!await isClaudeAvailable()) {
-      return "Claude CLI not available."
+      return failure("Plugin system not found.")
     }
 
     const resolved = await resolvePluginTarget(args.plugin, args.marketplace)
-    if (!resolved.ok) {
-      const extra = resolved.candidates?.length ? `\nCandidates:\n- ${resolved.candidates.join("\n- ")}` : ""
-      return `${resolved.reason}${extra}`
-    }
+    if (!resolved.ok) return resolveFailure(resolved)
 
     const pluginKey = resolved.target.key
     const before = await getInstalledPlugins()
     const beforeSummary = summarizePluginState(before, pluginKey)
 
-    const cliArgs = ["plugin", "uninstall", pluginKey]
-    if (args.scope) cliArgs.push("--scope", args.scope)
-    const cliResult = runClaude(cliArgs)
+    // The installation to remove: a user row, or a project or local row of
+    // `project_path` (the current project by default)
+    const rows = before[pluginKey] ?? []
+    const projectPath = args.project_path ? resolve(getProjectRoot(), args.project_path) : getProjectRoot()
+    const candidates = rows.filter((row) => {
+      const scope = row?.scope ?? "user"
+      if (args.scope && scope !== args.scope) return false
+      if (scope !== "project" && scope !== "local") return !args.project_path
+      return (row?.projectPath ?? null) === projectPath
+    })
+    if (rows.length && candidates.length !== 1) {
+      const installations = listInstallations(pluginKey, rows)
+      return failure(candidates.length
+        ? `\`${pluginKey}\` is installed at several scopes (${candidates.map(formatInstallation).join(", ")}); pass \`scope\`.`
+        : `\`${pluginKey}\` has no installation${args.scope ? ` at scope ${args.scope}` : ""}${args.project_path ? ` for ${projectPath}` : ""}. Installed: ${installations.map(formatInstallation).join(", ")}.`,
+      { installations })
+    }
+    const target = candidates[0] ?? null
+    const scope = target ? target.scope ?? "user" : args.scope
+    const targetProject = target ? target.projectPath ?? null : projectPath
+
+    const cliArgs = await buildClaudeArgs("uninstall", { plugin: pluginKey, scope })
+    // Project and local rows are removed by running the CLI from their project
+    const cliOptions = (scope === "project" || scope === "local") && targetProject ? { cwd: targetProject } : {}
+    const readOnly = await checkReadOnly("plugin", [{ args: cliArgs }])
+    if (readOnly) return readOnly
+    const claudeReady = await isClaudeAvailable()
+    const engine = selectEngine(args.engine, claudeReady)
+
+    // Removing one of several installations leaves the plugin in place for dependents
+    const remaining = target ? rows.filter((row) => !isSameInstallation(row, target)) : []
+    const dependents = remaining.length ? [] : await findInstalledDependents(pluginKey)
+    const dependentsWarning = dependents.length
+      ? `Installed plugin(s) depend on \`${pluginKey}\`: ${dependents.map((item) => item.key).join(", ")}. They may stop working.`
+      : null
+    if (dependents.length && !args.force) {
+      return failure([
+        `Cannot uninstall \`${pluginKey}\`: other installed plugins depend on it. Nothing was changed.`,
+        "",
+        ...dependents.map((item) => `- ${item.key} (${item.scopes.join(", ")})`),
+        "",
+        "Uninstall those first, or pass `force=true` to remove it anyway.",
+      ].join("\n"), { dependents })
+    }
+
+    if (args.dry_run) {
+      return planResult(`Uninstall ${pluginKey}`, {
+        claudeReady,
+        steps: [engine === "native"
+          ? { command: `native uninstall ${pluginKey}${scope ? ` --scope ${scope}` : ""}`, options: cliOptions }
+          : { args: cliArgs, options: cliOptions }],
+        before: beforeSummary,
+        expected: target ? `${rows.length - 1} row(s), ${formatInstallation(target)} row removed` : "0 row(s)",
+        warning: target ? dependentsWarning : `\`${pluginKey}\` has no install rows; the CLI is expected to fail.`,
+      }, { dependents })
+    }
+    if (engine === "cli" && !claudeReady) {
+      return failure("Claude CLI not available.")
+    }
+
+    const cliResult = engine === "native"
+      ? await nativeUninstall(pluginKey, { scope, projectPath: targetProject })
+      : await runClaudeWithContext(cliArgs, context, cliOptions)
 
     const after = await getInstalledPlugins()
     const afterSummary = summarizePluginState(after, pluginKey)
-    const verified = (after[pluginKey]?.length ?? 0) < (before[pluginKey]?.length ?? 0)
+    // Checked on the targeted row, found again by scope and projectPath
+    const verified = Boolean(target) && !(after[pluginKey] ?? []).some((row) => isSameInstallation(row, target))
     const warning = cliResult.ok && !verified
-      ? "CLI reported success but installed_plugins.json did not show a row decrease. Possible Claude CLI schema/behavior change."
+      ? `${engineLabel(cliResult)} reported success but the ${target ? formatInstallation(target) : "targeted"} row is still in installed_plugins.json. Possible Claude CLI schema/behavior change.`
       : null
 
-    return buildMutationReply(
+    return mutationResult(
       `Uninstall ${pluginKey}`,
       cliResult,
       {
@@ -575,212 +1633,1068 @@ const plugin_uninstall = tool({
         verified,
         before: beforeSummary,
         after: afterSummary,
-        reason: verified ? "install row count decreased" : "install row count did not decrease",
-        warning,
+        reason: verified
+          ? `${formatInstallation(target)} row removed`
+          : target ? `${formatInstallation(target)} row still present` : "no install row to remove",
+        warning: warning ?? (verified ? dependentsWarning : null),
+      },
+      { dependents },
+    )
+  },
+  render: renderAction,
+})
+
+// A deleted project cannot be the CLI's working directory, so its rows are
+// always removed by the native engine.
+async function planPrune(installations, engine) {
+  const steps = []
+  for (const installation of installations) {
+    if (engine === "native" || installation.stale === "missing") {
+      steps.push({ installation, native: true, command: `native uninstall ${installation.key} --scope ${installation.scope} (${installation.projectPath})` })
+    } else {
+      const args = await buildClaudeArgs("uninstall", { plugin: installation.key, scope: installation.scope })
+      steps.push({ installation, args, options: { cwd: installation.projectPath } })
+    }
+  }
+  return steps
+}
+
+const plugin_prune = tool({
+  description: "Remove stale project and local scope installs (see plugin_projects) via Claude CLI or the native engine, and verify each row is gone from installed_plugins.json.",
+  args: {
+    plugin: tool.schema.string().optional().describe("Only prune this plugin (plugin@marketplace or name)"),
+    project_path: tool.schema.string().optional().describe("Only prune installs for this project directory"),
+    include_unreferenced: tool.schema.boolean().optional().describe("Also prune rows whose project exists but whose settings no longer list the plugin, default false"),
+    engine: engineArg,
+    dry_run: dryRunArg,
+  },
+  async execute(args, context) {
+    if (!await isPluginSystemAvailable()) return failure("Plugin system not found.")
+
+    let pluginKey = null
+    if (args.plugin) {
+      const resolved = await resolvePluginTarget(args.plugin)
+      if (!resolved.ok) return resolveFailure(resolved)
+      pluginKey = resolved.target.key
+    }
+    const projectPath = args.project_path ? resolve(getProjectRoot(), args.project_path) : null
+
+    const stale = listStaleInstallations(await getProjectInventory())
+      .filter((installation) => args.include_unreferenced || installation.stale === "missing")
+      .filter((installation) => !pluginKey || installation.key === pluginKey)
+      .filter((installation) => !projectPath || installation.projectPath === projectPath)
+
+    const claudeReady = await isClaudeAvailable()
+    const engine = selectEngine(args.engine, claudeReady)
+    const steps = await planPrune(stale, engine)
+    const readOnly = await checkReadOnly("plugin", steps.filter((step) => step.args))
+    if (readOnly) return readOnly
+
+    const before = await getInstalledPlugins()
+    const beforeSummary = `${stale.length} stale installation(s) selected`
+    if (args.dry_run) {
+      return planResult("Prune stale project installs", {
+        claudeReady,
+        steps,
+        before: beforeSummary,
+        expected: `${stale.length} installed_plugins.json row(s) removed`,
+        items: stale.map((installation) => `${formatTargetId(installation.key, installation)}: ${installation.stale}, ${installation.reason}`),
+        warning: engine === "cli" && steps.some((step) => step.native)
+          ? "Rows of deleted projects are removed by the native engine; the Claude CLI cannot run from a directory that no longer exists."
+          : null,
+      })
+    }
+    if (engine === "cli" && !claudeReady && steps.some((step) => step.args)) {
+      return failure("Claude CLI not available.")
+    }
+
+    const commands = []
+    for (const step of steps) {
+      if (context?.abort?.aborted) break
+      commands.push(step.native
+        ? await nativeUninstall(step.installation.key, { scope: step.installation.scope, projectPath: step.installation.projectPath })
+        : await runClaudeWithContext(step.args, context, step.options))
+    }
+
+    const after = await getInstalledPlugins()
+    const pruned = stale.map((installation, index) => ({
+      id: formatTargetId(installation.key, installation),
+      key: installation.key,
+      scope: installation.scope,
+      projectPath: installation.projectPath,
+      stale: installation.stale,
+      attempted: index < commands.length,
+      removed: !(after[installation.key] ?? []).some((row) => isSameInstallation(row, installation)),
+    }))
+    const failed = commands.filter((command) => !command.ok).length
+    const removed = pruned.filter((installation) => installation.removed).length
+    const verified = removed === pruned.length
+
+    return {
+      ok: failed === 0 && verified,
+      kind: "mutation",
+      title: "Prune stale project installs",
+      commands,
+      notRun: steps.length - commands.length,
+      pruned,
+      verification: {
+        exitCode: failed ? `${failed} command(s) failed` : 0,
+        verified,
+        before: `${beforeSummary}; ${Object.values(before).reduce((total, rows) => total + (rows?.length ?? 0), 0)} row(s) in total`,
+        after: `${Object.values(after).reduce((total, rows) => total + (rows?.length ?? 0), 0)} row(s) in total`,
+        reason: verified ? `all ${removed} selected row(s) removed` : `${pruned.length - removed} selected row(s) still present`,
+        warning: !failed && !verified
+          ? "Commands succeeded but some rows are still in installed_plugins.json. Possible Claude CLI schema/behavior change."
+          : null,
+      },
+    }
+  },
+  render(result) {
+    if (result.kind === "plan") return renderPlan(result)
+
+    const lines = []
+    lines.push(`# ${result.title}`)
+    lines.push("")
+    if (!result.pruned.length) {
+      lines.push("No stale project installs matched. `plugin_projects` lists every project install.")
+      return lines.join("\n")
+    }
+    for (const installation of result.pruned) {
+      const state = installation.removed ? "✅ removed" : installation.attempted ? "❌ still present" : "⏹️ not attempted"
+      lines.push(`- ${state}: ${installation.id} (${installation.stale})`)
+    }
+    lines.push("")
+    if (result.notRun) {
+      lines.push(`Cancelled: ${result.notRun} of ${result.commands.length + result.notRun} command(s) not run.`)
+      lines.push("")
+    }
+    for (const command of result.commands) {
+      lines.push(renderCommandResult(command))
+      lines.push("")
+    }
+    lines.push(formatVerificationBlock(result.verification))
+    return lines.join("\n")
+  },
+})
+
+const plugin_gc = tool({
+  description: "Delete plugin cache versions no installed_plugins.json row references and marketplace clones that are neither registered nor the source of an installed plugin. Never touches a referenced installPath.",
+  args: {
+    include_marketplaces: tool.schema.boolean().optional().describe("Also delete orphaned marketplace clones, default true"),
+    dry_run: dryRunArg,
+  },
+  async execute(args) {
+    if (!await isPluginSystemAvailable()) return failure("Plugin system not found.")
+
+    const readOnly = await checkReadOnly("all", [])
+    if (readOnly) return readOnly
+
+    const usage = await getDiskUsage()
+    if (!usage.ok) return failure(`Cannot tell which cache versions are in use: ${usage.reason}. Nothing was deleted.`)
+    const candidates = selectGarbage(usage, { marketplaces: args.include_marketplaces !== false })
+    const candidateBytes = candidates.reduce((total, candidate) => total + candidate.bytes, 0)
+    const command = `native gc (${candidates.length} director${candidates.length === 1 ? "y" : "ies"})`
+    const beforeSummary = `${candidates.length} unreferenced director${candidates.length === 1 ? "y" : "ies"}, ${formatBytes(candidateBytes)}`
+
+    if (args.dry_run) {
+      return planResult("Collect plugin cache garbage", {
+        claudeReady: await isClaudeAvailable(),
+        steps: [{ command }],
+        before: beforeSummary,
+        expected: `${formatBytes(candidateBytes)} freed; every referenced installPath untouched`,
+        items: candidates.map((candidate) => `${candidate.label}: ${candidate.path} (${formatBytes(candidate.bytes)})`),
+      })
+    }
+
+    const referencedPaths = Array.from(new Set(usage.versions.flatMap((version) => version.referencedBy.map((reference) => reference.path))))
+    const outcome = await collectGarbage(candidates)
+    const freedBytes = outcome.removed.reduce((total, candidate) => total + candidate.bytes, 0)
+    const result = {
+      ok: outcome.ok,
+      exitCode: outcome.ok ? 0 : 1,
+      stdout: outcome.ok
+        ? [
+          ...outcome.removed.map((candidate) => `Deleted ${candidate.path}`),
+          ...outcome.skipped.map((candidate) => `Skipped ${candidate.path}: ${candidate.reason}`),
+        ].join("\n")
+        : "",
+      stderr: outcome.ok ? "" : outcome.reason,
+      command,
+      engine: "native",
+    }
+
+    const leftover = []
+    for (const candidate of outcome.removed) {
+      if (await lstat(candidate.path).then(() => true, () => false)) leftover.push(candidate.path)
+    }
+    const lost = []
+    for (const path of referencedPaths) {
+      if (!await lstat(path).then(() => true, () => false)) lost.push(path)
+    }
+    const verified = outcome.ok && !leftover.length && !lost.length
+    const reason = !outcome.ok
+      ? outcome.reason
+      : lost.length
+        ? `referenced install path(s) missing: ${lost.join(", ")}`
+        : leftover.length
+          ? `still present: ${leftover.join(", ")}`
+          : `${outcome.removed.length} director${outcome.removed.length === 1 ? "y" : "ies"} removed, ${referencedPaths.length} referenced install path(s) intact`
+
+    return mutationResult(
+      "Collect plugin cache garbage",
+      result,
+      {
+        exitCode: result.exitCode,
+        verified,
+        before: beforeSummary,
+        after: `${formatBytes(freedBytes)} freed, ${outcome.skipped.length} skipped`,
+        reason,
+        warning: outcome.skipped.length
+          ? `${outcome.skipped.length} candidate(s) became referenced or were unsafe to delete and were left in place.`
+          : null,
       },
+      { removed: outcome.removed, skipped: outcome.skipped, freedBytes },
     )
   },
+  render: renderAction,
 })
 
+// Installations sharing an installPath are compared once.
+async function collectUpdateChanges(pluginKey, rows) {
+  const reports = []
+  for (const row of rows) {
+    const existing = reports.find((report) => report.installPath === row.installPath)
+    if (existing) {
+      existing.installations.push(formatInstallation(row))
+      continue
+    }
+    reports.push({ installPath: row.installPath, installations: [formatInstallation(row)], ...await getUpdateChanges(pluginKey, row) })
+  }
+  return reports
+}
+
+const CHANGE_MARKS = { added: "+", removed: "-", modified: "~" }
+
+function renderUpdateChanges(reports, diffLines = DEFAULT_DIFF_LINES) {
+  const lines = []
+  for (const report of reports) {
+    lines.push(`## Changes: ${report.installations.join(", ")}`)
+    if (!report.ok) {
+      lines.push(`- not available: ${report.reason}`)
+      lines.push("")
+      continue
+    }
+    lines.push(`- version: ${report.from ?? "unknown"} -> ${report.to ?? "unknown"}`)
+    lines.push(`- installed: ${report.installPath}`)
+    lines.push(`- source: ${report.sourcePath}`)
+    lines.push(`- components: ${report.changes.length} changed, ${report.unchanged} unchanged`)
+    for (const change of report.changes) {
+      lines.push(`- ${CHANGE_MARKS[change.status]} ${change.type} \`${change.name}\` ${change.status} (${change.path})`)
+      if (!change.diff || diffLines === 0) continue
+      const diff = change.diff.split("\n")
+      lines.push("```diff")
+      lines.push(...diff.slice(0, diffLines))
+      lines.push("```")
+      if (diff.length > diffLines) lines.push(`  … ${diff.length - diffLines} more diff line(s). Raise \`diff_lines\` to see more.`)
+    }
+
+    const { changelog } = report
+    if (!changelog.path) {
+      lines.push("- changelog: none in the plugin source")
+    } else if (!changelog.entries.length) {
+      lines.push(`- changelog: no entries between ${report.from ?? "unknown"} and ${report.to ?? "unknown"}`)
+    } else {
+      lines.push("")
+      lines.push(changelog.complete
+        ? `### Changelog (${changelog.entries.length} entr${changelog.entries.length === 1 ? "y" : "ies"})`
+        : "### Changelog (latest entry only; installed version is not comparable)")
+      for (const entry of changelog.entries) {
+        lines.push(`#### ${entry.heading}`)
+        if (entry.body) lines.push(entry.body)
+      }
+    }
+    lines.push("")
+  }
+  return lines.join("\n").trimEnd()
+}
+
+const diffLinesArg = tool.schema.number().int().min(0).max(1000).optional().describe(`Max diff lines shown per changed component, default ${DEFAULT_DIFF_LINES}. Use 0 to list changes without diffs.`)
+
 const plugin_update = tool({
-  description: "Update a single installed plugin to latest version via Claude CLI. Verifies version or lastUpdated change in installed_plugins.json.",
+  description: "Update an installed plugin to the latest version via Claude CLI. Each installation (user scope, or one per project) is updated and verified separately against its installed_plugins.json row.",
   args: {
     plugin: tool.schema.string().describe("Plugin identifier plugin@marketplace, or name if unique"),
     marketplace: tool.schema.string().optional().describe("Marketplace for name-only plugin value"),
-    scope: tool.schema.enum(["user", "project", "local", "managed"]).optional().describe("Install scope override. Auto-detected from installed_plugins.json if omitted."),
+    scope: tool.schema.enum(["user", "project", "local"]).optional().describe("Only update the installation(s) at this scope. Every installation is updated if omitted."),
+    project_path: tool.schema.string().optional().describe("Only update the project or local installation for this project directory"),
+    changes: tool.schema.boolean().optional().describe("Include what the update changes (components, their diffs and changelog entries, as in plugin_changes), compared before updating"),
+    diff_lines: diffLinesArg,
+    snapshot: snapshotArg,
+    dry_run: dryRunArg,
   },
-  async execute(args) {
-    if (!await isPluginSystemAvailable()) return "Plugin system not found."
-    if (!await isClaudeAvailable()) return "Claude CLI not available."
+  async execute(args, context) {
+    if (!await isPluginSystemAvailable()) return failure("Plugin system not found.")
 
     const resolved = await resolvePluginTarget(args.plugin, args.marketplace)
-    if (!resolved.ok) {
-      const extra = resolved.candidates?.length ? `\nCandidates:\n- ${resolved.candidates.join("\n- ")}` : ""
-      return `${resolved.reason}${extra}`
-    }
+    if (!resolved.ok) return resolveFailure(resolved)
 
     const pluginKey = resolved.target.key
     const before = await getInstalledPlugins()
     const beforeRows = before[pluginKey] ?? []
 
     if (!beforeRows.length) {
-      return `Plugin \`${pluginKey}\` is not installed. Use \`plugin_install\` first.`
+      return failure(`Plugin \`${pluginKey}\` is not installed. Use \`plugin_install\` first.`)
     }
 
-    const firstRow = beforeRows[0]
-    const scope = args.scope ?? firstRow.scope ?? "user"
-    const projectPath = firstRow.projectPath ?? null
+    const projectPath = args.project_path ? resolve(getProjectRoot(), args.project_path) : null
+    const targets = selectUpdateTargets({ [pluginKey]: beforeRows }, { scope: args.scope, projectPath })
+    if (!targets.length) {
+      const installations = listInstallations(pluginKey, beforeRows)
+      return failure(
+        `\`${pluginKey}\` has no installation${args.scope ? ` at scope ${args.scope}` : ""}${projectPath ? ` for ${projectPath}` : ""}. Installed: ${installations.map(formatInstallation).join(", ")}.`,
+        { installations },
+      )
+    }
+
+    const beforeSummary = summarizePluginState(before, pluginKey)
+    const steps = []
+    for (const target of targets) {
+      const step = await planPluginUpdate(pluginKey, target.row)
+      steps.push({ args: step.args, options: step.options })
+    }
+    const readOnly = await checkReadOnly("update", steps)
+    if (readOnly) return readOnly
+
+    // Compared before anything runs: the update replaces the installed files
+    const changes = args.changes ? await collectUpdateChanges(pluginKey, targets.map((target) => target.row)) : null
+    const extra = { changes, diffLines: args.diff_lines ?? DEFAULT_DIFF_LINES }
+
+    if (args.dry_run) {
+      const latest = await getCatalogVersion(pluginKey) ?? "unknown"
+      const changing = targets.filter((target) => target.row.version !== latest)
+      return planResult(`Update ${pluginKey}`, {
+        claudeReady: await isClaudeAvailable(),
+        steps,
+        before: beforeSummary,
+        expected: changing.length
+          ? `${changing.length} of ${targets.length} installation(s) -> ${latest} (catalog)`
+          : `no change expected (every selected installation matches catalog ${latest})`,
+        items: [
+          ...targets.map((target) => `${formatInstallation(target.row)}: ${target.row.version ?? "unknown"}${target.row.version === latest ? " (latest in catalog)" : ` -> ${latest}`}`),
+          args.snapshot === false
+            ? "snapshot: skipped (snapshot=false)"
+            : `snapshot: cache dirs and rows saved under ${getSnapshotsRoot()} before updating (${describeSnapshotRetention()})`,
+        ],
+      }, extra)
+    }
+    if (!await isClaudeAvailable()) return failure("Claude CLI not available.")
+
+    let snapshot = null
+    if (args.snapshot !== false) {
+      try {
+        snapshot = await createPluginSnapshot(pluginKey, beforeRows, { reason: "plugin_update" })
+      } catch (error) {
+        return failure(`Could not snapshot \`${pluginKey}\` before updating: ${error.message}\nPass \`snapshot=false\` to update without a rollback point.`)
+      }
+    }
+
+    const commands = []
+    for (const step of steps) {
+      if (context?.abort?.aborted) break
+      commands.push(await runClaudeWithContext(step.args, context, step.options))
+    }
+
+    const after = await getInstalledPlugins()
+    const afterRows = after[pluginKey] ?? []
+    const installations = targets.map((target, index) => {
+      const base = { id: target.id, key: pluginKey, scope: target.row.scope ?? "user", projectPath: target.row.projectPath ?? null, from: target.row.version ?? null }
+      const cli = commands[index]
+      if (!cli) return { ...base, status: "cancelled", to: null, reason: "not attempted" }
+      return { ...base, ...verifyInstallationUpdate(target.row, afterRows, cli), cli }
+    })
+
+    const failed = commands.filter((command) => !command.ok).length
+    const confirmed = installations.filter((installation) => installation.status === "updated" || installation.status === "latest").length
+    const verified = confirmed === installations.length
+    const unverified = installations.some((installation) => installation.status === "unverified")
+    const kept = await settleUpdateSnapshot(snapshot, { ok: failed === 0 }, beforeRows, afterRows)
+
+    return {
+      ok: failed === 0 && verified,
+      kind: "mutation",
+      title: `Update ${pluginKey}`,
+      plugin: pluginKey,
+      commands,
+      installations: installations.map(({ cli, ...installation }) => installation),
+      verification: {
+        exitCode: failed ? `${failed} command(s) failed` : 0,
+        verified,
+        before: beforeSummary,
+        after: summarizePluginState(after, pluginKey),
+        reason: installations.length === 1
+          ? installations[0].reason
+          : `${confirmed} of ${installations.length} installation(s) confirmed`,
+        warning: unverified
+          ? "CLI reported success but no version/lastUpdated change detected and output didn't indicate no-op. Possible CLI/schema drift."
+          : null,
+      },
+      snapshot: kept ? { key: kept.key, id: kept.id, warnings: kept.warnings } : null,
+      ...extra,
+    }
+  },
+  render(result) {
+    if (result.kind === "plan") {
+      const plan = renderPlan(result)
+      return result.changes ? `${plan}\n\n${renderUpdateChanges(result.changes, result.diffLines)}` : plan
+    }
+
+    const lines = []
+    lines.push(`# ${result.title}`)
+    lines.push("")
+    lines.push("## Installations")
+    lines.push(...result.installations.map((installation) => `- ${describeUpdateOutcome(installation)}`))
+    lines.push("")
+    if (result.changes) {
+      lines.push(renderUpdateChanges(result.changes, result.diffLines))
+      lines.push("")
+    }
+    for (const command of result.commands) {
+      lines.push(renderCommandResult(command))
+      lines.push("")
+    }
+    lines.push(formatVerificationBlock(result.verification))
+    if (result.ok) {
+      lines.push("")
+      lines.push("Restart OpenCode to ensure newly installed/updated content is reloaded by plugins.")
+    }
+    if (result.snapshot) {
+      lines.push("")
+      lines.push(`Snapshot \`${result.snapshot.id}\` saved. Undo with \`plugin_rollback plugin="${result.plugin}"\`.`)
+      lines.push(...result.snapshot.warnings ?? [])
+    }
+    return lines.join("\n")
+  },
+})
+
+function readUpdateAllOptions(args) {
+  return {
+    filters: {
+      marketplace: args.marketplace,
+      scope: args.scope,
+      projectPath: args.project_path ? resolve(getProjectRoot(), args.project_path) : null,
+      include: args.include,
+      exclude: args.exclude,
+    },
+    concurrency: args.concurrency ?? DEFAULT_UPDATE_CONCURRENCY,
+    pluginTimeoutMs: args.plugin_timeout_seconds ? args.plugin_timeout_seconds * 1000 : DEFAULT_PLUGIN_TIMEOUT_MS,
+    timeoutMs: args.timeout_seconds ? args.timeout_seconds * 1000 : null,
+    retries: args.retries ?? DEFAULT_UPDATE_RETRIES,
+    snapshot: args.snapshot,
+  }
+}
+
+function describeFilters(filters) {
+  const parts = []
+  if (filters.marketplace) parts.push(`marketplace=${filters.marketplace}`)
+  if (filters.scope) parts.push(`scope=${filters.scope}`)
+  if (filters.projectPath) parts.push(`project_path=${filters.projectPath}`)
+  if (filters.include?.length) parts.push(`include=[${filters.include.join(", ")}]`)
+  if (filters.exclude?.length) parts.push(`exclude=[${filters.exclude.join(", ")}]`)
+  return parts.length ? parts.join(", ") : "none"
+}
+
+function describeUpdateRun(options, groupCount) {
+  const overall = options.timeoutMs ? `${options.timeoutMs / 1000}s overall` : "no overall timeout"
+  return `${groupCount} group(s), concurrency ${options.concurrency} (CLI updates one at a time), ${options.pluginTimeoutMs / 1000}s per plugin, ${overall}, ${options.retries} retr${options.retries === 1 ? "y" : "ies"}`
+}
+
+async function marketplaceUpdateArgs(filters) {
+  return await buildClaudeArgs("marketplace_update", { marketplace: filters.marketplace })
+}
+
+async function planUpdateAll(options) {
+  const installed = await getInstalledPlugins()
+  const known = await getKnownMarketplaces()
+  const available = await getAvailablePlugins()
+  const catalogVersions = new Map(available.map((row) => [row.key, row.version]))
+  const groups = groupUpdateTargets(selectUpdateTargets(installed, options.filters))
+
+  const steps = [{ args: await marketplaceUpdateArgs(options.filters) }]
+  const items = []
+  let selected = 0
+  let expectedChanges = 0
+
+  for (const [index, group] of groups.entries()) {
+    for (const target of group) {
+      selected += 1
+      const step = await planPluginUpdate(target.key, target.row)
+      steps.push({ args: step.args, options: { ...step.options, timeout: options.pluginTimeoutMs } })
+
+      const latest = catalogVersions.get(target.key) ?? null
+      const current = target.row.version ?? "unknown"
+      const label = `[group ${index + 1}] ${target.id}`
+      if (latest && latest !== target.row.version) {
+        expectedChanges += 1
+        items.push(`${label}: ${current} -> ${latest}`)
+      } else {
+        items.push(`${label}: ${current}${latest ? " (latest in catalog)" : " (not in any catalog)"}`)
+      }
+    }
+  }
+
+  items.push(`filters: ${describeFilters(options.filters)}`)
+  items.push(`run: ${describeUpdateRun(options, groups.length)}; each group runs in order`)
+  items.push(options.snapshot === false
+    ? "snapshots: skipped (snapshot=false)"
+    : `snapshots: each plugin is snapshotted under ${getSnapshotsRoot()} before its first installation updates (${describeSnapshotRetention()})`)
+
+  return {
+    steps,
+    items,
+    before: `${Object.keys(known).length} marketplace(s), ${Object.keys(installed).length} installed plugin(s), ${selected} installation(s) selected`,
+    expected: `${expectedChanges} installation(s) change version based on current catalogs`,
+    warning: "Expected versions come from the local marketplace clones. The marketplace update step may pull newer catalogs and change these results.",
+  }
+}
+
+const update_all = tool({
+  description: "Update all marketplaces and every installation of each installed plugin in one operation, with retries. The CLI updates run one at a time because each rewrites installed_plugins.json; only snapshots, retry backoff and verification overlap. Returns per-installation results.",
+  args: {
+    marketplace: tool.schema.string().optional().describe("Only update this marketplace's catalog and plugins"),
+    scope: tool.schema.enum(["user", "project", "local"]).optional().describe("Only update installations at this scope"),
+    project_path: tool.schema.string().optional().describe("Only update project and local installations for this project directory"),
+    include: tool.schema.array(tool.schema.string()).optional().describe("Only update these plugins (plugin@marketplace or name)"),
+    exclude: tool.schema.array(tool.schema.string()).optional().describe("Skip these plugins (plugin@marketplace or name)"),
+    concurrency: tool.schema.number().int().min(1).max(16).optional().describe(`Update lanes, default ${DEFAULT_UPDATE_CONCURRENCY}. Lanes overlap snapshots, retry backoff and verification only: the CLI updates themselves always run one at a time.`),
+    plugin_timeout_seconds: tool.schema.number().int().min(1).optional().describe(`Timeout for each plugin update attempt, default ${DEFAULT_PLUGIN_TIMEOUT_MS / 1000}`),
+    timeout_seconds: tool.schema.number().int().min(1).optional().describe("Stop starting new work and cancel running updates after this many seconds"),
+    retries: tool.schema.number().int().min(0).max(5).optional().describe(`Retries for a failed plugin update, with exponential backoff, default ${DEFAULT_UPDATE_RETRIES}`),
+    snapshot: snapshotArg,
+    dry_run: dryRunArg,
+  },
+  async execute(args, context) {
+    if (!await isPluginSystemAvailable()) return failure("Plugin system not found.")
+    const options = readUpdateAllOptions(args)
+    const plan = await planUpdateAll(options)
+    const readOnly = await checkReadOnly("all", plan.steps)
+    if (readOnly) return readOnly
+    if (args.dry_run) {
+      return planResult("Update All", { claudeReady: await isClaudeAvailable(), ...plan })
+    }
+    if (!await isClaudeAvailable()) return failure("Claude CLI not available.")
+
+    const deadline = createDeadline(context?.abort, options.timeoutMs)
+    const runContext = { ...context, abort: deadline.signal }
+    try {
+      return await runUpdateAll(options, runContext, deadline)
+    } finally {
+      deadline.dispose()
+    }
+  },
+  render(result) {
+    return result.kind === "plan" ? renderPlan(result) : renderUpdateAll(result)
+  },
+})
+
+async function runUpdateAll(options, context, deadline) {
+  // Phase 1: Update all marketplaces
+  const marketplacesBefore = await getKnownMarketplaces()
+  const marketplaceCli = await runClaudeWithContext(await marketplaceUpdateArgs(options.filters), context)
+  const marketplacesAfter = await getKnownMarketplaces()
+
+  const mpTargets = options.filters.marketplace ? [options.filters.marketplace] : Object.keys(marketplacesAfter)
+  let mpChanged = 0
+  for (const target of mpTargets) {
+    const bs = summarizeMarketplaceState(marketplacesBefore, target)
+    const as = summarizeMarketplaceState(marketplacesAfter, target)
+    if (bs !== as) mpChanged += 1
+  }
+
+  const mpNoop = outputSuggestsNoopUpdate(marketplaceCli)
+  const mpVerified = mpTargets.length > 0 && (mpChanged > 0 || mpNoop)
+  const marketplaces = { cli: marketplaceCli, total: mpTargets.length, changed: mpChanged, verified: mpVerified }
+
+  // Phase 2: Update installed plugins, one lane per group
+  const installedBefore = await getInstalledPlugins()
+  const targets = selectUpdateTargets(installedBefore, options.filters)
+  const installedCount = Object.values(installedBefore).reduce((total, rows) => total + (rows?.length ?? 0), 0)
+
+  if (!targets.length) {
+    return { ok: mpVerified, kind: "update_all", marketplaces, installedCount, plugins: [] }
+  }
+
+  const groups = groupUpdateTargets(targets)
+  const results = new Map()
+  // One snapshot per plugin, covering all of its rows, taken before the first
+  // of its installations updates and settled once the run is over
+  const snapshotsByKey = new Map()
+  // Every plugin update rewrites installed_plugins.json and may touch its
+  // scope's settings file, and the CLI does not lock them: two updates running
+  // at once lose one of the writes. Since every run shares installed_plugins.json
+  // the CLI runs are fully serialized; lanes only overlap snapshots, retry
+  // backoff and verification.
+  const writes = createWriteQueue()
+  let started = 0
+
+  const snapshotPlugin = (pluginKey) => {
+    if (!snapshotsByKey.has(pluginKey)) {
+      snapshotsByKey.set(pluginKey, createPluginSnapshot(pluginKey, installedBefore[pluginKey] ?? [], { reason: "update_all" })
+        .then((snapshot) => ({ snapshot }), (error) => ({ error })))
+    }
+    return snapshotsByKey.get(pluginKey)
+  }
+
+  const updateOne = async (target) => {
+    const pluginKey = target.key
+    const row = target.row
+    const base = { id: target.id, key: pluginKey, scope: row.scope ?? "user", projectPath: row.projectPath ?? null, from: row.version ?? null }
+    if (context.abort.aborted) {
+      results.set(target.id, { ...base, status: "cancelled", attempts: 0 })
+      return
+    }
+
+    const { scope, projectPath, args: cliArgs, options: cliOptions } = await planPluginUpdate(pluginKey, row)
+    const writtenFiles = [getInstalledPluginsPath(), getSettingsPath(scope, projectPath ?? undefined)].filter(Boolean)
+
+    if (options.snapshot !== false) {
+      const { error } = await snapshotPlugin(pluginKey)
+      if (error) {
+        results.set(target.id, { ...base, status: "failed", attempts: 0, error: `snapshot failed, not updated (${error.message})` })
+        return
+      }
+    }
+
+    started += 1
+    reportProgress("update_all", `Updating ${started}/${targets.length}: ${target.id}`)
+    const { result, attempts } = await withRetries(
+      () => writes(writtenFiles, () => runClaudeWithContext(cliArgs, context, { ...cliOptions, timeout: options.pluginTimeoutMs, progressTitle: target.id })),
+      { retries: options.retries, signal: context.abort },
+    )
+
+    const afterRows = (await getInstalledPlugins())[pluginKey] ?? []
+    const check = verifyInstallationUpdate(row, afterRows, result)
+    const outcome = { ...base, to: check.to, attempts, cli: result, status: check.status }
+    if (check.status === "failed") outcome.error = check.reason
+    if (check.status === "cancelled") outcome.reason = check.reason
+    results.set(target.id, outcome)
+  }
+
+  await runGroupsWithConcurrency(groups, options.concurrency, updateOne)
+
+  const installedAfter = await getInstalledPlugins()
+  const snapshots = []
+  for (const [pluginKey, pending] of snapshotsByKey) {
+    const { snapshot } = await pending
+    const cliOk = targets
+      .filter((target) => target.key === pluginKey)
+      .every((target) => results.get(target.id)?.cli?.ok !== false)
+    const kept = await settleUpdateSnapshot(snapshot, { ok: cliOk }, installedBefore[pluginKey] ?? [], installedAfter[pluginKey] ?? [])
+    if (kept) snapshots.push({ key: kept.key, id: kept.id, warnings: kept.warnings })
+  }
+
+  const plugins = targets.map((target) => results.get(target.id))
+  const count = (status) => plugins.filter((plugin) => plugin.status === status).length
+  const failed = count("failed")
+  const unverified = count("unverified")
+  const cancelled = count("cancelled")
+  const allPluginsVerified = failed === 0 && unverified === 0 && cancelled === 0
+
+  return {
+    ok: mpVerified && allPluginsVerified,
+    kind: "update_all",
+    marketplaces,
+    installedCount,
+    plugins,
+    stopped: context.abort.aborted && cancelled > 0 ? (deadline.timedOut() ? "timeout" : "cancelled") : null,
+    verification: {
+      overallVerified: mpVerified && allPluginsVerified,
+      marketplacesVerified: mpVerified,
+      pluginsVerified: allPluginsVerified,
+      pluginsConfirmed: targets.length - failed - unverified - cancelled,
+    },
+    summary: {
+      updated: count("updated"),
+      alreadyLatest: count("latest"),
+      failed,
+      unverified,
+      cancelled,
+      retried: plugins.filter((plugin) => plugin.attempts > 1).length,
+      total: targets.length,
+      skippedByFilters: installedCount - targets.length,
+      run: describeUpdateRun(options, groups.length),
+      timeoutMs: options.timeoutMs,
+    },
+    snapshots: snapshots.sort((a, b) => a.key.localeCompare(b.key)),
+  }
+}
+
+function describeUpdateOutcome(plugin) {
+  const label = plugin.id ?? plugin.key
+  const retried = plugin.attempts > 1 ? ` (attempt ${plugin.attempts})` : ""
+  if (plugin.status === "cancelled") return `⏹️ ${label}: ${plugin.reason ?? "not attempted"}`
+  if (plugin.status === "failed") return `❌ ${label}: ${plugin.error ?? plugin.reason}${plugin.attempts > 1 ? ` (${plugin.attempts} attempts)` : ""}`
+  if (plugin.status === "latest") return `✅ ${label}: latest (${plugin.from})${retried}`
+  if (plugin.status === "unverified") return `⚠️ ${label}: exit 0 but could not verify (${plugin.from})${retried}`
+  return plugin.from !== plugin.to
+    ? `🔄 ${label}: ${plugin.from} → ${plugin.to}${retried}`
+    : `🔄 ${label}: metadata updated (${plugin.from})${retried}`
+}
+
+function renderUpdateAll(result) {
+  const { marketplaces, summary } = result
+  const lines = []
+  lines.push("# Update All")
+  lines.push("")
+  lines.push("## Phase 1: Marketplace Catalogs")
+  lines.push("")
+  if (marketplaces.cli.ok) {
+    lines.push(`✅ Marketplaces: ${marketplaces.changed > 0 ? `${marketplaces.changed} updated` : "all up to date"} (exit ${marketplaces.cli.exitCode})`)
+  } else {
+    lines.push(`❌ Marketplaces: failed (exit ${marketplaces.cli.exitCode})`)
+    if (marketplaces.cli.stderr.trim()) {
+      lines.push(`   ${marketplaces.cli.stderr.trim().split("\n")[0]}`)
+    }
+  }
+  lines.push("")
+  lines.push("## Phase 2: Installed Plugins")
+  lines.push("")
+
+  if (!result.plugins.length) {
+    lines.push(result.installedCount ? "No installed plugins match the filters." : "No installed plugins to update.")
+    return lines.join("\n")
+  }
+
+  for (const plugin of result.plugins) lines.push(describeUpdateOutcome(plugin))
+
+  if (result.stopped) {
+    lines.push("")
+    lines.push(result.stopped === "timeout"
+      ? `⏹️ Overall timeout of ${summary.timeoutMs / 1000}s reached: ${summary.cancelled} installation(s) not completed.`
+      : `⏹️ Cancelled: ${summary.cancelled} installation(s) not completed.`)
+  }
+
+  lines.push("")
+  lines.push("## Verification")
+  lines.push(`- overall_verified: ${result.verification.overallVerified}`)
+  lines.push(`- marketplaces_verified: ${result.verification.marketplacesVerified}`)
+  lines.push(`- plugins_verified: ${result.verification.pluginsVerified} (${result.verification.pluginsConfirmed}/${summary.total})`)
+  lines.push("")
+  lines.push("## Summary")
+  lines.push(`- marketplaces: ${marketplaces.verified ? "ok" : "unverified"} (${marketplaces.total} total, ${marketplaces.changed} changed)`)
+  lines.push(`- plugins_updated: ${summary.updated}`)
+  lines.push(`- plugins_already_latest: ${summary.alreadyLatest}`)
+  lines.push(`- plugins_failed: ${summary.failed}`)
+  lines.push(`- plugins_unverified: ${summary.unverified}`)
+  lines.push(`- plugins_cancelled: ${summary.cancelled}`)
+  lines.push(`- plugins_retried: ${summary.retried}`)
+  lines.push(`- total_installations: ${summary.total}`)
+  lines.push(`- skipped_by_filters: ${summary.skippedByFilters}`)
+  lines.push(`- run: ${summary.run}`)
+  lines.push(`- snapshots_saved: ${result.snapshots.length}`)
+
+  if (result.snapshots.length) {
+    lines.push("")
+    lines.push("## Snapshots")
+    for (const snapshot of result.snapshots) {
+      lines.push(`- ${snapshot.key}: \`${snapshot.id}\``)
+      lines.push(...(snapshot.warnings ?? []).map((warning) => `  - ${warning}`))
+    }
+    lines.push("")
+    lines.push("Undo a plugin's update with `plugin_rollback plugin=\"<key>\"`.")
+  }
+
+  if (summary.unverified > 0) {
+    lines.push("")
+    lines.push(`⚠️ ${summary.unverified} plugin(s) could not be verified. CLI reported success but no version, lastUpdated, or output change detected. Possible CLI/schema drift.`)
+  }
+
+  if (summary.updated > 0) {
+    lines.push("")
+    lines.push("Restart OpenCode to load updated plugin content.")
+  }
+
+  return lines.join("\n")
+}
+
+async function resolveSnapshotTarget(plugin, marketplace) {
+  const resolved = await resolvePluginTarget(plugin, marketplace)
+  if (resolved.ok) return resolved
+  // The plugin may have left both the catalog and installed_plugins.json
+  // since it was snapshotted.
+  const key = normalizePluginIdentifier(plugin, marketplace)
+  if (key?.includes("@") && (await listSnapshots(key)).length) {
+    return { ok: true, target: { key } }
+  }
+  return resolved
+}
+
+function summarizeSnapshotRows(rows) {
+  if (!rows?.length) return "not installed"
+  return rows.map((row) => `${row?.scope ?? "user"}=${row?.version ?? "unknown"}`).join(", ")
+}
+
+const plugin_snapshots = tool({
+  description: "List the snapshots taken before plugin updates, newest first, with their retention limits.",
+  args: {
+    plugin: tool.schema.string().optional().describe("Plugin identifier plugin@marketplace, or name if unique. Omit for all plugins."),
+    marketplace: tool.schema.string().optional().describe("Marketplace for name-only plugin value"),
+  },
+  async execute(args) {
+    if (!await isPluginSystemAvailable()) return failure("Plugin system not found.")
+
+    let pluginKey = null
+    if (args.plugin) {
+      const resolved = await resolveSnapshotTarget(args.plugin, args.marketplace)
+      if (!resolved.ok) return resolveFailure(resolved)
+      pluginKey = resolved.target.key
+    }
+
+    return {
+      ok: true,
+      plugin: pluginKey,
+      location: getSnapshotsRoot(),
+      retention: getSnapshotRetention(),
+      snapshots: await listSnapshots(pluginKey),
+    }
+  },
+  render(result) {
+    const { snapshots } = result
+    const lines = []
+    lines.push(result.plugin ? `# Snapshots: ${result.plugin}` : "# Snapshots")
+    lines.push("")
+    lines.push(`- location: ${result.location}`)
+    lines.push(`- retention: ${describeSnapshotRetention()}`)
+    lines.push("")
+
+    if (!snapshots.length) {
+      lines.push("No snapshots yet. `plugin_update` and `update_all` take one before each update.")
+      return lines.join("\n")
+    }
+
+    let currentKey = null
+    for (const snapshot of snapshots) {
+      if (snapshot.key !== currentKey) {
+        if (currentKey) lines.push("")
+        lines.push(`## ${snapshot.key}`)
+        currentKey = snapshot.key
+      }
+      lines.push(`- \`${snapshot.id}\` (${snapshot.reason}, ${snapshot.createdAt}): ${summarizeSnapshotRows(snapshot.rows)}`)
+      lines.push(...(snapshot.warnings ?? []).map((warning) => `  - ${warning}`))
+    }
+    lines.push("")
+    lines.push("Restore one with `plugin_rollback plugin=\"<key>\" snapshot=\"<id>\"`.")
+    return lines.join("\n")
+  },
+})
+
+const plugin_rollback = tool({
+  description: "Restore a plugin's cache dir and installed_plugins.json rows from a snapshot taken before an update, and verify the restored state.",
+  args: {
+    plugin: tool.schema.string().describe("Plugin identifier plugin@marketplace, or name if unique"),
+    marketplace: tool.schema.string().optional().describe("Marketplace for name-only plugin value"),
+    snapshot: tool.schema.string().optional().describe("Snapshot id from plugin_snapshots, default the newest"),
+    dry_run: dryRunArg,
+  },
+  async execute(args) {
+    if (!await isPluginSystemAvailable()) return failure("Plugin system not found.")
+
+    const resolved = await resolveSnapshotTarget(args.plugin, args.marketplace)
+    if (!resolved.ok) return resolveFailure(resolved)
+
+    const pluginKey = resolved.target.key
+    const snapshot = await findSnapshot(pluginKey, args.snapshot)
+    if (!snapshot) {
+      return failure(args.snapshot
+        ? `Snapshot \`${args.snapshot}\` not found for \`${pluginKey}\`. Use \`plugin_snapshots\` to list them.`
+        : `No snapshots for \`${pluginKey}\`. \`plugin_update\` and \`update_all\` take one before each update.`)
+    }
+
+    const before = await getInstalledPlugins()
+    const beforeRows = before[pluginKey] ?? []
     const beforeSummary = summarizePluginState(before, pluginKey)
+    const expectedSummary = summarizePluginState({ [pluginKey]: snapshot.rows ?? [] }, pluginKey)
+    const command = `native rollback ${pluginKey} --snapshot ${snapshot.id}`
+    const readOnly = await checkReadOnly("update", [])
+    if (readOnly) return readOnly
+
+    if (args.dry_run) {
+      return planResult(`Roll back ${pluginKey}`, {
+        claudeReady: await isClaudeAvailable(),
+        steps: [{ command }],
+        before: beforeSummary,
+        expected: expectedSummary,
+        items: [
+          `snapshot: ${snapshot.id} (${snapshot.reason}, ${snapshot.createdAt})`,
+          ...(snapshot.files ?? []).map((file) => isRestorableFile(file)
+            ? `restore ${file.installPath}`
+            : file.installPath && !isInsidePluginCache(file.installPath)
+              ? `${file.installPath}: outside the plugin cache, left as is`
+              : `${file.installPath}: missing when snapshotted, left as is`),
+          "current state is snapshotted first, so the rollback itself can be undone",
+        ],
+      })
+    }
 
-    const cliArgs = ["plugin", "update", pluginKey, "--scope", scope]
-    const cliOptions = {}
-    if (scope === "project" && projectPath) {
-      cliOptions.cwd = projectPath
+    let undo = null
+    try {
+      undo = await createPluginSnapshot(pluginKey, beforeRows, { reason: "plugin_rollback", prune: false })
+    } catch (error) {
+      return failure(`Could not snapshot the current state of \`${pluginKey}\` before rolling back: ${error.message}`)
     }
-    const cliResult = runClaude(cliArgs, cliOptions)
+
+    const result = await restorePluginSnapshot(snapshot)
+    await pruneSnapshots(pluginKey)
 
     const after = await getInstalledPlugins()
     const afterRows = after[pluginKey] ?? []
     const afterSummary = summarizePluginState(after, pluginKey)
 
-    const afterFirst = afterRows[0] ?? {}
-    const versionChanged = firstRow.version !== afterFirst.version
-    const updatedChanged = firstRow.lastUpdated !== afterFirst.lastUpdated
-    const outputNoop = outputSuggestsNoopUpdate(cliResult)
-    const verified = versionChanged || updatedChanged || outputNoop
+    const rowsRestored = JSON.stringify(afterRows) === JSON.stringify(snapshot.rows ?? [])
+    const missingPaths = []
+    for (const file of (snapshot.files ?? []).filter(isRestorableFile)) {
+      const present = await readdir(file.installPath).then(() => true, () => false)
+      if (!present) missingPaths.push(file.installPath)
+    }
+    const verified = result.ok && rowsRestored && !missingPaths.length
 
-    const reason = versionChanged
-      ? `version changed: ${firstRow.version} -> ${afterFirst.version}`
-      : updatedChanged
-        ? `lastUpdated changed: ${firstRow.lastUpdated} -> ${afterFirst.lastUpdated}`
-        : outputNoop
-          ? "CLI output indicates already at latest version"
-          : "could not confirm update from state or CLI output"
+    const reason = !rowsRestored
+      ? "installed_plugins.json rows differ from the snapshot"
+      : missingPaths.length
+        ? `install path(s) missing after restore: ${missingPaths.join(", ")}`
+        : `rows and ${(snapshot.files ?? []).filter(isRestorableFile).length} cache dir(s) match snapshot ${snapshot.id}`
 
-    const warning = cliResult.ok && !verified
-      ? "CLI reported success but no version/lastUpdated change detected and output didn't indicate no-op. Possible CLI/schema drift."
+    const warning = result.ok && !verified
+      ? "Restore reported success but the on-disk state does not match the snapshot. Another process may have written installed_plugins.json."
       : null
 
-    return buildMutationReply(
-      `Update ${pluginKey}`,
-      cliResult,
-      { exitCode: cliResult.exitCode, verified, before: beforeSummary, after: afterSummary, reason, warning },
+    return mutationResult(
+      `Roll back ${pluginKey}`,
+      result,
+      { exitCode: result.exitCode, verified, before: beforeSummary, after: afterSummary, reason, warning },
+      { snapshot: { key: pluginKey, id: snapshot.id }, undoSnapshot: { key: pluginKey, id: undo.id } },
     )
   },
+  render(result) {
+    const reply = renderAction(result)
+    if (!result.undoSnapshot) return reply
+    return `${reply}\n\nPre-rollback state saved as snapshot \`${result.undoSnapshot.id}\`.`
+  },
 })
 
-const update_all = tool({
-  description: "Update all marketplaces and all installed plugins to latest versions in one operation. Returns per-item results.",
-  args: {},
-  async execute() {
-    if (!await isPluginSystemAvailable()) return "Plugin system not found."
-    if (!await isClaudeAvailable()) return "Claude CLI not available."
+const CHANGE_LABELS = {
+  major: "⚠️ major",
+  minor: "minor",
+  patch: "patch",
+  prerelease: "prerelease",
+  none: "up to date",
+  downgrade: "⚠️ downgrade",
+  unknown: "unknown",
+  "not-in-catalog": "not in catalog",
+}
+
+function shortSha(sha) {
+  return sha ? sha.slice(0, 7) : "-"
+}
+
+const plugin_outdated = tool({
+  description: "Check installed plugins for available updates without applying them. Compares each install row's version and gitCommitSha with the catalog and the marketplace clone's HEAD. Read-only.",
+  args: {
+    marketplace: tool.schema.string().optional().describe("Only check plugins from this marketplace"),
+    include_current: tool.schema.boolean().optional().describe("Also list plugins that are already up to date"),
+  },
+  async execute(args) {
+    if (!await isPluginSystemAvailable()) return failure("Plugin system not found.")
+
+    const rows = await getOutdatedRows({ marketplace: args.marketplace?.trim() })
+    const counts = {}
+    for (const row of rows) counts[row.change] = (counts[row.change] ?? 0) + 1
+    return {
+      ok: true,
+      installRows: rows.length,
+      updatesAvailable: rows.filter(hasUpdate).length,
+      commitOnlyUpdates: rows.filter(isCommitOnlyUpdate).length,
+      counts,
+      rows: args.include_current ? rows : rows.filter((row) => row.change !== "none" || row.commitChanged),
+    }
+  },
+  render(result) {
+    if (!result.installRows) {
+      return "No installed plugins matched."
+    }
 
+    const shown = result.rows
+    const counts = result.counts
     const lines = []
-    lines.push("# Update All")
+    lines.push("# Outdated plugins")
     lines.push("")
-
-    // Phase 1: Update all marketplaces
-    lines.push("## Phase 1: Marketplace Catalogs")
+    lines.push(`- install_rows: ${result.installRows}`)
+    lines.push(`- updates_available: ${result.updatesAvailable}${result.commitOnlyUpdates ? ` (${result.commitOnlyUpdates} at the same version with a newer commit)` : ""}`)
+    lines.push(`- major: ${counts.major ?? 0}, minor: ${counts.minor ?? 0}, patch: ${counts.patch ?? 0}, prerelease: ${counts.prerelease ?? 0}`)
+    lines.push(`- downgrades: ${counts.downgrade ?? 0}, unknown: ${(counts.unknown ?? 0) + (counts["not-in-catalog"] ?? 0)}`)
     lines.push("")
 
-    const marketplacesBefore = await getKnownMarketplaces()
-    const marketplaceCli = runClaude(["plugin", "marketplace", "update"])
-    const marketplacesAfter = await getKnownMarketplaces()
-
-    const mpTargets = Object.keys(marketplacesAfter)
-    let mpChanged = 0
-    for (const target of mpTargets) {
-      const bs = summarizeMarketplaceState(marketplacesBefore, target)
-      const as = summarizeMarketplaceState(marketplacesAfter, target)
-      if (bs !== as) mpChanged += 1
+    if (!shown.length) {
+      lines.push("All installed plugins match their catalog versions.")
+      return lines.join("\n")
     }
 
-    const mpNoop = outputSuggestsNoopUpdate(marketplaceCli)
-    const mpVerified = mpTargets.length > 0 && (mpChanged > 0 || mpNoop)
+    lines.push("| plugin | scope | current | latest | change | commit |")
+    lines.push("|---|---|---|---|---|---|")
+    for (const row of shown) {
+      const scope = row.projectPath ? `${row.scope} (${row.projectPath})` : row.scope
+      const commit = row.commitChanged ? `${shortSha(row.installedSha)} → ${shortSha(row.headSha)}` : shortSha(row.installedSha)
+      lines.push(`| ${row.key} | ${scope} | ${row.current ?? "unknown"} | ${row.latest ?? "unknown"} | ${CHANGE_LABELS[row.change] ?? row.change} | ${commit} |`)
+    }
 
-    if (marketplaceCli.ok) {
-      lines.push(`✅ Marketplaces: ${mpChanged > 0 ? `${mpChanged} updated` : "all up to date"} (exit ${marketplaceCli.exitCode})`)
-    } else {
-      lines.push(`❌ Marketplaces: failed (exit ${marketplaceCli.exitCode})`)
-      if (marketplaceCli.stderr.trim()) {
-        lines.push(`   ${marketplaceCli.stderr.trim().split("\n")[0]}`)
-      }
+    if (counts.major || counts.downgrade) {
+      lines.push("")
+      lines.push("⚠️ Major bumps may contain breaking changes. Downgrades mean the catalog lists an older version than installed; check the marketplace before updating.")
     }
     lines.push("")
+    lines.push("Catalog versions come from the local marketplace clones. Run `marketplace_update` first for the newest data, then `plugin_update` or `update_all` to apply.")
+    return lines.join("\n")
+  },
+})
 
-    // Phase 2: Update all installed plugins
-    lines.push("## Phase 2: Installed Plugins")
-    lines.push("")
+const plugin_changes = tool({
+  description: "Show what updating an installed plugin would change: added, removed and modified skills, commands, agents and hooks with diffs of their definitions, and CHANGELOG entries between the installed and catalog versions. Compares the installPath with the plugin source in the marketplace clone. Read-only.",
+  args: {
+    plugin: tool.schema.string().describe("Plugin identifier plugin@marketplace, or name if unique"),
+    marketplace: tool.schema.string().optional().describe("Marketplace for name-only plugin value"),
+    scope: tool.schema.enum(["user", "project", "local", "managed"]).optional().describe("Only compare the installation(s) at this scope"),
+    project_path: tool.schema.string().optional().describe("Only compare the project or local installation for this project directory"),
+    diff_lines: diffLinesArg,
+  },
+  async execute(args) {
+    if (!await isPluginSystemAvailable()) return failure("Plugin system not found.")
 
-    const installedBefore = await getInstalledPlugins()
-    const pluginKeys = Object.keys(installedBefore)
+    const resolved = await resolvePluginTarget(args.plugin, args.marketplace)
+    if (!resolved.ok) return resolveFailure(resolved)
 
-    if (!pluginKeys.length) {
-      lines.push("No installed plugins to update.")
-      return lines.join("\n")
+    const pluginKey = resolved.target.key
+    const rows = (await getInstalledPlugins())[pluginKey] ?? []
+    if (!rows.length) {
+      return failure(`Plugin \`${pluginKey}\` is not installed. Use \`plugin_preview\` to see what it contains.`)
     }
-
-    let updated = 0
-    let alreadyLatest = 0
-    let failed = 0
-    let unverified = 0
-    const pluginResults = []
-
-    for (const pluginKey of pluginKeys.sort()) {
-      const rows = installedBefore[pluginKey] ?? []
-      const firstRow = rows[0] ?? {}
-      const scope = firstRow.scope ?? "user"
-      const projectPath = firstRow.projectPath ?? null
-
-      const cliArgs = ["plugin", "update", pluginKey, "--scope", scope]
-      const cliOptions = { timeout: 120_000 }
-      if (scope === "project" && projectPath) {
-        cliOptions.cwd = projectPath
-      }
-
-      const result = runClaude(cliArgs, cliOptions)
-
-      const afterData = await getInstalledPlugins()
-      const afterRows = afterData[pluginKey] ?? []
-      const afterFirst = afterRows[0] ?? {}
-
-      const versionChanged = firstRow.version !== afterFirst.version
-      const updatedChanged = firstRow.lastUpdated !== afterFirst.lastUpdated
-      const noop = outputSuggestsNoopUpdate(result)
-      const verified = versionChanged || updatedChanged || noop
-
-      if (!result.ok) {
-        failed += 1
-        const errLine = result.stderr.trim().split("\n")[0] || "unknown error"
-        lines.push(`❌ ${pluginKey}: ${errLine}`)
-        pluginResults.push({ key: pluginKey, status: "failed", verified: false })
-      } else if (versionChanged) {
-        updated += 1
-        lines.push(`🔄 ${pluginKey}: ${firstRow.version} → ${afterFirst.version}`)
-        pluginResults.push({ key: pluginKey, status: "updated", verified: true })
-      } else if (noop) {
-        alreadyLatest += 1
-        lines.push(`✅ ${pluginKey}: latest (${firstRow.version})`)
-        pluginResults.push({ key: pluginKey, status: "latest", verified: true })
-      } else if (updatedChanged) {
-        updated += 1
-        lines.push(`🔄 ${pluginKey}: metadata updated (${firstRow.version})`)
-        pluginResults.push({ key: pluginKey, status: "updated", verified: true })
-      } else {
-        unverified += 1
-        lines.push(`⚠️ ${pluginKey}: exit 0 but could not verify (${firstRow.version})`)
-        pluginResults.push({ key: pluginKey, status: "unverified", verified: false })
-      }
+    const projectPath = args.project_path ? resolve(getProjectRoot(), args.project_path) : null
+    const targets = selectUpdateTargets({ [pluginKey]: rows }, { scope: args.scope, projectPath })
+    if (!targets.length) {
+      return failure(`\`${pluginKey}\` has no installation${args.scope ? ` at scope ${args.scope}` : ""}${projectPath ? ` for ${projectPath}` : ""}. Installed: ${listInstallations(pluginKey, rows).map(formatInstallation).join(", ")}.`)
     }
 
-    const allPluginsVerified = failed === 0 && unverified === 0
-    const overallVerified = mpVerified && allPluginsVerified
-
+    const changes = await collectUpdateChanges(pluginKey, targets.map((target) => target.row))
+    if (!changes.some((report) => report.ok)) {
+      return failure(`Cannot compare \`${pluginKey}\`: ${Array.from(new Set(changes.map((report) => report.reason))).join("; ")}.`, { changes })
+    }
+    return { ok: true, plugin: pluginKey, changes, diffLines: args.diff_lines ?? DEFAULT_DIFF_LINES }
+  },
+  render(result) {
+    const lines = []
+    lines.push(`# Changes: ${result.plugin}`)
     lines.push("")
-    lines.push("## Verification")
-    lines.push(`- overall_verified: ${overallVerified}`)
-    lines.push(`- marketplaces_verified: ${mpVerified}`)
-    lines.push(`- plugins_verified: ${allPluginsVerified} (${pluginKeys.length - failed - unverified}/${pluginKeys.length})`)
+    lines.push(renderUpdateChanges(result.changes, result.diffLines))
     lines.push("")
-    lines.push("## Summary")
-    lines.push(`- marketplaces: ${mpVerified ? "ok" : "unverified"} (${mpTargets.length} total, ${mpChanged} changed)`)
-    lines.push(`- plugins_updated: ${updated}`)
-    lines.push(`- plugins_already_latest: ${alreadyLatest}`)
-    lines.push(`- plugins_failed: ${failed}`)
-    lines.push(`- plugins_unverified: ${unverified}`)
-    lines.push(`- total_plugins: ${pluginKeys.length}`)
-
-    if (unverified > 0) {
-      lines.push("")
-      lines.push(`⚠️ ${unverified} plugin(s) could not be verified. CLI reported success but no version, lastUpdated, or output change detected. Possible CLI/schema drift.`)
-    }
-
-    if (updated > 0) {
-      lines.push("")
-      lines.push("Restart OpenCode to load updated plugin content.")
-    }
-
+    lines.push("The source is read from the local marketplace clone. Run `marketplace_update` first for the newest version, then `plugin_update` to apply.")
     return lines.join("\n")
   },
 })
@@ -792,50 +2706,90 @@ function verifyEnableDisableOutput(cliResult, keyword, pluginKey) {
   return keywordOk && pluginMention
 }
 
-function summarizeEnabledState(map, pluginKey) {
-  if (!(pluginKey in map)) {
-    return "missing"
+function summarizeEnabledState(scopeState, enablement) {
+  const value = scopeState.value === null ? "unset" : scopeState.value ? "enabled" : "disabled"
+  return `${scopeState.scope}_settings=${value}; effective=${formatShortEnablement(enablement)}`
+}
+
+async function readEnableState(pluginKey, scope, projectPath) {
+  return {
+    installed: await getInstalledPlugins(),
+    scopeState: await readScopeEnabledState(scope, pluginKey, projectPath),
+    enablement: describeEnablement(await getEnablementMap(projectPath), pluginKey),
+  }
+}
+
+// The CLI writes enabledPlugins to the file of the scope it was given, so that
+// file is what gets checked. The effective state can still differ when a
+// higher-precedence scope sets the plugin the other way.
+function verifyEnableChange(cliResult, keyword, pluginKey, expected, before, after) {
+  const path = after.scopeState.path
+  const stateVerified = after.scopeState.value === expected && (cliResult.ok || before.scopeState.value !== expected)
+  const outputVerified = verifyEnableDisableOutput(cliResult, keyword, pluginKey)
+  const verified = stateVerified || outputVerified
+  const shadowed = cliResult.ok && verified && after.enablement.enabled === !expected
+  return {
+    verified,
+    reason: stateVerified
+      ? before.scopeState.value === expected
+        ? `enabledPlugins in ${path} was already ${expected}`
+        : `enabledPlugins in ${path} transitioned ${before.scopeState.value ?? "unset"}->${expected}`
+      : outputVerified
+        ? `CLI output confirms ${keyword} operation`
+        : `could not confirm ${keyword} transition from ${path} or output`,
+    warning: shadowed
+      ? `${after.enablement.scope} settings (${after.enablement.path}) still set ${pluginKey} to ${!expected}, which overrides ${after.scopeState.scope} settings; the effective state is unchanged.`
+      : cliResult.ok && !verified
+        ? `${keyword[0].toUpperCase()}${keyword.slice(1)} command succeeded but neither ${path} nor CLI output provided unambiguous confirmation. This may indicate CLI/settings schema drift.`
+        : null,
   }
-  return map[pluginKey] ? "enabled" : "disabled"
 }
 
 const plugin_enable = tool({
-  description: "Enable plugin via Claude CLI. Verifies by checking CLI output for explicit enable confirmation.",
+  description: "Enable plugin via Claude CLI. Verifies the enabledPlugins entry in the settings file of the target scope.",
   args: {
     plugin: tool.schema.string().describe("Plugin identifier plugin@marketplace, or name if unique"),
     marketplace: tool.schema.string().optional().describe("Marketplace for name-only plugin value"),
-    scope: tool.schema.enum(["user", "project", "local", "managed"]).optional().describe("Scope if needed by Claude CLI"),
+    scope: tool.schema.enum(["user", "project", "local"]).optional().describe("Scope if needed by Claude CLI"),
+    project_path: projectPathArg,
+    dry_run: dryRunArg,
   },
-  async execute(args) {
-    if (!await isPluginSystemAvailable()) return "Plugin system not found."
-    if (!await isClaudeAvailable()) return "Claude CLI not available."
+  async execute(args, context) {
+    if (!await isPluginSystemAvailable()) return failure("Plugin system not found.")
 
     const resolved = await resolvePluginTarget(args.plugin, args.marketplace)
-    if (!resolved.ok) {
-      const extra = resolved.candidates?.length ? `\nCandidates:\n- ${resolved.candidates.join("\n- ")}` : ""
-      return `${resolved.reason}${extra}`
-    }
+    if (!resolved.ok) return resolveFailure(resolved)
 
     const pluginKey = resolved.target.key
-    const beforeInstalled = await getInstalledPlugins()
-    const beforeEnabled = await getEnabledPluginsMap()
-    const beforeSummary = `${summarizePluginState(beforeInstalled, pluginKey)}; enabled_state=${summarizeEnabledState(beforeEnabled, pluginKey)}`
-
-    const cliArgs = ["plugin", "enable", pluginKey]
-    if (args.scope) cliArgs.push("--scope", args.scope)
-    const cliResult = runClaude(cliArgs)
-
-    const afterInstalled = await getInstalledPlugins()
-    const afterEnabled = await getEnabledPluginsMap()
-    const afterSummary = `${summarizePluginState(afterInstalled, pluginKey)}; enabled_state=${summarizeEnabledState(afterEnabled, pluginKey)}`
-    const outputVerified = verifyEnableDisableOutput(cliResult, "enable", pluginKey)
-    const stateVerified = beforeEnabled[pluginKey] === false && afterEnabled[pluginKey] === true
-    const verified = stateVerified || outputVerified
-    const warning = cliResult.ok && !verified
-      ? "Enable command succeeded but neither settings state nor CLI output provided unambiguous confirmation. This may indicate CLI/settings schema drift."
-      : null
+    // The Claude CLI writes user settings when no scope is given
+    const scope = args.scope ?? "user"
+    const projectPath = args.project_path ? resolve(getProjectRoot(), args.project_path) : getProjectRoot()
+    const before = await readEnableState(pluginKey, scope, projectPath)
+    const beforeSummary = `${summarizePluginState(before.installed, pluginKey)}; ${summarizeEnabledState(before.scopeState, before.enablement)}`
+
+    const cliArgs = await buildClaudeArgs("enable", { plugin: pluginKey, scope: args.scope })
+    // Project and local settings are written relative to the CLI's directory
+    const cliOptions = { cwd: projectPath }
+    const readOnly = await checkReadOnly("plugin", [{ args: cliArgs }])
+    if (readOnly) return readOnly
+
+    if (args.dry_run) {
+      return planResult(`Enable ${pluginKey}`, {
+        claudeReady: await isClaudeAvailable(),
+        steps: [{ args: cliArgs, options: cliOptions }],
+        before: beforeSummary,
+        expected: `${scope}_settings=enabled (${before.scopeState.path})`,
+      })
+    }
+    if (!await isClaudeAvailable()) return failure("Claude CLI not available.")
 
-    return buildMutationReply(
+    const cliResult = await runClaudeWithContext(cliArgs, context, cliOptions)
+
+    const after = await readEnableState(pluginKey, scope, projectPath)
+    const afterSummary = `${summarizePluginState(after.installed, pluginKey)}; ${summarizeEnabledState(after.scopeState, after.enablement)}`
+    const { verified, reason, warning } = verifyEnableChange(cliResult, "enable", pluginKey, true, before, after)
+
+    return mutationResult(
       `Enable ${pluginKey}`,
       cliResult,
       {
@@ -843,54 +2797,60 @@ const plugin_enable = tool({
         verified,
         before: beforeSummary,
         after: afterSummary,
-        reason: stateVerified
-          ? "enabledPlugins state transitioned false->true"
-          : outputVerified
-            ? "CLI output confirms enable operation"
-            : "could not confirm enable transition from settings or output",
+        reason,
         warning,
       },
+      { enablement: after.enablement },
     )
   },
+  render: renderAction,
 })
 
 const plugin_disable = tool({
-  description: "Disable plugin via Claude CLI. Verifies by checking CLI output for explicit disable confirmation.",
+  description: "Disable plugin via Claude CLI. Verifies the enabledPlugins entry in the settings file of the target scope.",
   args: {
     plugin: tool.schema.string().describe("Plugin identifier plugin@marketplace, or name if unique"),
     marketplace: tool.schema.string().optional().describe("Marketplace for name-only plugin value"),
-    scope: tool.schema.enum(["user", "project", "local", "managed"]).optional().describe("Scope if needed by Claude CLI"),
+    scope: tool.schema.enum(["user", "project", "local"]).optional().describe("Scope if needed by Claude CLI"),
+    project_path: projectPathArg,
+    dry_run: dryRunArg,
   },
-  async execute(args) {
-    if (!await isPluginSystemAvailable()) return "Plugin system not found."
-    if (!await isClaudeAvailable()) return "Claude CLI not available."
+  async execute(args, context) {
+    if (!await isPluginSystemAvailable()) return failure("Plugin system not found.")
 
     const resolved = await resolvePluginTarget(args.plugin, args.marketplace)
-    if (!resolved.ok) {
-      const extra = resolved.candidates?.length ? `\nCandidates:\n- ${resolved.candidates.join("\n- ")}` : ""
-      return `${resolved.reason}${extra}`
-    }
+    if (!resolved.ok) return resolveFailure(resolved)
 
     const pluginKey = resolved.target.key
-    const beforeInstalled = await getInstalledPlugins()
-    const beforeEnabled = await getEnabledPluginsMap()
-    const beforeSummary = `${summarizePluginState(beforeInstalled, pluginKey)}; enabled_state=${summarizeEnabledState(beforeEnabled, pluginKey)}`
-
-    const cliArgs = ["plugin", "disable", pluginKey]
-    if (args.scope) cliArgs.push("--scope", args.scope)
-    const cliResult = runClaude(cliArgs)
-
-    const afterInstalled = await getInstalledPlugins()
-    const afterEnabled = await getEnabledPluginsMap()
-    const afterSummary = `${summarizePluginState(afterInstalled, pluginKey)}; enabled_state=${summarizeEnabledState(afterEnabled, pluginKey)}`
-    const outputVerified = verifyEnableDisableOutput(cliResult, "disable", pluginKey)
-    const stateVerified = beforeEnabled[pluginKey] === true && afterEnabled[pluginKey] === false
-    const verified = stateVerified || outputVerified
-    const warning = cliResult.ok && !verified
-      ? "Disable command succeeded but neither settings state nor CLI output provided unambiguous confirmation. This may indicate CLI/settings schema drift."
-      : null
+    // The Claude CLI writes user settings when no scope is given
+    const scope = args.scope ?? "user"
+    const projectPath = args.project_path ? resolve(getProjectRoot(), args.project_path) : getProjectRoot()
+    const before = await readEnableState(pluginKey, scope, projectPath)
+    const beforeSummary = `${summarizePluginState(before.installed, pluginKey)}; ${summarizeEnabledState(before.scopeState, before.enablement)}`
+
+    const cliArgs = await buildClaudeArgs("disable", { plugin: pluginKey, scope: args.scope })
+    // Project and local settings are written relative to the CLI's directory
+    const cliOptions = { cwd: projectPath }
+    const readOnly = await checkReadOnly("plugin", [{ args: cliArgs }])
+    if (readOnly) return readOnly
+
+    if (args.dry_run) {
+      return planResult(`Disable ${pluginKey}`, {
+        claudeReady: await isClaudeAvailable(),
+        steps: [{ args: cliArgs, options: cliOptions }],
+        before: beforeSummary,
+        expected: `${scope}_settings=disabled (${before.scopeState.path})`,
+      })
+    }
+    if (!await isClaudeAvailable()) return failure("Claude CLI not available.")
+
+    const cliResult = await runClaudeWithContext(cliArgs, context, cliOptions)
+
+    const after = await readEnableState(pluginKey, scope, projectPath)
+    const afterSummary = `${summarizePluginState(after.installed, pluginKey)}; ${summarizeEnabledState(after.scopeState, after.enablement)}`
+    const { verified, reason, warning } = verifyEnableChange(cliResult, "disable", pluginKey, false, before, after)
 
-    return buildMutationReply(
+    return mutationResult(
       `Disable ${pluginKey}`,
       cliResult,
       {
@@ -898,42 +2858,48 @@ const plugin_disable = tool({
         verified,
         before: beforeSummary,
         after: afterSummary,
-        reason: stateVerified
-          ? "enabledPlugins state transitioned true->false"
-          : outputVerified
-            ? "CLI output confirms disable operation"
-            : "could not confirm disable transition from settings or output",
+        reason,
         warning,
       },
+      { enablement: after.enablement },
     )
   },
+  render: renderAction,
 })
 
 const marketplace_list = tool({
   description: "List registered marketplaces and loaded catalog details.",
   args: {},
   async execute() {
-    if (!await isPluginSystemAvailable()) return "Plugin system not found."
+    if (!await isPluginSystemAvailable()) return failure("Plugin system not found.")
 
     const known = await getKnownMarketplaces()
     const catalogs = await getAllMarketplaceCatalogs()
     const names = new Set([...Object.keys(known), ...catalogs.map((c) => c.marketplaceName)])
 
-    if (!names.size) {
+    const marketplaces = Array.from(names).sort().map((name) => {
+      const meta = known[name]
+      const catalog = catalogs.find((row) => row.marketplaceName === name)
+      return {
+        name,
+        plugins: catalog?.catalog?.plugins?.length ?? 0,
+        source: meta?.source?.repo ?? meta?.source?.url ?? meta?.source?.source ?? "unknown",
+        updated: meta?.lastUpdated ?? catalog?.mtime ?? null,
+      }
+    })
+    return { ok: true, marketplaces }
+  },
+  render(result) {
+    if (!result.marketplaces.length) {
       return "No marketplaces registered."
     }
 
     const lines = []
-    lines.push(`**Marketplaces: ${names.size}**`)
+    lines.push(`**Marketplaces: ${result.marketplaces.length}**`)
     lines.push("")
 
-    for (const name of Array.from(names).sort()) {
-      const meta = known[name]
-      const catalog = catalogs.find((row) => row.marketplaceName === name)
-      const source = meta?.source?.repo ?? meta?.source?.url ?? meta?.source?.source ?? "unknown"
-      const count = catalog?.catalog?.plugins?.length ?? 0
-      const updated = meta?.lastUpdated ?? catalog?.mtime ?? "unknown"
-      lines.push(`- ${name}: plugins=${count}, source=${source}, updated=${updated}`)
+    for (const marketplace of result.marketplaces) {
+      lines.push(`- ${marketplace.name}: plugins=${marketplace.plugins}, source=${marketplace.source}, updated=${marketplace.updated ?? "unknown"}`)
     }
 
     return lines.join("\n")
@@ -944,13 +2910,28 @@ const marketplace_add = tool({
   description: "Add marketplace using Claude CLI (`claude plugin marketplace add`) and verify known_marketplaces.json changed.",
   args: {
     source: tool.schema.string().describe("Marketplace source (owner/repo, git URL, local path, or marketplace.json URL)"),
+    dry_run: dryRunArg,
   },
-  async execute(args) {
-    if (!await isPluginSystemAvailable()) return "Plugin system not found."
-    if (!await isClaudeAvailable()) return "Claude CLI not available."
+  async execute(args, context) {
+    if (!await isPluginSystemAvailable()) return failure("Plugin system not found.")
 
     const before = await getKnownMarketplaces()
-    const cliResult = runClaude(["plugin", "marketplace", "add", args.source])
+    const cliArgs = await buildClaudeArgs("marketplace_add", { source: args.source })
+    const readOnly = await checkReadOnly("marketplace", [{ args: cliArgs }])
+    if (readOnly) return readOnly
+
+    if (args.dry_run) {
+      const count = Object.keys(before).length
+      return planResult(`Add marketplace ${args.source}`, {
+        claudeReady: await isClaudeAvailable(),
+        steps: [{ args: cliArgs }],
+        before: `${count} marketplace key(s)`,
+        expected: `${count + 1} marketplace key(s), new key for ${args.source}`,
+      })
+    }
+    if (!await isClaudeAvailable()) return failure("Claude CLI not available.")
+
+    const cliResult = await runClaudeWithContext(cliArgs, context)
     const after = await getKnownMarketplaces()
 
     const beforeKeys = new Set(Object.keys(before))
@@ -962,7 +2943,7 @@ const marketplace_add = tool({
       : null
     const afterSummary = `${afterKeys.size} marketplace key(s)${added.length ? `, added=[${added.join(", ")}]` : ""}`
 
-    return buildMutationReply(
+    return mutationResult(
       `Add marketplace ${args.source}`,
       cliResult,
       {
@@ -975,21 +2956,36 @@ const marketplace_add = tool({
       },
     )
   },
+  render: renderAction,
 })
 
 const marketplace_update = tool({
   description: "Update one marketplace or all marketplaces using Claude CLI and verify known_marketplaces.json timestamps.",
   args: {
     marketplace: tool.schema.string().optional().describe("Marketplace name. Omit to update all."),
+    dry_run: dryRunArg,
   },
-  async execute(args) {
-    if (!await isPluginSystemAvailable()) return "Plugin system not found."
-    if (!await isClaudeAvailable()) return "Claude CLI not available."
+  async execute(args, context) {
+    if (!await isPluginSystemAvailable()) return failure("Plugin system not found.")
 
     const before = await getKnownMarketplaces()
-    const cliArgs = ["plugin", "marketplace", "update"]
-    if (args.marketplace) cliArgs.push(args.marketplace)
-    const cliResult = runClaude(cliArgs)
+    const cliArgs = await buildClaudeArgs("marketplace_update", { marketplace: args.marketplace })
+    const readOnly = await checkReadOnly("marketplace", [{ args: cliArgs }])
+    if (readOnly) return readOnly
+
+    if (args.dry_run) {
+      const targets = args.marketplace ? [args.marketplace] : Object.keys(before).sort()
+      return planResult(`Update marketplace${args.marketplace ? ` ${args.marketplace}` : "s"}`, {
+        claudeReady: await isClaudeAvailable(),
+        steps: [{ args: cliArgs }],
+        before: `${Object.keys(before).length} marketplace key(s)`,
+        expected: "same marketplace keys, lastUpdated refreshed for each target",
+        items: targets.map((target) => `${target}: ${summarizeMarketplaceState(before, target)}`),
+      })
+    }
+    if (!await isClaudeAvailable()) return failure("Claude CLI not available.")
+
+    const cliResult = await runClaudeWithContext(cliArgs, context)
     const after = await getKnownMarketplaces()
 
     const targets = args.marketplace ? [args.marketplace] : Object.keys(after)
@@ -1011,7 +3007,7 @@ const marketplace_update = tool({
       ? "CLI reported success but marketplace state could not be confirmed from known_marketplaces.json."
       : null
 
-    return buildMutationReply(
+    return mutationResult(
       `Update marketplace${args.marketplace ? ` ${args.marketplace}` : "s"}`,
       cliResult,
       {
@@ -1028,19 +3024,38 @@ const marketplace_update = tool({
       },
     )
   },
+  render: renderAction,
 })
 
 const marketplace_remove = tool({
   description: "Remove marketplace via Claude CLI and verify key removal in known_marketplaces.json.",
   args: {
     marketplace: tool.schema.string().describe("Marketplace name to remove"),
+    dry_run: dryRunArg,
   },
-  async execute(args) {
-    if (!await isPluginSystemAvailable()) return "Plugin system not found."
-    if (!await isClaudeAvailable()) return "Claude CLI not available."
+  async execute(args, context) {
+    if (!await isPluginSystemAvailable()) return failure("Plugin system not found.")
 
     const before = await getKnownMarketplaces()
-    const cliResult = runClaude(["plugin", "marketplace", "remove", args.marketplace])
+    const cliArgs = await buildClaudeArgs("marketplace_remove", { marketplace: args.marketplace })
+    const readOnly = await checkReadOnly("marketplace", [{ args: cliArgs }])
+    if (readOnly) return readOnly
+
+    if (args.dry_run) {
+      const dependents = summarizeInstalled(await getInstalledPlugins())
+        .filter((row) => row.marketplace === args.marketplace)
+      return planResult(`Remove marketplace ${args.marketplace}`, {
+        claudeReady: await isClaudeAvailable(),
+        steps: [{ args: cliArgs }],
+        before: summarizeMarketplaceState(before, args.marketplace),
+        expected: "missing",
+        items: dependents.map((row) => `installed from this marketplace: ${row.key}`),
+        warning: before[args.marketplace] ? null : `Marketplace \`${args.marketplace}\` is not registered; the CLI is expected to fail.`,
+      })
+    }
+    if (!await isClaudeAvailable()) return failure("Claude CLI not available.")
+
+    const cliResult = await runClaudeWithContext(cliArgs, context)
     const after = await getKnownMarketplaces()
 
     const verified = Boolean(before[args.marketplace]) && !after[args.marketplace]
@@ -1048,7 +3063,7 @@ const marketplace_remove = tool({
       ? "CLI reported success but marketplace key still exists. Removal semantics may have changed."
       : null
 
-    return buildMutationReply(
+    return mutationResult(
       `Remove marketplace ${args.marketplace}`,
       cliResult,
       {
@@ -1061,17 +3076,497 @@ const marketplace_remove = tool({
       },
     )
   },
+  render: renderAction,
+})
+
+// A directory path wins over a registered name, so a checkout can be linted
+// under the same name it will be published as.
+async function resolveMarketplaceRoot(target) {
+  const isDir = async (path) => await readdir(path).then(() => true, () => false)
+  const path = resolve(getProjectRoot(), target)
+  if (await isDir(path)) return { ok: true, root: path, registered: false }
+  const catalog = await getMarketplaceCatalog(target)
+  if (catalog) return { ok: true, root: resolve(catalog.path, "..", ".."), registered: true }
+  if (await isDir(getMarketplaceDir(target))) return { ok: true, root: getMarketplaceDir(target), registered: true }
+  return { ok: false, reason: `\`${target}\` is neither a directory nor a registered marketplace. Use \`marketplace_list\` for names.` }
+}
+
+const LEVEL_LABELS = { error: "ERROR", warning: "WARN", info: "INFO" }
+
+const marketplace_validate = tool({
+  description: "Lint a local marketplace directory or a registered marketplace before publishing: required fields, duplicate names, semver, source paths, plugin.json, README and SKILL.md frontmatter. Returns a pass/fail report with file:line findings.",
+  args: {
+    target: tool.schema.string().describe("Marketplace directory (absolute or relative to the project root), or a registered marketplace name"),
+    include_warnings: tool.schema.boolean().optional().describe("List warnings and notes as well as errors, default true"),
+  },
+  async execute(args) {
+    const resolved = await resolveMarketplaceRoot(args.target)
+    if (!resolved.ok) return failure(resolved.reason)
+    const report = await validateMarketplaceDir(resolved.root)
+    return { ok: true, target: args.target, registered: resolved.registered, includeWarnings: args.include_warnings !== false, report }
+  },
+  render(result) {
+    const { report } = result
+    const shown = result.includeWarnings ? report.findings : report.findings.filter((finding) => finding.level === "error")
+    const lines = []
+    lines.push(`# Validate marketplace ${report.name ?? result.target}`)
+    lines.push("")
+    lines.push(`- result: ${report.passed ? "PASS" : "FAIL"}`)
+    lines.push(`- path: ${report.path}${result.registered ? " (registered)" : ""}`)
+    lines.push(`- plugins: ${report.plugins}`)
+    lines.push(`- findings: ${report.errors} error(s), ${report.warnings} warning(s)`)
+    if (shown.length) {
+      lines.push("")
+      for (const finding of shown) {
+        const location = finding.line ? `${finding.file}:${finding.line}` : finding.file
+        lines.push(`- [${LEVEL_LABELS[finding.level]}] ${location}: ${finding.message}`)
+      }
+    }
+    if (report.passed) {
+      lines.push("")
+      lines.push(result.registered
+        ? "The catalog is valid. Run `marketplace_update` to pick up the latest changes."
+        : `The catalog is valid. Add it with \`marketplace_add source="${report.root}"\`.`)
+    }
+    return lines.join("\n")
+  },
+})
+
+function findRegisteredMarketplace(known, root) {
+  return Object.keys(known).find((name) => {
+    const entry = known[name]
+    return entry?.installLocation === root || (entry?.source?.source === "directory" && entry.source.path === root)
+  }) ?? null
+}
+
+const plugin_scaffold = tool({
+  description: "Generate a plugin skeleton (plugin.json, README, optional skill, command, agent, hooks and .mcp.json) inside a local marketplace and register it in marketplace.json, creating the marketplace if needed.",
+  args: {
+    name: tool.schema.string().describe("Plugin name: lowercase letters, digits, dots, dashes or underscores"),
+    marketplace_path: tool.schema.string().describe("Local marketplace directory (absolute or relative to the project root). Created with a new marketplace.json if it has none."),
+    marketplace_name: tool.schema.string().optional().describe("Name for a new marketplace, default the directory name. Ignored when marketplace.json exists."),
+    owner: tool.schema.string().optional().describe("Author and, for a new marketplace, owner name"),
+    description: tool.schema.string().optional().describe("One-line plugin description"),
+    version: tool.schema.string().optional().describe("Initial version, default 0.1.0"),
+    components: tool.schema.array(tool.schema.enum(SCAFFOLD_COMPONENTS)).optional().describe("Optional parts to generate: skill, command, agent, hooks, mcp"),
+    dry_run: tool.schema.boolean().optional().describe("List the files and catalog change without writing anything"),
+  },
+  async execute(args) {
+    const plan = await planScaffold({
+      name: args.name,
+      marketplacePath: resolve(getProjectRoot(), args.marketplace_path),
+      marketplaceName: args.marketplace_name,
+      owner: args.owner,
+      description: args.description,
+      version: args.version,
+      components: args.components ?? [],
+    })
+    if (!plan.ok) return failure(`Cannot scaffold \`${args.name}\`: ${plan.reason}`)
+
+    const catalogChange = `${plan.createsMarketplace ? "create" : "update"} ${plan.catalogPath} (${plan.catalog.plugins.length} plugin(s))`
+    if (args.dry_run) {
+      return planResult(`Scaffold ${plan.entry.name}`, {
+        claudeReady: await isClaudeAvailable(),
+        steps: [],
+        before: plan.createsMarketplace ? "no marketplace.json" : `${plan.catalog.plugins.length - 1} plugin(s) in ${plan.marketplaceName}`,
+        expected: `${plan.files.length} new file(s) under ${plan.pluginDir}; ${catalogChange}`,
+        items: [...plan.files.map((file) => `write ${file.path}`), catalogChange],
+      })
+    }
+
+    await writeScaffold(plan)
+    const registered = await isPluginSystemAvailable() ? findRegisteredMarketplace(await getKnownMarketplaces(), plan.root) : null
+    return {
+      ok: true,
+      kind: "scaffold",
+      plugin: `${plan.entry.name}@${plan.marketplaceName}`,
+      root: plan.root,
+      pluginDir: plan.pluginDir,
+      catalogPath: plan.catalogPath,
+      createdMarketplace: plan.createsMarketplace,
+      files: plan.files.map((file) => file.path),
+      registered,
+      validation: await validateMarketplaceDir(plan.root),
+    }
+  },
+  render(result) {
+    if (result.kind === "plan") return renderPlan(result)
+    const { validation } = result
+    const lines = []
+    lines.push(`# Scaffold ${result.plugin}`)
+    lines.push("")
+    lines.push(`- plugin_dir: ${result.pluginDir}`)
+    lines.push(`- marketplace: ${result.createdMarketplace ? "created" : "updated"} ${result.catalogPath}`)
+    lines.push(`- validation: ${validation.passed ? "PASS" : "FAIL"} (${validation.errors} error(s), ${validation.warnings} warning(s))`)
+    lines.push("")
+    lines.push("## Files")
+    lines.push(...result.files.map((file) => `- ${relative(result.root, file)}`))
+    const errors = validation.findings.filter((finding) => finding.level === "error")
+    if (errors.length) {
+      lines.push("")
+      lines.push("## Validation errors")
+      lines.push(...errors.map((finding) => `- ${finding.line ? `${finding.file}:${finding.line}` : finding.file}: ${finding.message}`))
+    }
+    lines.push("")
+    lines.push("## Next")
+    lines.push(result.registered
+      ? `- \`marketplace_update marketplace="${result.registered}"\` to pick up the new plugin`
+      : `- \`marketplace_add source="${result.root}"\` to register the marketplace`)
+    lines.push(`- \`plugin_install plugin="${result.plugin}"\` to try it`)
+    return lines.join("\n")
+  },
+})
+
+const plugin_audit = tool({
+  description: "Security audit of a plugin's hooks, scripts and MCP servers. Scans the installed path or the not-yet-installed marketplace source for risky patterns and returns a severity-rated report.",
+  args: {
+    plugin: tool.schema.string().describe("Plugin identifier plugin@marketplace, or name if unique"),
+    marketplace: tool.schema.string().optional().describe("Marketplace for name-only plugin value"),
+    source: tool.schema.enum(["installed", "marketplace"]).optional().describe("What to scan. Defaults to the installed path when installed, otherwise the marketplace source."),
+    min_severity: tool.schema.enum(SEVERITIES).optional().describe("Hide findings below this severity, default low"),
+  },
+  async execute(args) {
+    if (!await isPluginSystemAvailable()) return failure("Plugin system not found.")
+
+    const resolved = await resolvePluginTarget(args.plugin, args.marketplace)
+    if (!resolved.ok) return resolveFailure(resolved)
+
+    const audit = await runPluginAudit(resolved.target, args.source)
+    if (!audit.ok) {
+      return failure(`Cannot audit \`${resolved.target.key}\`: ${audit.reason}`)
+    }
+    return { ok: true, plugin: resolved.target.key, origin: audit.origin, minSeverity: args.min_severity ?? "low", report: audit.report }
+  },
+  render(result) {
+    const lines = []
+    lines.push(`# Audit ${result.plugin}`)
+    lines.push("")
+    lines.push(renderAuditReport(result, result.minSeverity))
+    lines.push("")
+    lines.push("Findings are pattern matches, not proof of malicious behavior. Read the flagged lines before trusting or rejecting the plugin.")
+    return lines.join("\n")
+  },
+})
+
+const plugin_preview = tool({
+  description: "Preview what a plugin contains before installing: README, skills (SKILL.md name/description), commands, agents, hooks, MCP/LSP servers and plugin.json, read from the marketplace clone.",
+  args: {
+    plugin: tool.schema.string().describe("Plugin identifier plugin@marketplace, or name if unique"),
+    marketplace: tool.schema.string().optional().describe("Marketplace for name-only plugin value"),
+    readme_lines: tool.schema.number().int().min(0).max(500).optional().describe("Max README lines to include, default 60. Use 0 to omit the README."),
+  },
+  async execute(args) {
+    if (!await isPluginSystemAvailable()) return failure("Plugin system not found.")
+
+    const resolved = await resolvePluginTarget(args.plugin, args.marketplace)
+    if (!resolved.ok) return resolveFailure(resolved)
+
+    const { key, name, marketplace } = resolved.target
+    const entry = await findCatalogPlugin(name, marketplace)
+    if (!entry) {
+      return failure(`\`${key}\` is not listed in the ${marketplace} catalog. Use \`plugin_info\` for installed-only plugins.`)
+    }
+
+    const source = resolvePluginSourceDir(marketplace, entry)
+    if (!source.ok) {
+      return failure(`Cannot preview \`${key}\`: ${source.reason}. Source: \`${JSON.stringify(entry.source)}\``)
+    }
+
+    const components = await inspectPluginComponents(source.path, entry)
+    if (!components) {
+      return failure(`Cannot preview \`${key}\`: source directory not found at ${source.path}. Try \`marketplace_update\`.`)
+    }
+
+    return {
+      ok: true,
+      plugin: key,
+      source: source.path,
+      catalogVersion: entry.version ?? null,
+      description: entry.description ?? null,
+      readmeLines: args.readme_lines ?? 60,
+      components,
+    }
+  },
+  render(result) {
+    const { components } = result
+    const lines = []
+    lines.push(`# Preview ${result.plugin}`)
+    lines.push("")
+    lines.push(`- source: ${result.source}`)
+    lines.push(`- catalog_version: ${result.catalogVersion ?? "unknown"}`)
+    lines.push(`- manifest_version: ${components.manifest?.version ?? "unknown"}`)
+    if (result.description) lines.push(`- description: ${result.description}`)
+    lines.push("")
+    lines.push(renderPluginComponents(components))
+    lines.push("")
+    lines.push("## Manifest (.claude-plugin/plugin.json)")
+    if (components.manifest) {
+      lines.push("```json")
+      lines.push(JSON.stringify(components.manifest, null, 2))
+      lines.push("```")
+    } else {
+      lines.push("- none (catalog entry acts as the manifest)")
+    }
+
+    const readmeLines = result.readmeLines
+    if (readmeLines > 0) {
+      lines.push("")
+      lines.push("## README")
+      if (components.readme) {
+        const readme = components.readme.trim().split("\n")
+        lines.push(...readme.slice(0, readmeLines))
+        if (readme.length > readmeLines) {
+          lines.push("")
+          lines.push(`… ${readme.length - readmeLines} more line(s). Raise \`readme_lines\` to see more.`)
+        }
+      } else {
+        lines.push("- none")
+      }
+    }
+
+    return lines.join("\n")
+  },
+})
+
+function resolveLockfilePath(path) {
+  return path?.trim() ? resolve(getProjectRoot(), path.trim()) : getDefaultLockfilePath()
+}
+
+function renderDriftItems(items) {
+  if (!items.length) return ["No drift. Machine matches the lockfile."]
+  return items.map((item) => `- ${formatDriftItem(item)}`)
+}
+
+const lockfile_export = tool({
+  description: "Export installed plugins (key, scope, version, gitCommitSha) and known marketplace sources to a lockfile that can be committed to a repository.",
+  args: {
+    path: tool.schema.string().optional().describe(`Lockfile path. Defaults to ./${LOCKFILE_NAME} in the current project.`),
+  },
+  async execute(args) {
+    if (!await isPluginSystemAvailable()) return failure("Plugin system not found.")
+
+    const path = resolveLockfilePath(args.path)
+    const lock = buildLockfile(await getInstalledPlugins(), await getKnownMarketplaces(), {
+      projectPath: getLockfileProjectPath(path),
+    })
+    await writeLockfile(path, lock)
+    return { ok: true, path, lock }
+  },
+  render(result) {
+    const { lock } = result
+    const lines = []
+    lines.push("# Export lockfile")
+    lines.push("")
+    lines.push(`- path: ${result.path}`)
+    lines.push(`- marketplaces: ${Object.keys(lock.marketplaces).length}`)
+    lines.push(`- plugins: ${lock.plugins.length}`)
+    lines.push("")
+    for (const entry of lock.plugins) {
+      lines.push(`- ${entry.key} (scope=${entry.scope}, version=${entry.version ?? "unknown"}, sha=${entry.gitCommitSha ?? "unknown"})`)
+    }
+    lines.push("")
+    lines.push("Commit this file so teammates can run `lockfile_apply` and `lockfile_check`.")
+    return lines.join("\n")
+  },
+})
+
+const lockfile_check = tool({
+  description: "Report drift between a plugin lockfile and the plugins and marketplaces installed on this machine. Read-only.",
+  args: {
+    path: tool.schema.string().optional().describe(`Lockfile path. Defaults to ./${LOCKFILE_NAME} in the current project.`),
+  },
+  async execute(args) {
+    if (!await isPluginSystemAvailable()) return failure("Plugin system not found.")
+
+    const path = resolveLockfilePath(args.path)
+    const loaded = await readLockfile(path)
+    if (!loaded.ok) return failure(loaded.reason)
+
+    const items = computeLockfileDrift(loaded.lock, await getInstalledPlugins(), await getKnownMarketplaces(), {
+      projectPath: getLockfileProjectPath(path),
+    })
+    return { ok: true, path, drift: items }
+  },
+  render(result) {
+    const items = result.drift
+    const lines = []
+    lines.push("# Lockfile drift")
+    lines.push("")
+    lines.push(`- path: ${result.path}`)
+    lines.push(`- drift_items: ${items.length}`)
+    lines.push("")
+    lines.push(...renderDriftItems(items))
+    if (items.some((item) => item.kind === "marketplace_missing" || item.kind === "plugin_missing")) {
+      lines.push("")
+      lines.push("Run `lockfile_apply` to add missing marketplaces and install missing plugins.")
+    }
+    return lines.join("\n")
+  },
+})
+
+async function planLockfileApply(driftItems, projectPath) {
+  const steps = []
+  for (const item of driftItems.filter((entry) => entry.kind === "marketplace_missing")) {
+    if (!item.expected) continue
+    steps.push({ args: await buildClaudeArgs("marketplace_add", { source: item.expected }) })
+  }
+  for (const item of driftItems.filter((entry) => entry.kind === "plugin_missing")) {
+    const options = {}
+    if (item.scope === "project" || item.scope === "local") options.cwd = projectPath
+    steps.push({ args: await buildClaudeArgs("install", { plugin: item.key, scope: item.scope }), options })
+  }
+  return steps
+}
+
+const lockfile_apply = tool({
+  description: "Apply a plugin lockfile via Claude CLI: add missing marketplaces, install missing plugins at their locked scope, then re-check drift.",
+  args: {
+    path: tool.schema.string().optional().describe(`Lockfile path. Defaults to ./${LOCKFILE_NAME} in the current project.`),
+    dry_run: dryRunArg,
+  },
+  async execute(args, context) {
+    if (!await isPluginSystemAvailable()) return failure("Plugin system not found.")
+
+    const path = resolveLockfilePath(args.path)
+    const loaded = await readLockfile(path)
+    if (!loaded.ok) return failure(loaded.reason)
+
+    const projectPath = getLockfileProjectPath(path)
+    const driftBefore = computeLockfileDrift(loaded.lock, await getInstalledPlugins(), await getKnownMarketplaces(), { projectPath })
+    const steps = await planLockfileApply(driftBefore, projectPath)
+    const readOnly = await checkReadOnly("all", steps, projectPath)
+    if (readOnly) return readOnly
+
+    if (args.dry_run) {
+      const missing = driftBefore.filter((item) => item.kind === "marketplace_missing" || item.kind === "plugin_missing")
+      return planResult("Apply lockfile", {
+        claudeReady: await isClaudeAvailable(),
+        steps,
+        before: `${driftBefore.length} drift item(s)`,
+        expected: `${driftBefore.length - missing.length} drift item(s), no missing marketplaces or plugins`,
+        items: driftBefore.map(formatDriftItem),
+      }, { path, drift: driftBefore })
+    }
+    if (!await isClaudeAvailable()) return failure("Claude CLI not available.")
+
+    const results = []
+    for (const step of steps) {
+      if (context?.abort?.aborted) break
+      results.push(await runClaudeWithContext(step.args, context, step.options))
+    }
+
+    const driftAfter = computeLockfileDrift(loaded.lock, await getInstalledPlugins(), await getKnownMarketplaces(), { projectPath })
+    const remainingMissing = driftAfter.filter((item) => item.kind === "marketplace_missing" || item.kind === "plugin_missing")
+    const versionDrift = driftAfter.filter((item) => item.kind === "version_mismatch" || item.kind === "commit_mismatch")
+    const failed = results.filter((result) => !result.ok).length
+    const verified = remainingMissing.length === 0
+
+    return {
+      ok: failed === 0 && verified,
+      kind: "mutation",
+      title: "Apply lockfile",
+      path,
+      commands: results,
+      notRun: steps.length - results.length,
+      verification: {
+        exitCode: failed ? `${failed} command(s) failed` : 0,
+        verified,
+        before: `${driftBefore.length} drift item(s)`,
+        after: `${driftAfter.length} drift item(s)`,
+        reason: verified ? "all locked marketplaces and plugins are present" : `${remainingMissing.length} locked item(s) still missing`,
+        warning: versionDrift.length
+          ? `${versionDrift.length} plugin(s) differ from the locked version or commit. Claude CLI installs the current catalog version, so pin the marketplace or re-export the lockfile.`
+          : null,
+      },
+      drift: driftAfter,
+    }
+  },
+  render(result) {
+    if (result.kind === "plan") return renderPlan(result)
+
+    const lines = []
+    lines.push("# Apply lockfile")
+    lines.push("")
+    lines.push(`- path: ${result.path}`)
+    lines.push("")
+
+    if (result.notRun) {
+      lines.push(`Cancelled: ${result.notRun} of ${result.commands.length + result.notRun} command(s) not run.`)
+      lines.push("")
+    }
+
+    if (!result.commands.length) {
+      lines.push("Nothing to add or install.")
+      lines.push("")
+    }
+    for (const command of result.commands) {
+      lines.push(renderCommandResult(command))
+      lines.push("")
+    }
+
+    lines.push(formatVerificationBlock(result.verification))
+
+    if (result.drift.length) {
+      lines.push("")
+      lines.push("## Remaining drift")
+      lines.push(...renderDriftItems(result.drift))
+    }
+    if (result.commands.some((command) => command.ok)) {
+      lines.push("")
+      lines.push("Restart OpenCode to ensure newly installed/updated content is reloaded by plugins.")
+    }
+    return lines.join("\n")
+  },
 })
 
-export const ClaudeMarketplaceBridge = async () => {
+async function deliverUpdateNotice(sessionID, message, mode) {
+  if (mode === "session") {
+    // noReply adds the notice to the session without starting a turn
+    await progressClient?.session?.prompt({
+      path: { id: sessionID },
+      body: { noReply: true, parts: [{ type: "text", text: `Claude plugins: ${message}` }] },
+    })
+    return
+  }
+  await progressClient?.tui?.showToast({ body: { title: "Claude plugin updates", message, variant: "info" } })
+}
+
+// A new top-level session is the closest thing to "startup" the plugin API
+// offers. The check itself is throttled in lib/notify.js and never fetches.
+async function handleEvent({ event }) {
+  if (event?.type !== "session.created") return
+  const session = event.properties?.info
+  // Subagent sessions have a parent and would repeat the notice
+  if (!session?.id || session.parentID) return
+  try {
+    const report = await runScheduledUpdateCheck()
+    const message = report ? formatUpdateNotice(report) : null
+    if (message) await deliverUpdateNotice(session.id, message, getUpdateCheckSettings().notice)
+  } catch {
+    // notices are best effort
+  }
+}
+
+export const ClaudeMarketplaceBridge = async (input) => {
+  progressClient = input?.client ?? null
+  configureProjectDirectory({ directory: input?.directory, worktree: input?.worktree })
   return {
-    tool: {
+    event: handleEvent,
+    tool: finalizeTools({
       plugin_search,
       plugin_info,
+      plugin_preview,
+      plugin_audit,
       plugin_list,
+      plugin_projects,
+      plugin_disk_usage,
       plugin_status,
+      plugin_conflicts,
+      plugin_profile,
       plugin_install,
       plugin_uninstall,
+      plugin_prune,
+      plugin_gc,
       plugin_update,
       plugin_enable,
       plugin_disable,
@@ -1079,8 +3574,17 @@ export const ClaudeMarketplaceBridge = async () => {
       marketplace_add,
       marketplace_update,
       marketplace_remove,
+      marketplace_validate,
+      plugin_scaffold,
       update_all,
-    },
+      plugin_snapshots,
+      plugin_rollback,
+      plugin_outdated,
+      plugin_changes,
+      lockfile_export,
+      lockfile_check,
+      lockfile_apply,
+    }),
   }
 }
 
@@ -0,0 +1,100 @@
+import { getClaudeBinary, runClaude } from "./cli.js"
+import { readBridgeConfig } from "./profiles.js"
+import { compareVersions } from "./semver.js"
+
+function scopeArgs(scope) {
+  return scope ? ["--scope", scope] : []
+}
+
+// The one place that knows how bridge operations map onto `claude` arguments.
+export const CLI_VERBS = {
+  install: ({ plugin, scope }) => ["plugin", "install", plugin, ...scopeArgs(scope)],
+  uninstall: ({ plugin, scope }) => ["plugin", "uninstall", plugin, ...scopeArgs(scope)],
+  update: ({ plugin, scope }) => ["plugin", "update", plugin, ...scopeArgs(scope)],
+  enable: ({ plugin, scope }) => ["plugin", "enable", plugin, ...scopeArgs(scope)],
+  disable: ({ plugin, scope }) => ["plugin", "disable", plugin, ...scopeArgs(scope)],
+  marketplace_add: ({ source }) => ["plugin", "marketplace", "add", source],
+  marketplace_update: ({ marketplace }) => ["plugin", "marketplace", "update", ...(marketplace ? [marketplace] : [])],
+  marketplace_remove: ({ marketplace }) => ["plugin", "marketplace", "remove", marketplace],
+}
+
+// Flag differences between CLI releases, applied on top of CLI_VERBS. Each
+// quirk may name `verbs`, a version window (`from` inclusive, `below`
+// exclusive), flags to `drop` together with their value, and flags to
+// `rename`. Quirks with a version window never apply to an unknown version.
+// `cli.quirks` in the bridge config adds to these.
+export const BUILTIN_CLI_QUIRKS = []
+
+const detectedVersions = new Map()
+
+export function getCliQuirks() {
+  const configured = readBridgeConfig().cli?.quirks
+  return [...BUILTIN_CLI_QUIRKS, ...(Array.isArray(configured) ? configured.filter((quirk) => quirk && typeof quirk === "object") : [])]
+}
+
+function quirkApplies(quirk, verb, version) {
+  if (Array.isArray(quirk.verbs) && !quirk.verbs.includes(verb)) return false
+  if (!quirk.from && !quirk.below) return true
+  // compareVersions is null for an unknown version, and `null >= 0` is true
+  const fromOrder = quirk.from ? compareVersions(version, quirk.from) : 0
+  const belowOrder = quirk.below ? compareVersions(version, quirk.below) : -1
+  if (fromOrder === null || belowOrder === null) return false
+  return fromOrder >= 0 && belowOrder < 0
+}
+
+function dropFlag(args, flag) {
+  const result = []
+  for (let i = 0; i < args.length; i += 1) {
+    if (args[i] === flag) {
+      i += 1
+      continue
+    }
+    result.push(args[i])
+  }
+  return result
+}
+
+export function applyCliQuirks(verb, args, version, quirks = getCliQuirks()) {
+  let result = [...args]
+  for (const quirk of quirks) {
+    if (!quirkApplies(quirk, verb, version)) continue
+    for (const flag of Array.isArray(quirk.drop) ? quirk.drop : []) {
+      result = dropFlag(result, flag)
+    }
+    for (const [from, to] of Object.entries(quirk.rename ?? {})) {
+      result = result.map((arg) => arg === from ? to : arg)
+    }
+  }
+  return result
+}
+
+export function parseCliVersion(output) {
+  return output?.match(/\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?/)?.[0] ?? null
+}
+
+// Runs `--version` and remembers the result per binary, so argument building
+// knows which quirks apply.
+export async function probeClaude() {
+  const binary = getClaudeBinary().label
+  const result = await runClaude(["--version"])
+  const probe = {
+    ok: result.ok,
+    binary,
+    version: result.ok ? parseCliVersion(result.stdout) : null,
+    error: result.ok ? null : result.stderr.trim() || `exit ${result.exitCode}`,
+  }
+  if (result.ok) detectedVersions.set(binary, probe)
+  return probe
+}
+
+export async function getClaudeVersion() {
+  const cached = detectedVersions.get(getClaudeBinary().label)
+  if (cached) return cached.version
+  return (await probeClaude()).version
+}
+
+export async function buildClaudeArgs(verb, params = {}) {
+  const build = CLI_VERBS[verb]
+  if (!build) throw new Error(`Unknown CLI verb: ${verb}`)
+  return applyCliQuirks(verb, build(params), await getClaudeVersion())
+}
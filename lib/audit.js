@@ -0,0 +1,214 @@
+import { readFile, readdir, stat } from "node:fs/promises"
+import { extname, join, relative } from "node:path"
+import { inspectPluginComponents } from "./components.js"
+
+export const SEVERITIES = ["info", "low", "medium", "high", "critical"]
+
+const SCANNED_EXTENSIONS = new Set([
+  ".js", ".mjs", ".cjs", ".ts", ".mts", ".cts", ".jsx", ".tsx",
+  ".sh", ".bash", ".zsh", ".fish", ".ps1", ".bat", ".cmd",
+  ".py", ".rb", ".pl", ".php",
+  ".json", ".yaml", ".yml", ".toml",
+])
+const SKIPPED_DIRS = new Set([".git", "node_modules"])
+const MAX_FILE_BYTES = 512 * 1024
+const MAX_FILES = 2000
+
+const RULES = [
+  {
+    id: "pipe-to-interpreter",
+    severity: "critical",
+    title: "Downloads and pipes into an interpreter",
+    pattern: /\b(curl|wget|iwr|Invoke-WebRequest)\b[^\n]*\|\s*(sudo\s+)?(sh|bash|zsh|dash|python3?|node|perl|ruby|iex)\b/i,
+  },
+  {
+    id: "rm-rf-root",
+    severity: "critical",
+    title: "Recursive delete of home or root",
+    pattern: /\brm\s+-[a-zA-Z]*(rf|fr)[a-zA-Z]*\s+(--no-preserve-root\s+)?("|')?(\/|~|\$HOME|\$\{HOME\})("|')?(\s|$|\/\s|\/\*)/,
+  },
+  {
+    id: "rm-rf",
+    severity: "high",
+    title: "Recursive forced delete",
+    pattern: /\brm\s+-[a-zA-Z]*(rf|fr)[a-zA-Z]*\b|rmSync\([^)]*recursive:\s*true|rimraf\(/,
+  },
+  {
+    id: "credential-read",
+    severity: "high",
+    title: "Touches credential files or secrets",
+    pattern: /(\.ssh\/|id_rsa|id_ed25519|\.aws\/credentials|\.netrc|\.git-credentials|\.npmrc|\.pypirc|\.docker\/config\.json|\.config\/gh\/hosts|\.kube\/config|login\.keychain|security\s+find-generic-password|ANTHROPIC_API_KEY|AWS_SECRET_ACCESS_KEY|GITHUB_TOKEN|NPM_TOKEN)/,
+  },
+  {
+    id: "dynamic-eval",
+    severity: "high",
+    title: "Evaluates dynamically built code",
+    pattern: /\beval\s*\(|new\s+Function\s*\(|\bexec\s*\(\s*(atob|Buffer\.from|base64)/,
+  },
+  {
+    id: "base64-decode",
+    severity: "medium",
+    title: "Decodes base64 payloads",
+    pattern: /\batob\s*\(|Buffer\.from\([^)]*["']base64["']|base64\s+(-d|--decode)\b|b64decode\(|FromBase64String/,
+  },
+  {
+    id: "encoded-blob",
+    severity: "medium",
+    title: "Long encoded blob (possible obfuscation)",
+    pattern: /[A-Za-z0-9+/]{200,}={0,2}|(\\x[0-9a-fA-F]{2}){20,}|String\.fromCharCode\((\s*\d+\s*,){10,}/,
+  },
+  {
+    id: "network-fetch",
+    severity: "medium",
+    title: "Makes network requests",
+    pattern: /\b(curl|wget)\s|\bfetch\s*\(|https?\.(get|request)\s*\(|XMLHttpRequest|\baxios\b|requests\.(get|post)\(|urllib\.request|Invoke-WebRequest|\bnc\s+-[a-z]*e\b/,
+  },
+  {
+    id: "process-spawn",
+    severity: "low",
+    title: "Spawns child processes",
+    pattern: /child_process|\bexecSync\s*\(|\bspawnSync?\s*\(|subprocess\.(run|Popen|call)\(|os\.system\(/,
+  },
+]
+
+const BROAD_MATCHERS = new Set(["", "*", ".*", ".+"])
+const TOOL_HOOK_EVENTS = new Set(["PreToolUse", "PostToolUse"])
+
+export function severityRank(severity) {
+  return SEVERITIES.indexOf(severity)
+}
+
+export function isAtLeast(severity, threshold) {
+  return severityRank(severity) >= severityRank(threshold)
+}
+
+async function collectFiles(dir, root = dir, found = []) {
+  let entries
+  try {
+    entries = await readdir(dir, { withFileTypes: true })
+  } catch {
+    return found
+  }
+  for (const entry of entries) {
+    if (found.length >= MAX_FILES) break
+    const path = join(dir, entry.name)
+    if (entry.isDirectory()) {
+      if (!SKIPPED_DIRS.has(entry.name)) await collectFiles(path, root, found)
+    } else if (entry.isFile()) {
+      const ext = extname(entry.name).toLowerCase()
+      const isHookScript = relative(root, path).split(/[\\/]/)[0] === "hooks"
+      if (SCANNED_EXTENSIONS.has(ext) || entry.name === ".mcp.json" || isHookScript) {
+        found.push(path)
+      }
+    }
+  }
+  return found
+}
+
+function truncate(text, max = 160) {
+  const clean = text.trim()
+  return clean.length > max ? `${clean.slice(0, max - 1)}…` : clean
+}
+
+async function scanFile(root, path) {
+  const findings = []
+  const info = await stat(path).catch(() => null)
+  if (!info || info.size > MAX_FILE_BYTES) return findings
+
+  const text = await readFile(path, "utf-8").catch(() => null)
+  if (text === null) return findings
+
+  const lines = text.split(/\r?\n/)
+  lines.forEach((line, index) => {
+    const matched = new Set()
+    for (const rule of RULES) {
+      if (!rule.pattern.test(line)) continue
+      // rm-rf-root supersedes rm-rf on the same line
+      if (rule.id === "rm-rf" && matched.has("rm-rf-root")) continue
+      matched.add(rule.id)
+      findings.push({
+        rule: rule.id,
+        severity: rule.severity,
+        title: rule.title,
+        file: relative(root, path),
+        line: index + 1,
+        snippet: truncate(line),
+      })
+    }
+  })
+  return findings
+}
+
+function auditComponents(components) {
+  const findings = []
+
+  for (const hook of components.hooks) {
+    const matcher = hook.matcher ?? ""
+    if (TOOL_HOOK_EVENTS.has(hook.event) && BROAD_MATCHERS.has(matcher.trim())) {
+      findings.push({
+        rule: "broad-hook-matcher",
+        severity: "medium",
+        title: `${hook.event} hook runs for every tool call`,
+        file: hook.source,
+        line: null,
+        snippet: truncate(`matcher=${matcher || "(none)"} -> ${hook.command ?? hook.type}`),
+      })
+    }
+  }
+
+  for (const server of components.mcpServers) {
+    findings.push({
+      rule: "mcp-server",
+      severity: "info",
+      title: "Registers an MCP server that runs with your permissions",
+      file: server.source,
+      line: null,
+      snippet: truncate(`${server.name}: ${server.command ?? server.url ?? "unknown"}`),
+    })
+    const launcher = server.command?.match(/^(npx|bunx|uvx|pnpm\s+dlx)\s+(?:-y\s+|--yes\s+)?(\S+)/)
+    if (launcher && !/@[\w.^~-]*\d/.test(launcher[2].replace(/^@/, ""))) {
+      findings.push({
+        rule: "mcp-unpinned-package",
+        severity: "medium",
+        title: "MCP server downloads an unpinned package at launch",
+        file: server.source,
+        line: null,
+        snippet: truncate(`${server.name}: ${server.command}`),
+      })
+    }
+    if (server.url?.startsWith("http://") && !/^http:\/\/(localhost|127\.0\.0\.1)/.test(server.url)) {
+      findings.push({
+        rule: "mcp-plain-http",
+        severity: "medium",
+        title: "MCP server uses unencrypted HTTP",
+        file: server.source,
+        line: null,
+        snippet: truncate(`${server.name}: ${server.url}`),
+      })
+    }
+  }
+
+  return findings
+}
+
+export async function auditPluginDir(dir, overrides = {}) {
+  const components = await inspectPluginComponents(dir, overrides)
+  if (!components) return null
+
+  const findings = auditComponents(components)
+  for (const path of await collectFiles(dir)) {
+    findings.push(...await scanFile(dir, path))
+  }
+
+  findings.sort((a, b) => {
+    const bySeverity = severityRank(b.severity) - severityRank(a.severity)
+    if (bySeverity !== 0) return bySeverity
+    return `${a.file}:${a.line ?? 0}`.localeCompare(`${b.file}:${b.line ?? 0}`)
+  })
+
+  const counts = Object.fromEntries(SEVERITIES.map((severity) => [severity, 0]))
+  for (const finding of findings) counts[finding.severity] += 1
+  const maxSeverity = findings.length ? findings[0].severity : null
+
+  return { dir, findings, counts, maxSeverity }
+}
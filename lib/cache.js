@@ -0,0 +1,181 @@
+import { AsyncLocalStorage } from "node:async_hooks"
+import { watch } from "node:fs"
+import { readFile, stat } from "node:fs/promises"
+import { dirname, join } from "node:path"
+
+// Parsed JSON per path, with the stat it was parsed at.
+const files = new Map()
+// Values derived from several files (the catalog index), with the stat of
+// every file and directory they were built from.
+const derived = new Map()
+const watchers = new Map()
+const tracking = new AsyncLocalStorage()
+
+// Every plugin's .claude-plugin/ and every project's .claude/ that a session
+// reads would otherwise stay watched and cached until OpenCode exits. Both
+// maps are kept in least-recently-used order and trimmed to these sizes; an
+// evicted directory is still checked by stat on the next read.
+const MAX_WATCHED_DIRS = 64
+const MAX_CACHED_FILES = 512
+
+let lastChangeAt = null
+
+function statKey(info) {
+  return info ? `${info.mtimeMs}:${info.size}` : "missing"
+}
+
+async function statPath(path) {
+  return await stat(path).catch(() => null)
+}
+
+// Moves an entry to the most recently used end of its map
+function touch(map, key, value) {
+  map.delete(key)
+  map.set(key, value)
+}
+
+function trim(map, limit, onEvict) {
+  for (const [key, value] of map) {
+    if (map.size <= limit) return
+    map.delete(key)
+    onEvict?.(value)
+  }
+}
+
+function dropDirectory(dir) {
+  for (const path of files.keys()) {
+    if (dirname(path) === dir) files.delete(path)
+  }
+  for (const [key, entry] of derived) {
+    if (entry.deps.some((dep) => dep.path === dir || dirname(dep.path) === dir)) derived.delete(key)
+  }
+}
+
+// Watch events arrive asynchronously, so a read right after a CLI write can
+// beat them; the stat check in readCachedJson stays authoritative. Watches
+// catch what mtimes miss, such as same-size rewrites within the filesystem's
+// timestamp granularity.
+function watchDirectory(dir) {
+  if (watchers.has(dir)) {
+    touch(watchers, dir, watchers.get(dir))
+    return
+  }
+  try {
+    const watcher = watch(dir, { persistent: false }, (event, filename) => {
+      lastChangeAt = Date.now()
+      if (filename) {
+        const path = join(dir, filename.toString())
+        files.delete(path)
+        for (const [key, entry] of derived) {
+          if (entry.deps.some((dep) => dep.path === path || dep.path === dir)) derived.delete(key)
+        }
+      } else {
+        dropDirectory(dir)
+      }
+    })
+    watcher.on("error", () => {
+      watcher.close()
+      if (watchers.get(dir) === watcher) watchers.delete(dir)
+      dropDirectory(dir)
+    })
+    watchers.set(dir, watcher)
+    trim(watchers, MAX_WATCHED_DIRS, (evicted) => evicted.close())
+  } catch {
+    // Directory does not exist yet; try again on the next read
+  }
+}
+
+function track(path, info) {
+  tracking.getStore()?.set(path, statKey(info))
+}
+
+export async function readCachedJson(path, fallback) {
+  watchDirectory(dirname(path))
+  const info = await statPath(path)
+  track(path, info)
+  if (!info) {
+    files.delete(path)
+    return fallback
+  }
+
+  const cached = files.get(path)
+  if (cached && cached.key === statKey(info)) {
+    cached.hits += 1
+    touch(files, path, cached)
+    return cached.value
+  }
+
+  try {
+    const value = JSON.parse(await readFile(path, "utf-8"))
+    touch(files, path, { key: statKey(info), value, mtimeMs: info.mtimeMs, loadedAt: Date.now(), hits: 0 })
+    trim(files, MAX_CACHED_FILES)
+    return value
+  } catch {
+    files.delete(path)
+    return fallback
+  }
+}
+
+// Marks a directory listing as an input of the value being built, so adding
+// or removing entries rebuilds it.
+export async function trackDirectory(dir) {
+  watchDirectory(dir)
+  track(dir, await statPath(dir))
+}
+
+export async function cachedDerived(name, build) {
+  const cached = derived.get(name)
+  if (cached) {
+    let fresh = true
+    for (const dep of cached.deps) {
+      if (statKey(await statPath(dep.path)) !== dep.key) {
+        fresh = false
+        break
+      }
+    }
+    if (fresh) {
+      cached.hits += 1
+      for (const dep of cached.deps) tracking.getStore()?.set(dep.path, dep.key)
+      return cached.value
+    }
+  }
+
+  const deps = new Map()
+  const value = await tracking.run(deps, build)
+  // A derived value read inside another build still counts for the outer one
+  for (const [path, key] of deps) tracking.getStore()?.set(path, key)
+  derived.set(name, {
+    value,
+    deps: Array.from(deps, ([path, key]) => ({ path, key })),
+    builtAt: Date.now(),
+    hits: 0,
+  })
+  return value
+}
+
+export function invalidateDataCache() {
+  files.clear()
+  derived.clear()
+  lastChangeAt = Date.now()
+}
+
+export function getCacheFreshness() {
+  const now = Date.now()
+  return {
+    files: Array.from(files, ([path, entry]) => ({
+      path,
+      mtimeMs: entry.mtimeMs,
+      loadedAt: entry.loadedAt,
+      hits: entry.hits,
+    })).sort((a, b) => a.path.localeCompare(b.path)),
+    derived: Array.from(derived, ([name, entry]) => ({
+      name,
+      builtAt: entry.builtAt,
+      ageMs: now - entry.builtAt,
+      hits: entry.hits,
+      sources: entry.deps.length,
+    })),
+    watching: Array.from(watchers.keys()).sort(),
+    lastChangeAt,
+  }
+}
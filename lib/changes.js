@@ -0,0 +1,231 @@
+import { readFile, readdir } from "node:fs/promises"
+import { join } from "node:path"
+import { inspectPluginComponents } from "./components.js"
+import { findCatalogPlugin, resolvePluginSourceDir, splitPluginIdentifier } from "./data.js"
+import { compareVersions, isValidVersion } from "./semver.js"
+
+const DIFF_CONTEXT = 3
+// Past this many cells the LCS table costs more than the diff is worth
+const MAX_DIFF_CELLS = 4_000_000
+const CHANGELOG_PATTERN = /^(changelog|changes|history)(\.md|\.markdown|\.txt)?$/i
+const CHANGELOG_HEADING = /^#{1,3}\s+\[?v?(\d+(?:\.\d+){0,2}(?:-[0-9A-Za-z.-]+)?)\]?/
+
+async function readText(path) {
+  return await readFile(path, "utf-8").catch(() => null)
+}
+
+function splitLines(text) {
+  if (!text) return []
+  const lines = text.split(/\r?\n/)
+  if (lines.at(-1) === "") lines.pop()
+  return lines
+}
+
+function formatRange(start, count) {
+  return count === 1 ? `${start}` : `${count ? start : start - 1},${count}`
+}
+
+// Unified diff of two texts. Returns null when they are equal, and a one-line
+// note when they are too large to diff line by line.
+export function diffText(before, after, labels = {}) {
+  if (before === after) return null
+  const a = splitLines(before)
+  const b = splitLines(after)
+
+  let prefix = 0
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix += 1
+  let suffix = 0
+  while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix += 1
+  const midA = a.slice(prefix, a.length - suffix)
+  const midB = b.slice(prefix, b.length - suffix)
+  if ((midA.length + 1) * (midB.length + 1) > MAX_DIFF_CELLS) {
+    return `(too large to diff: ${a.length} -> ${b.length} lines)`
+  }
+
+  // lcs[i][j] is the longest common subsequence of midA[i:] and midB[j:]
+  const width = midB.length + 1
+  const lcs = new Uint32Array((midA.length + 1) * width)
+  for (let i = midA.length - 1; i >= 0; i -= 1) {
+    for (let j = midB.length - 1; j >= 0; j -= 1) {
+      lcs[i * width + j] = midA[i] === midB[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1])
+    }
+  }
+
+  const ops = a.slice(0, prefix).map((line) => ({ op: " ", line }))
+  let i = 0
+  let j = 0
+  while (i < midA.length || j < midB.length) {
+    if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+      ops.push({ op: " ", line: midA[i] })
+      i += 1
+      j += 1
+    } else if (i < midA.length && (j === midB.length || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+      ops.push({ op: "-", line: midA[i] })
+      i += 1
+    } else {
+      ops.push({ op: "+", line: midB[j] })
+      j += 1
+    }
+  }
+  ops.push(...a.slice(a.length - suffix).map((line) => ({ op: " ", line })))
+
+  // Line numbers in each text at the position of every op
+  let lineA = 1
+  let lineB = 1
+  for (const entry of ops) {
+    entry.a = lineA
+    entry.b = lineB
+    if (entry.op !== "+") lineA += 1
+    if (entry.op !== "-") lineB += 1
+  }
+
+  const lines = [`--- ${labels.before ?? "before"}`, `+++ ${labels.after ?? "after"}`]
+  let index = 0
+  while (index < ops.length) {
+    if (ops[index].op === " ") {
+      index += 1
+      continue
+    }
+    // Grow the hunk while the next change is at most two contexts away
+    let end = index
+    while (end < ops.length) {
+      let next = end
+      while (next < ops.length && ops[next].op === " ") next += 1
+      if (next === ops.length || next - end > DIFF_CONTEXT * 2) break
+      while (next < ops.length && ops[next].op !== " ") next += 1
+      end = next
+    }
+    const hunk = ops.slice(Math.max(0, index - DIFF_CONTEXT), Math.min(ops.length, end + DIFF_CONTEXT))
+    const countA = hunk.filter((entry) => entry.op !== "+").length
+    const countB = hunk.filter((entry) => entry.op !== "-").length
+    lines.push(`@@ -${formatRange(hunk[0].a, countA)} +${formatRange(hunk[0].b, countB)} @@`)
+    lines.push(...hunk.map((entry) => `${entry.op}${entry.line}`))
+    index = end + DIFF_CONTEXT
+  }
+  return lines.join("\n")
+}
+
+// Hooks have no names; an event and matcher pair identifies them, and its
+// definition is every hook registered for that pair.
+function groupHooks(hooks) {
+  const groups = new Map()
+  for (const hook of hooks) {
+    const name = `${hook.event} ${hook.matcher || "*"}`
+    const group = groups.get(name) ?? { name, path: hook.source, entries: [] }
+    group.entries.push({ type: hook.type, command: hook.command })
+    groups.set(name, group)
+  }
+  return Array.from(groups.values())
+    .map((group) => ({ name: group.name, path: group.path, text: `${JSON.stringify(group.entries, null, 2)}\n` }))
+}
+
+async function readDefinitions(components, field) {
+  if (field === "hooks") return groupHooks(components.hooks)
+  const definitions = []
+  for (const item of components[field]) {
+    if (definitions.some((definition) => definition.name === item.name)) continue
+    definitions.push({ name: item.name, path: item.path, text: await readText(join(components.dir, item.path)) ?? "" })
+  }
+  return definitions
+}
+
+const COMPARED_COMPONENTS = [
+  { type: "skill", field: "skills" },
+  { type: "command", field: "commands" },
+  { type: "agent", field: "agents" },
+  { type: "hook", field: "hooks" },
+]
+
+// Added, removed and modified skills, commands, agents and hooks between two
+// inspected plugin directories, with a unified diff of each modified definition.
+export async function compareComponents(installed, source) {
+  const changes = []
+  let unchanged = 0
+  for (const { type, field } of COMPARED_COMPONENTS) {
+    const before = new Map((await readDefinitions(installed, field)).map((definition) => [definition.name, definition]))
+    const after = new Map((await readDefinitions(source, field)).map((definition) => [definition.name, definition]))
+    for (const name of Array.from(new Set([...before.keys(), ...after.keys()])).sort()) {
+      const old = before.get(name)
+      const current = after.get(name)
+      if (!old) {
+        changes.push({ type, name, status: "added", path: current.path, diff: diffText("", current.text, { before: "/dev/null", after: `source/${current.path}` }) })
+      } else if (!current) {
+        changes.push({ type, name, status: "removed", path: old.path, diff: null })
+      } else if (old.text !== current.text) {
+        changes.push({ type, name, status: "modified", path: current.path, diff: diffText(old.text, current.text, { before: `installed/${old.path}`, after: `source/${current.path}` }) })
+      } else {
+        unchanged += 1
+      }
+    }
+  }
+  return { changes, unchanged }
+}
+
+async function findChangelog(dir) {
+  const name = (await readdir(dir).catch(() => [])).sort().find((entry) => CHANGELOG_PATTERN.test(entry))
+  return name ? join(dir, name) : null
+}
+
+// Splits a Keep a Changelog style file on `## [1.2.0]`, `## v1.2.0 - date`
+// or `# 1.2.0` headings. Headings without a version (`## Unreleased`) end the
+// previous entry but are not entries themselves.
+export function parseChangelog(text) {
+  const entries = []
+  let current = null
+  for (const line of splitLines(text)) {
+    if (/^#{1,3}\s/.test(line)) {
+      const match = line.match(CHANGELOG_HEADING)
+      current = match ? { version: match[1], heading: line.replace(/^#+\s*/, ""), lines: [] } : null
+      if (current) entries.push(current)
+    } else if (current) {
+      current.lines.push(line)
+    }
+  }
+  return entries.map((entry) => ({ version: entry.version, heading: entry.heading, body: entry.lines.join("\n").trim() }))
+}
+
+// Entries after `from` up to and including `to`. Without a comparable
+// installed version only the entry for `to` (or the newest) is returned.
+export function selectChangelogEntries(entries, from, to) {
+  const upTo = entries.filter((entry) => !to || compareVersions(entry.version, to) === null || compareVersions(entry.version, to) <= 0)
+  if (!isValidVersion(from)) {
+    return { entries: upTo.slice(0, 1), complete: false }
+  }
+  return { entries: upTo.filter((entry) => compareVersions(entry.version, from) > 0), complete: true }
+}
+
+// What an update of one installation would bring: the installed directory is
+// compared with the plugin's source in the marketplace clone as it is now, so
+// run marketplace_update first to compare against the newest catalog.
+export async function getUpdateChanges(pluginKey, row) {
+  const { name, marketplace } = splitPluginIdentifier(pluginKey)
+  const entry = marketplace ? await findCatalogPlugin(name, marketplace) : null
+  if (!entry) return { ok: false, reason: `\`${pluginKey}\` is not in the ${marketplace ?? "(unknown)"} catalog` }
+
+  const source = resolvePluginSourceDir(marketplace, entry)
+  if (!source.ok) return { ok: false, reason: source.reason }
+  const sourceComponents = await inspectPluginComponents(source.path, entry)
+  if (!sourceComponents) return { ok: false, reason: `source directory not found at ${source.path}; try \`marketplace_update\`` }
+  const installedComponents = await inspectPluginComponents(row?.installPath, entry)
+  if (!installedComponents) return { ok: false, reason: `install path ${row?.installPath ?? "(none)"} does not exist` }
+
+  const from = row?.version ?? null
+  const to = entry.version ?? sourceComponents.manifest?.version ?? null
+  const changelogPath = await findChangelog(source.path)
+  const changelog = changelogPath
+    ? { path: changelogPath, ...selectChangelogEntries(parseChangelog(await readText(changelogPath)), from, to) }
+    : { path: null, entries: [], complete: false }
+
+  return {
+    ok: true,
+    key: pluginKey,
+    installPath: row.installPath,
+    sourcePath: source.path,
+    from,
+    to,
+    ...await compareComponents(installedComponents, sourceComponents),
+    changelog,
+  }
+}
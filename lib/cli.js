@@ -0,0 +1,168 @@
+import { spawn } from "node:child_process"
+import { statSync } from "node:fs"
+import { fileURLToPath } from "node:url"
+import { getClaudeCliEnv, getProjectRoot, readBridgeConfig } from "./profiles.js"
+
+export const DEFAULT_CLI_TIMEOUT = 180_000
+export const FAKE_CLAUDE_PATH = fileURLToPath(new URL("./fake-claude.js", import.meta.url))
+
+const KILL_GRACE_MS = 5_000
+const MAX_CAPTURED_CHARS = 1_000_000
+
+// The executable behind every CLI call: CLAUDE_BRIDGE_CLI, then `cli.binary`
+// in the bridge config, then `claude` on PATH. "fake" selects the bundled
+// stand-in; .js and .mjs paths run with the current Node.
+export function getClaudeBinary() {
+  const configured = process.env.CLAUDE_BRIDGE_CLI || readBridgeConfig().cli?.binary
+  const binary = typeof configured === "string" && configured.trim() ? configured.trim() : "claude"
+  if (binary === "fake") {
+    return { label: "fake-claude", file: process.execPath, prefix: [FAKE_CLAUDE_PATH] }
+  }
+  if (/\.m?js$/.test(binary)) {
+    return { label: binary, file: process.execPath, prefix: [binary] }
+  }
+  return { label: binary, file: binary, prefix: [] }
+}
+
+export function formatClaudeCommand(args) {
+  return `${getClaudeBinary().label} ${args.join(" ")}`
+}
+
+// The CLI may spawn git and npm; on POSIX it leads its own process group so a
+// single signal reaches all of them.
+function killProcessTree(child, signal) {
+  if (!child.pid || child.exitCode !== null || child.signalCode !== null) return
+  if (process.platform === "win32") {
+    spawn("taskkill", ["/pid", String(child.pid), "/T", "/F"], { stdio: "ignore", windowsHide: true })
+      .on("error", () => {})
+    return
+  }
+  try {
+    process.kill(-child.pid, signal)
+  } catch {
+    try {
+      child.kill(signal)
+    } catch {
+      // already gone
+    }
+  }
+}
+
+function isDirectory(path) {
+  try {
+    return statSync(path).isDirectory()
+  } catch {
+    return false
+  }
+}
+
+function appendCapped(current, chunk) {
+  const next = current + chunk
+  return next.length > MAX_CAPTURED_CHARS ? next.slice(next.length - MAX_CAPTURED_CHARS) : next
+}
+
+// Runs the Claude CLI without blocking the event loop, against the active
+// profile and from the project root unless `cwd` says otherwise. `signal` (the
+// tool context's abort signal) and `timeout` both terminate the whole process
+// tree; `onOutput` receives each complete stdout/stderr line as it arrives.
+// A terminated run carries `terminated: "cancelled"` or `"timeout"`.
+export function runClaude(args, options = {}) {
+  const binary = getClaudeBinary()
+  const command = `${binary.label} ${args.join(" ")}`
+  const timeout = options.timeout ?? DEFAULT_CLI_TIMEOUT
+
+  if (options.signal?.aborted) {
+    return Promise.resolve({ ok: false, exitCode: -1, stdout: "", stderr: "Cancelled before start", command, terminated: "cancelled" })
+  }
+  // spawn reports a missing cwd as ENOENT for the binary, which reads like the
+  // CLI is not installed
+  const cwd = options.cwd ?? getProjectRoot()
+  if (!isDirectory(cwd)) {
+    return Promise.resolve({
+      ok: false,
+      exitCode: -1,
+      stdout: "",
+      stderr: `Working directory ${cwd} does not exist; the project may have been moved or deleted. \`plugin_projects\` lists stale project installs.`,
+      command,
+    })
+  }
+
+  return new Promise((resolve) => {
+    let child
+    try {
+      child = spawn(binary.file, [...binary.prefix, ...args], {
+        cwd,
+        env: getClaudeCliEnv(),
+        stdio: ["ignore", "pipe", "pipe"],
+        detached: process.platform !== "win32",
+        windowsHide: true,
+      })
+    } catch (error) {
+      resolve({ ok: false, exitCode: -1, stdout: "", stderr: error.message, command })
+      return
+    }
+
+    let stdout = ""
+    let stderr = ""
+    let terminated = null
+    let settled = false
+    let killTimer = null
+    const pending = { stdout: "", stderr: "" }
+
+    const emitLines = (stream, chunk, flush = false) => {
+      if (!options.onOutput) return
+      const parts = `${pending[stream]}${chunk}`.split(/\r?\n/)
+      pending[stream] = flush ? "" : parts.pop()
+      for (const line of parts) {
+        if (line.trim()) options.onOutput(line, stream)
+      }
+    }
+
+    const terminate = (kind, reason) => {
+      if (terminated) return
+      terminated = { kind, reason }
+      killProcessTree(child, "SIGTERM")
+      killTimer = setTimeout(() => killProcessTree(child, "SIGKILL"), KILL_GRACE_MS)
+      killTimer.unref?.()
+    }
+
+    const onAbort = () => terminate("cancelled", "Cancelled")
+    const timer = setTimeout(() => terminate("timeout", `Timed out after ${timeout / 1000}s`), timeout)
+    options.signal?.addEventListener("abort", onAbort, { once: true })
+
+    const finish = (result) => {
+      if (settled) return
+      settled = true
+      clearTimeout(timer)
+      options.signal?.removeEventListener("abort", onAbort)
+      resolve({ ...result, command })
+    }
+
+    child.stdout.setEncoding("utf-8")
+    child.stderr.setEncoding("utf-8")
+    child.stdout.on("data", (chunk) => {
+      stdout = appendCapped(stdout, chunk)
+      emitLines("stdout", chunk)
+    })
+    child.stderr.on("data", (chunk) => {
+      stderr = appendCapped(stderr, chunk)
+      emitLines("stderr", chunk)
+    })
+
+    child.on("error", (error) => {
+      finish({ ok: false, exitCode: -1, stdout, stderr: stderr || error.message })
+    })
+
+    child.on("close", (code) => {
+      clearTimeout(killTimer)
+      emitLines("stdout", "", true)
+      emitLines("stderr", "", true)
+      if (terminated) {
+        const separator = stderr && !stderr.endsWith("\n") ? "\n" : ""
+        finish({ ok: false, exitCode: code ?? -1, stdout, stderr: `${stderr}${separator}${terminated.reason}`, terminated: terminated.kind })
+        return
+      }
+      finish({ ok: code === 0, exitCode: code ?? -1, stdout, stderr })
+    })
+  })
+}
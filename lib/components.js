@@ -0,0 +1,203 @@
+import { readFile, readdir, stat } from "node:fs/promises"
+import { basename, join, relative, resolve } from "node:path"
+
+async function readText(path) {
+  try {
+    return await readFile(path, "utf-8")
+  } catch {
+    return null
+  }
+}
+
+async function readJsonFile(path) {
+  const raw = await readText(path)
+  if (raw === null) return null
+  try {
+    return JSON.parse(raw)
+  } catch {
+    return null
+  }
+}
+
+async function isDirectory(path) {
+  return await stat(path).then((s) => s.isDirectory(), () => false)
+}
+
+async function listFiles(dir, predicate, depth = 3) {
+  const found = []
+  let entries
+  try {
+    entries = await readdir(dir, { withFileTypes: true })
+  } catch {
+    return found
+  }
+  for (const entry of entries) {
+    const path = join(dir, entry.name)
+    if (entry.isDirectory() && depth > 0) {
+      found.push(...await listFiles(path, predicate, depth - 1))
+    } else if (entry.isFile() && predicate(entry.name)) {
+      found.push(path)
+    }
+  }
+  return found.sort()
+}
+
+function toList(value) {
+  if (!value) return []
+  return Array.isArray(value) ? value : [value]
+}
+
+// Minimal YAML frontmatter reader: flat `key: value` pairs only, which is all
+// SKILL.md, agent and command files use in practice.
+export function parseFrontmatter(text) {
+  if (typeof text !== "string") return { ok: false, data: {}, body: "" }
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/)
+  if (!match) return { ok: false, data: {}, body: text }
+
+  const data = {}
+  for (const line of match[1].split(/\r?\n/)) {
+    const pair = line.match(/^([A-Za-z0-9_-]+):\s*(.*)$/)
+    if (!pair) continue
+    data[pair[1]] = pair[2].trim().replace(/^(["'])(.*)\1$/, "$2")
+  }
+  return { ok: true, data, body: text.slice(match[0].length) }
+}
+
+export async function readPluginManifest(dir) {
+  return await readJsonFile(join(dir, ".claude-plugin", "plugin.json"))
+}
+
+async function inspectSkills(dir, extraPaths) {
+  const roots = Array.from(new Set([join(dir, "skills"), ...extraPaths]))
+  const skills = []
+  for (const root of roots) {
+    for (const path of await listFiles(root, (name) => name === "SKILL.md")) {
+      const frontmatter = parseFrontmatter(await readText(path))
+      skills.push({
+        name: frontmatter.data.name ?? basename(resolve(path, "..")),
+        description: frontmatter.data.description ?? null,
+        frontmatterOk: frontmatter.ok && Boolean(frontmatter.data.name) && Boolean(frontmatter.data.description),
+        path: relative(dir, path),
+      })
+    }
+  }
+  return skills
+}
+
+async function inspectMarkdownComponents(dir, defaultDirs, extraPaths) {
+  const roots = Array.from(new Set([...defaultDirs.map((name) => join(dir, name)), ...extraPaths]))
+  const items = []
+  for (const root of roots) {
+    const files = root.endsWith(".md")
+      ? [root]
+      : await listFiles(root, (name) => name.endsWith(".md"))
+    for (const path of files) {
+      const text = await readText(path)
+      if (text === null) continue
+      const frontmatter = parseFrontmatter(text)
+      items.push({
+        name: frontmatter.data.name ?? basename(path, ".md"),
+        description: frontmatter.data.description ?? null,
+        path: relative(dir, path),
+      })
+    }
+  }
+  return items
+}
+
+function flattenHooks(config, source) {
+  const hooks = []
+  for (const [event, groups] of Object.entries(config?.hooks ?? {})) {
+    for (const group of toList(groups)) {
+      for (const hook of toList(group?.hooks)) {
+        hooks.push({
+          event,
+          matcher: group?.matcher ?? null,
+          type: hook?.type ?? "command",
+          command: hook?.command ?? null,
+          source,
+        })
+      }
+    }
+  }
+  return hooks
+}
+
+async function inspectHooks(dir, manifestHooks) {
+  const hooks = []
+  const defaultPath = join(dir, "hooks", "hooks.json")
+  const defaultConfig = await readJsonFile(defaultPath)
+  if (defaultConfig) hooks.push(...flattenHooks(defaultConfig, relative(dir, defaultPath)))
+
+  for (const entry of toList(manifestHooks)) {
+    if (typeof entry === "string") {
+      const path = resolve(dir, entry)
+      if (path === defaultPath) continue
+      const config = await readJsonFile(path)
+      if (config) hooks.push(...flattenHooks(config, relative(dir, path)))
+    } else if (entry && typeof entry === "object") {
+      hooks.push(...flattenHooks(entry.hooks ? entry : { hooks: entry }, "plugin.json"))
+    }
+  }
+  return hooks
+}
+
+async function inspectServers(dir, fileNames, manifestValue, wrapperKey) {
+  const servers = []
+  const addFrom = (config, source) => {
+    const map = config?.[wrapperKey] ?? config ?? {}
+    if (typeof map !== "object") return
+    for (const [name, server] of Object.entries(map)) {
+      if (!server || typeof server !== "object") continue
+      servers.push({
+        name,
+        command: [server.command, ...toList(server.args)].filter(Boolean).join(" ") || null,
+        url: server.url ?? null,
+        source,
+      })
+    }
+  }
+
+  for (const fileName of fileNames) {
+    const config = await readJsonFile(join(dir, fileName))
+    if (config) addFrom(config, fileName)
+  }
+  for (const entry of toList(manifestValue)) {
+    if (typeof entry === "string") {
+      const config = await readJsonFile(resolve(dir, entry))
+      if (config) addFrom(config, relative(dir, resolve(dir, entry)))
+    } else if (entry && typeof entry === "object") {
+      addFrom(entry, "plugin.json")
+    }
+  }
+  return servers
+}
+
+function resolveManifestPaths(dir, value) {
+  return toList(value)
+    .filter((entry) => typeof entry === "string")
+    .map((entry) => resolve(dir, entry))
+}
+
+// Enumerates everything a plugin directory ships. `overrides` carries the
+// component fields of a marketplace entry, which apply when the plugin has no
+// plugin.json of its own (strict: false).
+export async function inspectPluginComponents(dir, overrides = {}) {
+  if (!dir || !await isDirectory(dir)) return null
+
+  const manifest = await readPluginManifest(dir)
+  const spec = { ...overrides, ...(manifest ?? {}) }
+  const readmeName = (await readdir(dir).catch(() => [])).find((name) => /^readme(\.md)?$/i.test(name))
+
+  return {
+    dir,
+    manifest,
+    readme: readmeName ? await readText(join(dir, readmeName)) : null,
+    skills: await inspectSkills(dir, resolveManifestPaths(dir, spec.skills)),
+    commands: await inspectMarkdownComponents(dir, ["commands", "command"], resolveManifestPaths(dir, spec.commands)),
+    agents: await inspectMarkdownComponents(dir, ["agents", "agent"], resolveManifestPaths(dir, spec.agents)),
+    hooks: await inspectHooks(dir, spec.hooks),
+    mcpServers: await inspectServers(dir, [".mcp.json", "mcp.json"], spec.mcpServers, "mcpServers"),
+    lspServers: await inspectServers(dir, [".lsp.json"], spec.lspServers, "lspServers"),
+  }
+}
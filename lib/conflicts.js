@@ -0,0 +1,214 @@
+import { join } from "node:path"
+import { inspectPluginComponents } from "./components.js"
+import {
+  findCatalogPlugin,
+  getEnabledPluginsMap,
+  getInstalledPlugins,
+  splitPluginIdentifier,
+} from "./data.js"
+import { getClaudeConfigDir, getProjectRoot } from "./profiles.js"
+
+// Which definition wins when names collide. Standalone files in .claude/
+// shadow plugin components, project over user; among plugins the install
+// scope follows settings precedence (managed > local > project > user).
+// Disabled plugins are listed but never win.
+const PRECEDENCE = {
+  "standalone:project": 6,
+  "standalone:user": 5,
+  "plugin:managed": 4,
+  "plugin:local": 3,
+  "plugin:project": 2,
+  "plugin:user": 1,
+}
+
+const NAMED_COMPONENTS = [
+  { type: "skill", field: "skills" },
+  { type: "command", field: "commands" },
+  { type: "agent", field: "agents" },
+  { type: "mcpServer", field: "mcpServers" },
+]
+
+const BROAD_MATCHERS = new Set(["", "*", ".*", ".+"])
+
+function appliesHere(row, projectPath) {
+  const scope = row?.scope ?? "user"
+  return scope === "user" || scope === "managed" || row?.projectPath === projectPath
+}
+
+function rank(provider) {
+  return PRECEDENCE[`${provider.kind}:${provider.scope}`] ?? 0
+}
+
+async function inspectStandalone(dir, scope) {
+  const components = await inspectPluginComponents(dir)
+  if (!components) return null
+  // Only skills, commands and agents are read from .claude/; hooks and MCP
+  // servers there are configured in settings, not in these directories
+  return {
+    id: `${scope} .claude`,
+    kind: "standalone",
+    scope,
+    enabled: true,
+    dir,
+    components: { ...components, hooks: [], mcpServers: [] },
+  }
+}
+
+// Everything that contributes components to the current project: each
+// installed plugin row that applies here, plus ~/.claude and <project>/.claude.
+// `candidate` adds a plugin that is about to be installed.
+export async function collectComponentProviders(options = {}) {
+  const projectPath = options.projectPath ?? getProjectRoot()
+  const installed = await getInstalledPlugins()
+  const enabledMap = await getEnabledPluginsMap(projectPath)
+  const providers = []
+
+  for (const [key, rows] of Object.entries(installed)) {
+    const { name, marketplace } = splitPluginIdentifier(key)
+    const entry = marketplace ? await findCatalogPlugin(name, marketplace) : null
+    for (const row of rows ?? []) {
+      if (!row?.installPath || !appliesHere(row, projectPath)) continue
+      const components = await inspectPluginComponents(row.installPath, entry ?? {})
+      if (!components) continue
+      providers.push({
+        id: key,
+        kind: "plugin",
+        scope: row.scope ?? "user",
+        enabled: enabledMap[key] !== false,
+        dir: row.installPath,
+        components,
+      })
+    }
+  }
+
+  if (options.candidate) {
+    const components = await inspectPluginComponents(options.candidate.dir, options.candidate.entry ?? {})
+    if (components) {
+      providers.push({
+        id: options.candidate.key,
+        kind: "plugin",
+        scope: options.candidate.scope ?? "user",
+        enabled: true,
+        candidate: true,
+        dir: options.candidate.dir,
+        components,
+      })
+    }
+  }
+
+  for (const [dir, scope] of [[getClaudeConfigDir(), "user"], [join(projectPath, ".claude"), "project"]]) {
+    const provider = await inspectStandalone(dir, scope)
+    if (provider) providers.push(provider)
+  }
+  return providers
+}
+
+function describeProvider(provider, item) {
+  return {
+    id: provider.id,
+    kind: provider.kind,
+    scope: provider.scope,
+    enabled: provider.enabled,
+    candidate: Boolean(provider.candidate),
+    path: item.path ?? item.source ?? null,
+  }
+}
+
+function matcherTokens(matcher) {
+  return matcher.split("|").map((token) => token.trim()).filter(Boolean)
+}
+
+function matchesToken(pattern, token) {
+  try {
+    return new RegExp(`^(?:${pattern})$`).test(token)
+  } catch {
+    return pattern === token
+  }
+}
+
+export function matchersOverlap(a, b) {
+  const left = (a ?? "").trim()
+  const right = (b ?? "").trim()
+  if (BROAD_MATCHERS.has(left) || BROAD_MATCHERS.has(right)) return true
+  return matcherTokens(left).some((token) => matchesToken(right, token))
+    || matcherTokens(right).some((token) => matchesToken(left, token))
+}
+
+function findNameCollisions(providers) {
+  const conflicts = []
+  for (const { type, field } of NAMED_COMPONENTS) {
+    const byName = new Map()
+    for (const provider of providers) {
+      for (const item of provider.components[field] ?? []) {
+        if (!item?.name) continue
+        const list = byName.get(item.name) ?? []
+        // One provider shipping the same name twice is its own problem, not a conflict
+        if (!list.some((entry) => entry.provider === provider)) list.push({ provider, item })
+        byName.set(item.name, list)
+      }
+    }
+    for (const [name, entries] of byName) {
+      if (new Set(entries.map((entry) => entry.provider.id)).size < 2) continue
+      const contenders = entries.filter((entry) => entry.provider.enabled).sort((a, b) => rank(b.provider) - rank(a.provider))
+      const tie = contenders.length > 1 && rank(contenders[0].provider) === rank(contenders[1].provider)
+      conflicts.push({
+        type,
+        name,
+        severity: "warning",
+        providers: entries.map((entry) => describeProvider(entry.provider, entry.item)),
+        winner: contenders.length && !tie ? contenders[0].provider.id : null,
+        note: !contenders.length
+          ? "every provider is disabled"
+          : tie
+            ? `${contenders.filter((entry) => rank(entry.provider) === rank(contenders[0].provider)).map((entry) => entry.provider.id).join(" and ")} have equal precedence; which one loads is undefined`
+            : null,
+      })
+    }
+  }
+  return conflicts
+}
+
+// Hooks do not replace each other: every matching hook runs, in no promised
+// order. Overlaps are reported so two plugins reacting to the same tool call
+// are not a surprise.
+function findHookOverlaps(providers) {
+  const conflicts = []
+  const hooks = providers
+    .filter((provider) => provider.enabled)
+    .flatMap((provider) => provider.components.hooks.map((hook) => ({ provider, hook })))
+  const seen = new Set()
+  for (const [index, a] of hooks.entries()) {
+    for (const b of hooks.slice(index + 1)) {
+      if (a.provider.id === b.provider.id || a.hook.event !== b.hook.event) continue
+      if (!matchersOverlap(a.hook.matcher, b.hook.matcher)) continue
+      const key = [a.hook.event, a.provider.id, b.provider.id].join("\u0000")
+      if (seen.has(key)) continue
+      seen.add(key)
+      conflicts.push({
+        type: "hook",
+        name: `${a.hook.event} (${a.hook.matcher || "*"} / ${b.hook.matcher || "*"})`,
+        severity: "info",
+        providers: [describeProvider(a.provider, a.hook), describeProvider(b.provider, b.hook)],
+        winner: null,
+        note: "both hooks run on matching events",
+      })
+    }
+  }
+  return conflicts
+}
+
+export function findConflicts(providers) {
+  return [...findNameCollisions(providers), ...findHookOverlaps(providers)]
+}
+
+export async function getConflictReport(options = {}) {
+  const providers = await collectComponentProviders(options)
+  let conflicts = findConflicts(providers)
+  if (options.involving) {
+    conflicts = conflicts.filter((conflict) => conflict.providers.some((provider) => provider.id === options.involving))
+  }
+  return {
+    providers: providers.map((provider) => ({ id: provider.id, kind: provider.kind, scope: provider.scope, enabled: provider.enabled, dir: provider.dir })),
+    conflicts,
+  }
+}
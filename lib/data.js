@@ -1,8 +1,18 @@
-import { access, readFile, readdir, stat } from "node:fs/promises"
-import { homedir } from "node:os"
-import { join } from "node:path"
-
-const pluginsRoot = join(homedir(), ".claude", "plugins")
+import { access, mkdir, readFile, readdir, rename, stat, writeFile } from "node:fs/promises"
+import { dirname, join, resolve, sep } from "node:path"
+import { cachedDerived, readCachedJson, trackDirectory } from "./cache.js"
+import { getClaudeConfigDir, getProjectRoot } from "./profiles.js"
+import {
+  INSTALLED_SCHEMA_VERSION,
+  inspectJsonFile,
+  summarizeSchemaCheck,
+  validateInstallCounts,
+  validateInstalledPlugins,
+  validateKnownMarketplaces,
+  validateMarketplaceCatalog,
+  validateObject,
+  validateSettings,
+} from "./schema.js"
 
 function safeDate(value) {
   if (!value) return null
@@ -10,22 +20,56 @@ function safeDate(value) {
   return Number.isNaN(date.getTime()) ? null : date
 }
 
+// Parsed files are shared between calls until their mtime or size changes;
+// callers must copy before modifying them.
 async function readJson(path, fallback) {
-  try {
-    const raw = await readFile(path, "utf-8")
-    return JSON.parse(raw)
-  } catch {
-    return fallback
-  }
+  return await readCachedJson(path, fallback)
+}
+
+export async function writeJsonAtomic(path, data) {
+  await mkdir(dirname(path), { recursive: true })
+  const tmp = `${path}.${process.pid}.${Date.now()}.tmp`
+  await writeFile(tmp, `${JSON.stringify(data, null, 2)}\n`, "utf-8")
+  await rename(tmp, path)
 }
 
 export function getPluginsRoot() {
-  return pluginsRoot
+  return join(getClaudeConfigDir(), "plugins")
+}
+
+export function getInstalledPluginsPath() {
+  return join(getPluginsRoot(), "installed_plugins.json")
+}
+
+export function getMarketplaceDir(marketplaceName) {
+  return join(getPluginsRoot(), "marketplaces", marketplaceName)
+}
+
+export function getCacheDir(marketplaceName, pluginName, version) {
+  return join(getPluginsRoot(), "cache", marketplaceName, pluginName, version)
+}
+
+// Catalog names and versions become directory names under cache/; anything
+// that could climb out of it ("..", separators) is rejected.
+export function isSafePathSegment(value) {
+  return typeof value === "string"
+    && value.length > 0
+    && value !== "."
+    && value !== ".."
+    && !/[\\/\0]/.test(value)
+}
+
+// True only for paths strictly below plugins/cache, the one tree the bridge
+// and the CLI delete plugin files from.
+export function isInsidePluginCache(path) {
+  if (typeof path !== "string" || !path) return false
+  const root = join(getPluginsRoot(), "cache")
+  return resolve(path).startsWith(`${root}${sep}`)
 }
 
 export async function isPluginSystemAvailable() {
   try {
-    await access(pluginsRoot)
+    await access(getPluginsRoot())
     return true
   } catch {
     return false
@@ -33,11 +77,46 @@ export async function isPluginSystemAvailable() {
 }
 
 export async function getKnownMarketplaces() {
-  return await readJson(join(pluginsRoot, "known_marketplaces.json"), {})
+  return await readJson(getKnownMarketplacesPath(), {})
 }
 
 export async function getInstalledPluginsData() {
-  return await readJson(join(pluginsRoot, "installed_plugins.json"), { version: 0, plugins: {} })
+  return await readJson(getInstalledPluginsPath(), { version: 0, plugins: {} })
+}
+
+// Writers read the file fresh and refuse to touch one that is corrupt or in a
+// layout the bridge does not recognize, so a newer Claude CLI schema or a
+// half-written file is never clobbered.
+async function readWritableJson(path, label, validate, empty) {
+  const inspected = await inspectJsonFile(path)
+  if (!inspected.exists) return { ok: true, data: empty }
+  if (inspected.error) return { ok: false, reason: `${label} is ${inspected.error}; the bridge will not write to it` }
+  const errors = validate(inspected.value).filter((issue) => issue.level === "error")
+  if (errors.length) {
+    return { ok: false, reason: `${label} is not in a layout the bridge writes (${errors.map((issue) => issue.message).join("; ")})` }
+  }
+  return { ok: true, data: inspected.value }
+}
+
+export async function getWritableInstalledPluginsData() {
+  return await readWritableJson(
+    getInstalledPluginsPath(),
+    "installed_plugins.json",
+    validateInstalledPlugins,
+    { version: INSTALLED_SCHEMA_VERSION, plugins: {} },
+  )
+}
+
+export function getKnownMarketplacesPath() {
+  return join(getPluginsRoot(), "known_marketplaces.json")
+}
+
+export async function getWritableKnownMarketplaces() {
+  return await readWritableJson(getKnownMarketplacesPath(), "known_marketplaces.json", validateKnownMarketplaces, {})
+}
+
+export async function getWritableSettings(path) {
+  return await readWritableJson(path, path, validateSettings, {})
 }
 
 export async function getInstalledPlugins() {
@@ -46,33 +125,89 @@ export async function getInstalledPlugins() {
 }
 
 export async function getConfig() {
-  return await readJson(join(pluginsRoot, "config.json"), {})
+  return await readJson(join(getPluginsRoot(), "config.json"), {})
 }
 
 export async function getClaudeSettings() {
-  return await readJson(join(homedir(), ".claude", "settings.json"), {})
+  return await readJson(join(getClaudeConfigDir(), "settings.json"), {})
 }
 
 export async function getProjectClaudeSettings() {
-  const cwd = process.cwd()
-  return await readJson(join(cwd, ".claude", "settings.json"), {})
+  return await readJson(join(getProjectRoot(), ".claude", "settings.json"), {})
 }
 
-export async function getEnabledPluginsMap() {
-  const userSettings = await getClaudeSettings()
-  const projectSettings = await getProjectClaudeSettings()
-  const userMap = userSettings?.enabledPlugins ?? {}
-  const projectMap = projectSettings?.enabledPlugins ?? {}
-  // Project-level overrides user-level (Claude CLI writes project-scope
-  // enable/disable to <project>/.claude/settings.json, not ~/.claude/)
-  const merged = {}
-  if (typeof userMap === "object") Object.assign(merged, userMap)
-  if (typeof projectMap === "object") Object.assign(merged, projectMap)
-  return merged
+export function getSettingsPath(scope, projectPath = getProjectRoot()) {
+  if (scope === "user") return join(getClaudeConfigDir(), "settings.json")
+  if (scope === "project") return join(projectPath, ".claude", "settings.json")
+  if (scope === "local") return join(projectPath, ".claude", "settings.local.json")
+  return null
+}
+
+// Managed settings are deployed by an administrator and override every other
+// scope. The bridge only reads them.
+export function getManagedSettingsPath() {
+  if (process.env.CLAUDE_BRIDGE_MANAGED_SETTINGS) return resolve(process.env.CLAUDE_BRIDGE_MANAGED_SETTINGS)
+  if (process.platform === "darwin") return "/Library/Application Support/ClaudeCode/managed-settings.json"
+  if (process.platform === "win32") return "C:\\ProgramData\\ClaudeCode\\managed-settings.json"
+  return "/etc/claude-code/managed-settings.json"
+}
+
+// Lowest precedence first, matching the Claude CLI: a later scope's
+// enabledPlugins entry overrides an earlier one.
+export const SETTINGS_SCOPES = ["user", "project", "local", "managed"]
+
+function getScopeSettingsPath(scope, projectPath) {
+  return scope === "managed" ? getManagedSettingsPath() : getSettingsPath(scope, projectPath)
+}
+
+export async function readSettingsFile(path) {
+  return await readJson(path, {})
+}
+
+// The enabledPlugins value for one scope file, read from disk rather than the
+// cache so a verification right after a CLI write sees it. null when unset.
+export async function readScopeEnabledState(scope, pluginKey, projectPath = getProjectRoot()) {
+  const path = getScopeSettingsPath(scope, projectPath)
+  const inspected = await inspectJsonFile(path)
+  const value = inspected.value?.enabledPlugins?.[pluginKey]
+  return { scope, path, value: typeof value === "boolean" ? value : null, error: inspected.error }
+}
+
+// Effective enabled state per plugin key, with the settings file that decided
+// it and the lower-precedence entries it overrides. Non-boolean values are
+// ignored; plugin_status reports them as schema drift.
+export async function getEnablementMap(projectPath = getProjectRoot()) {
+  const result = {}
+  for (const scope of SETTINGS_SCOPES) {
+    const path = getScopeSettingsPath(scope, projectPath)
+    const settings = await readSettingsFile(path)
+    const map = settings?.enabledPlugins
+    if (!map || typeof map !== "object" || Array.isArray(map)) continue
+    for (const [key, value] of Object.entries(map)) {
+      if (typeof value !== "boolean") continue
+      const previous = result[key]
+      result[key] = {
+        enabled: value,
+        scope,
+        path,
+        overrides: previous ? [...previous.overrides, { scope: previous.scope, path: previous.path, enabled: previous.enabled }] : [],
+      }
+    }
+  }
+  return result
+}
+
+export function describeEnablement(map, pluginKey) {
+  return map[pluginKey] ?? { enabled: null, scope: null, path: null, overrides: [] }
+}
+
+export async function getEnabledPluginsMap(projectPath = getProjectRoot()) {
+  const enablement = await getEnablementMap(projectPath)
+  return Object.fromEntries(Object.entries(enablement).map(([key, entry]) => [key, entry.enabled]))
 }
 
 export async function getInstallCountsMap() {
-  const data = await readJson(join(pluginsRoot, "install-counts-cache.json"), { counts: [] })
+  const data = await readJson(join(getPluginsRoot(), "install-counts-cache.json"), { counts: [] })
   const map = {}
   for (const row of data?.counts ?? []) {
     if (row?.plugin && typeof row?.unique_installs === "number") {
@@ -82,13 +217,17 @@ export async function getInstallCountsMap() {
   return map
 }
 
-async function discoverMarketplaceNames() {
+// Registered marketplaces plus every directory under marketplaces/, including
+// clones known_marketplaces.json no longer lists.
+export async function discoverMarketplaceNames() {
   const known = await getKnownMarketplaces()
   const knownNames = Object.keys(known)
   const discovered = new Set(knownNames)
 
+  const marketplacesDir = join(getPluginsRoot(), "marketplaces")
+  await trackDirectory(marketplacesDir)
   try {
-    const entries = await readdir(join(pluginsRoot, "marketplaces"), { withFileTypes: true })
+    const entries = await readdir(marketplacesDir, { withFileTypes: true })
     for (const entry of entries) {
       if (entry.isDirectory()) {
         discovered.add(entry.name)
@@ -102,7 +241,7 @@ async function discoverMarketplaceNames() {
 }
 
 export async function getMarketplaceCatalog(marketplaceName) {
-  const path = join(pluginsRoot, "marketplaces", marketplaceName, ".claude-plugin", "marketplace.json")
+  const path = join(getMarketplaceDir(marketplaceName), ".claude-plugin", "marketplace.json")
   const catalog = await readJson(path, null)
   if (!catalog) return null
 
@@ -117,18 +256,69 @@ export async function getMarketplaceCatalog(marketplaceName) {
   return { marketplaceName, path, mtime, catalog }
 }
 
-export async function getAllMarketplaceCatalogs() {
-  const marketplaceNames = await discoverMarketplaceNames()
-  const result = []
+export async function getMarketplaceHeadSha(marketplaceName) {
+  const gitDir = join(getMarketplaceDir(marketplaceName), ".git")
+  try {
+    const head = (await readFile(join(gitDir, "HEAD"), "utf-8")).trim()
+    if (!head.startsWith("ref: ")) return head || null
+    const ref = head.slice("ref: ".length)
+    try {
+      return (await readFile(join(gitDir, ref), "utf-8")).trim() || null
+    } catch {
+      const packed = await readFile(join(gitDir, "packed-refs"), "utf-8")
+      for (const line of packed.split("\n")) {
+        const [sha, name] = line.trim().split(" ")
+        if (name === ref) return sha
+      }
+      return null
+    }
+  } catch {
+    return null
+  }
+}
 
-  for (const name of marketplaceNames) {
-    const item = await getMarketplaceCatalog(name)
-    if (item) {
-      result.push(item)
+export async function findCatalogPlugin(pluginName, marketplaceName) {
+  const item = await getMarketplaceCatalog(marketplaceName)
+  const plugin = (item?.catalog?.plugins ?? []).find((entry) => entry?.name === pluginName)
+  return plugin ?? null
+}
+
+// Only relative sources live inside the marketplace clone. Remote sources
+// (github, url) are fetched by the Claude CLI at install time.
+export function resolvePluginSourceDir(marketplaceName, plugin) {
+  const root = getMarketplaceDir(marketplaceName)
+  const source = plugin?.source
+
+  if (typeof source === "string") {
+    const path = resolve(root, source)
+    if (path !== root && !path.startsWith(`${root}${sep}`)) {
+      return { ok: false, reason: `source \`${source}\` points outside the marketplace clone` }
     }
+    return { ok: true, path }
   }
 
-  return result
+  if (source && typeof source === "object") {
+    return { ok: false, reason: `source type \`${source.source ?? "unknown"}\` is remote and not available in the marketplace clone` }
+  }
+
+  return { ok: false, reason: "catalog entry has no source" }
+}
+
+export async function getAllMarketplaceCatalogs() {
+  const catalogs = await cachedDerived(`catalogs:${getPluginsRoot()}`, async () => {
+    const marketplaceNames = await discoverMarketplaceNames()
+    const result = []
+
+    for (const name of marketplaceNames) {
+      const item = await getMarketplaceCatalog(name)
+      if (item) {
+        result.push(item)
+      }
+    }
+
+    return result
+  })
+  return [...catalogs]
 }
 
 export function normalizePluginIdentifier(inputPlugin, marketplace) {
@@ -150,64 +340,130 @@ export function splitPluginIdentifier(identifier) {
   }
 }
 
+// The catalog index. Rebuilt only when a catalog, installed_plugins.json, the
+// install counts or the marketplaces directory changes.
 export async function getAvailablePlugins() {
-  const catalogs = await getAllMarketplaceCatalogs()
-  const installs = await getInstallCountsMap()
-  const installed = await getInstalledPlugins()
-  const rows = []
-
-  for (const { marketplaceName, catalog } of catalogs) {
-    for (const plugin of catalog?.plugins ?? []) {
-      if (!plugin?.name) continue
-      const key = `${plugin.name}@${marketplaceName}`
-      const installRows = installed[key] ?? []
-      const firstInstall = installRows[0] ?? null
-
-      rows.push({
-        key,
-        name: plugin.name,
-        marketplace: marketplaceName,
-        description: plugin.description ?? "",
-        version: plugin.version ?? null,
-        category: plugin.category ?? null,
-        homepage: plugin.homepage ?? null,
-        tags: Array.isArray(plugin.tags) ? plugin.tags : [],
-        author: plugin.author?.name ?? catalog.owner?.name ?? null,
-        strict: Boolean(plugin.strict),
-        installs: installs[key] ?? 0,
-        installed: installRows.length > 0,
-        installedRows: installRows,
-        installPath: firstInstall?.installPath ?? null,
-        installedVersion: firstInstall?.version ?? null,
-        installedAt: firstInstall?.installedAt ?? null,
-        lastUpdated: firstInstall?.lastUpdated ?? null,
-        hasSkills: Boolean(plugin.skills),
-        hasLsp: Boolean(plugin.lspServers),
-      })
+  const rows = await cachedDerived(`available:${getPluginsRoot()}`, async () => {
+    const catalogs = await getAllMarketplaceCatalogs()
+    const installs = await getInstallCountsMap()
+    const installed = await getInstalledPlugins()
+    const rows = []
+
+    for (const { marketplaceName, catalog } of catalogs) {
+      for (const plugin of catalog?.plugins ?? []) {
+        if (!plugin?.name) continue
+        const key = `${plugin.name}@${marketplaceName}`
+        const installRows = installed[key] ?? []
+        // The single-install fields describe the first row and are kept for
+        // format=json readers; `installations` has every row.
+        const firstInstall = installRows[0] ?? null
+
+        rows.push({
+          key,
+          name: plugin.name,
+          marketplace: marketplaceName,
+          description: plugin.description ?? "",
+          version: plugin.version ?? null,
+          category: plugin.category ?? null,
+          homepage: plugin.homepage ?? null,
+          tags: Array.isArray(plugin.tags) ? plugin.tags : [],
+          author: plugin.author?.name ?? catalog.owner?.name ?? null,
+          strict: Boolean(plugin.strict),
+          installs: installs[key] ?? 0,
+          installed: installRows.length > 0,
+          installedRows: installRows,
+          installations: listInstallations(key, installRows),
+          installPath: firstInstall?.installPath ?? null,
+          installedVersion: firstInstall?.version ?? null,
+          installedAt: firstInstall?.installedAt ?? null,
+          lastUpdated: firstInstall?.lastUpdated ?? null,
+          hasSkills: Boolean(plugin.skills),
+          hasLsp: Boolean(plugin.lspServers),
+        })
+      }
     }
-  }
 
-  return rows
+    return rows
+  })
+  return [...rows]
+}
+
+// One entry per installed_plugins.json row. A plugin can be installed at user
+// scope and in several projects at once, and each row is its own installation
+// with its own version and install path.
+export function listInstallations(key, rows) {
+  const { name, marketplace } = splitPluginIdentifier(key)
+  return (rows ?? []).filter(Boolean).map((row) => ({
+    key,
+    name,
+    marketplace,
+    scope: row.scope ?? "user",
+    projectPath: row.projectPath ?? null,
+    installPath: row.installPath ?? null,
+    version: row.version ?? null,
+    installedAt: row.installedAt ?? null,
+    lastUpdated: row.lastUpdated ?? null,
+    gitCommitSha: row.gitCommitSha ?? null,
+  }))
+}
+
+// Scope plus projectPath identifies a row; the Claude CLI keeps at most one
+// per pair.
+export function isSameInstallation(a, b) {
+  return (a?.scope ?? "user") === (b?.scope ?? "user") && (a?.projectPath ?? null) === (b?.projectPath ?? null)
+}
+
+export function formatInstallation(installation) {
+  const scope = installation.scope ?? "user"
+  return installation.projectPath ? `${scope} ${installation.projectPath}` : scope
 }
 
 export function summarizeInstalled(installed) {
-  const result = []
-  for (const [key, rows] of Object.entries(installed ?? {})) {
-    const { name, marketplace } = splitPluginIdentifier(key)
-    const first = rows?.[0] ?? {}
-    result.push({
-      key,
-      name,
-      marketplace,
-      scope: first.scope ?? null,
-      projectPath: first.projectPath ?? null,
-      installPath: first.installPath ?? null,
-      version: first.version ?? null,
-      installedAt: first.installedAt ?? null,
-      lastUpdated: first.lastUpdated ?? null,
-      _installedAtDate: safeDate(first.installedAt),
-      _lastUpdatedDate: safeDate(first.lastUpdated),
-    })
+  return Object.entries(installed ?? {}).flatMap(([key, rows]) => listInstallations(key, rows).map((installation) => ({
+    ...installation,
+    _installedAtDate: safeDate(installation.installedAt),
+    _lastUpdatedDate: safeDate(installation.lastUpdated),
+  })))
+}
+
+async function checkSchema(kind, label, path, validate) {
+  const inspected = await inspectJsonFile(path)
+  const issues = inspected.exists && !inspected.error ? validate(inspected.value) : []
+  return {
+    kind,
+    label,
+    path,
+    status: summarizeSchemaCheck(inspected, issues),
+    error: inspected.error,
+    issues,
   }
-  return result
+}
+
+// Reads every file the data layer depends on straight from disk (not the
+// cache) and reports anything the validators in schema.js do not expect.
+export async function getDataSchemaReport(projectPath = getProjectRoot()) {
+  const root = getPluginsRoot()
+  const checks = [
+    checkSchema("installed_plugins", "installed_plugins.json", getInstalledPluginsPath(), validateInstalledPlugins),
+    checkSchema("known_marketplaces", "known_marketplaces.json", getKnownMarketplacesPath(), validateKnownMarketplaces),
+    checkSchema("install_counts", "install-counts-cache.json", join(root, "install-counts-cache.json"), validateInstallCounts),
+    checkSchema("config", "config.json", join(root, "config.json"), validateObject),
+    ...["user", "project", "local"].map((scope) => {
+      const path = getSettingsPath(scope, projectPath)
+      return checkSchema("settings", `${scope} settings`, path, validateSettings)
+    }),
+    checkSchema("managed_settings", "managed settings", getManagedSettingsPath(), validateSettings),
+  ]
+  for (const name of (await discoverMarketplaceNames()).sort()) {
+    const path = join(getMarketplaceDir(name), ".claude-plugin", "marketplace.json")
+    checks.push(checkSchema("marketplace_catalog", `${name} marketplace.json`, path, validateMarketplaceCatalog))
+  }
+  return await Promise.all(checks)
+}
+
+// Files of these kinds that a mutation would read or write and that cannot be
+// trusted: corrupt, half-written, or in an unrecognized layout.
+export async function getSchemaBlockers(kinds, projectPath = getProjectRoot()) {
+  const report = await getDataSchemaReport(projectPath)
+  return report.filter((entry) => kinds.includes(entry.kind) && (entry.status === "corrupt" || entry.status === "unrecognized"))
 }
@@ -0,0 +1,135 @@
+import { readPluginManifest } from "./components.js"
+import {
+  findCatalogPlugin,
+  getAllMarketplaceCatalogs,
+  getInstalledPlugins,
+  resolvePluginSourceDir,
+  splitPluginIdentifier,
+} from "./data.js"
+
+// Plugins declare what they need as `dependencies` in their catalog entry or
+// in .claude-plugin/plugin.json; both lists are merged:
+//   "dependencies": ["formatter", "github-mcp@tools", { "name": "db", "marketplace": "acme" }]
+// A bare name means the declaring plugin's own marketplace first, then a
+// plugin of that name in exactly one other marketplace.
+
+function listDeclared(value) {
+  if (!Array.isArray(value)) return []
+  return value
+    .map((item) => {
+      if (typeof item === "string") return item.trim()
+      if (typeof item?.name !== "string") return null
+      return item.marketplace ? `${item.name}@${item.marketplace}` : item.name
+    })
+    .filter(Boolean)
+}
+
+async function readDeclaredDependencies(pluginKey, installed) {
+  const { name, marketplace } = splitPluginIdentifier(pluginKey)
+  const entry = marketplace ? await findCatalogPlugin(name, marketplace) : null
+  const installPath = (installed[pluginKey] ?? []).find((row) => row?.installPath)?.installPath
+  const source = entry ? resolvePluginSourceDir(marketplace, entry) : { ok: false }
+  const dir = installPath ?? (source.ok ? source.path : null)
+  const manifest = dir ? await readPluginManifest(dir) : null
+  return Array.from(new Set([...listDeclared(entry?.dependencies), ...listDeclared(manifest?.dependencies)]))
+}
+
+async function buildPluginIndex(installed) {
+  const index = new Map()
+  const add = (key) => {
+    const { name, marketplace } = splitPluginIdentifier(key)
+    const marketplaces = index.get(name) ?? new Set()
+    marketplaces.add(marketplace)
+    index.set(name, marketplaces)
+  }
+  for (const { marketplaceName, catalog } of await getAllMarketplaceCatalogs()) {
+    for (const plugin of catalog?.plugins ?? []) {
+      if (plugin?.name) add(`${plugin.name}@${marketplaceName}`)
+    }
+  }
+  Object.keys(installed).forEach(add)
+  return index
+}
+
+function resolveDependency(spec, fromMarketplace, index) {
+  const { name, marketplace } = splitPluginIdentifier(spec)
+  const marketplaces = index.get(name) ?? new Set()
+  if (marketplace) {
+    return marketplaces.has(marketplace)
+      ? { ok: true, key: `${name}@${marketplace}` }
+      : { ok: false, reason: `\`${spec}\` is not in the ${marketplace} catalog or installed` }
+  }
+  if (marketplaces.has(fromMarketplace)) return { ok: true, key: `${name}@${fromMarketplace}` }
+  if (marketplaces.size === 1) return { ok: true, key: `${name}@${Array.from(marketplaces)[0]}` }
+  if (marketplaces.size > 1) {
+    return { ok: false, reason: `\`${name}\` is in several marketplaces (${Array.from(marketplaces).sort().join(", ")}); declare it as name@marketplace` }
+  }
+  return { ok: false, reason: `\`${name}\` is not in any marketplace catalog` }
+}
+
+// Walks the declared dependencies depth-first. `order` lists every plugin in
+// the closure with dependencies before their dependents, ending with the
+// plugin itself, so installing in that order never leaves a gap.
+export async function resolveDependencyClosure(pluginKey) {
+  const installed = await getInstalledPlugins()
+  const index = await buildPluginIndex(installed)
+  const order = []
+  const missing = []
+  const cycles = []
+  const state = new Map()
+
+  async function visit(key, path) {
+    if (state.get(key) === "done") return
+    if (state.get(key) === "visiting") {
+      cycles.push([...path.slice(path.indexOf(key)), key])
+      return
+    }
+    state.set(key, "visiting")
+    const { marketplace } = splitPluginIdentifier(key)
+    for (const spec of await readDeclaredDependencies(key, installed)) {
+      const dependency = resolveDependency(spec, marketplace, index)
+      if (dependency.ok) {
+        await visit(dependency.key, [...path, key])
+      } else {
+        missing.push({ spec, requiredBy: key, reason: dependency.reason })
+      }
+    }
+    state.set(key, "done")
+    order.push(key)
+  }
+
+  await visit(pluginKey, [])
+  return { order, missing, cycles }
+}
+
+// A dependency installed at user or managed scope serves every project; a
+// project or local install only serves its own project.
+export function isDependencySatisfied(rows, projectPath) {
+  return (rows ?? []).some((row) => {
+    const scope = row?.scope ?? "user"
+    return scope === "user" || scope === "managed" || row?.projectPath === projectPath
+  })
+}
+
+// Installed plugins that declare `pluginKey` as a direct dependency.
+export async function findInstalledDependents(pluginKey) {
+  const installed = await getInstalledPlugins()
+  const index = await buildPluginIndex(installed)
+  const dependents = []
+  for (const key of Object.keys(installed).sort()) {
+    if (key === pluginKey || !installed[key]?.length) continue
+    const { marketplace } = splitPluginIdentifier(key)
+    const declared = await readDeclaredDependencies(key, installed)
+    if (declared.some((spec) => resolveDependency(spec, marketplace, index).key === pluginKey)) {
+      dependents.push({ key, scopes: installed[key].map((row) => row?.scope ?? "user") })
+    }
+  }
+  return dependents
+}
+
+export function describeDependencyProblems(closure) {
+  return [
+    ...closure.missing.map((item) => `missing: ${item.reason} (required by ${item.requiredBy})`),
+    ...closure.cycles.map((cycle) => `cycle: ${cycle.join(" -> ")}`),
+  ]
+}
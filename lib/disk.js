@@ -0,0 +1,180 @@
+import { lstat, readdir, rm, rmdir } from "node:fs/promises"
+import { dirname, join, resolve, sep } from "node:path"
+import {
+  discoverMarketplaceNames,
+  getInstalledPluginsPath,
+  getKnownMarketplaces,
+  getMarketplaceDir,
+  getPluginsRoot,
+  listInstallations,
+  splitPluginIdentifier,
+} from "./data.js"
+import { inspectJsonFile, validateInstalledPlugins } from "./schema.js"
+import { getSnapshotsRoot } from "./snapshots.js"
+
+function isWithin(path, parent) {
+  return path === parent || path.startsWith(`${parent}${sep}`)
+}
+
+async function listDirectories(path) {
+  const entries = await readdir(path, { withFileTypes: true }).catch(() => [])
+  return entries.filter((entry) => entry.isDirectory()).map((entry) => entry.name).sort()
+}
+
+// Symlinks are counted as links, never followed, so a link into a project
+// cannot inflate the numbers.
+export async function measureDirectory(path) {
+  const info = await lstat(path).catch(() => null)
+  if (!info) return { exists: false, bytes: 0, files: 0 }
+  if (!info.isDirectory()) return { exists: true, bytes: info.size, files: 1 }
+  let bytes = 0
+  let files = 0
+  for (const entry of await readdir(path).catch(() => [])) {
+    const child = await measureDirectory(join(path, entry))
+    bytes += child.bytes
+    files += child.files
+  }
+  return { exists: true, bytes, files }
+}
+
+function getCacheRoot() {
+  return join(getPluginsRoot(), "cache")
+}
+
+// Every installPath in installed_plugins.json with the installations using it.
+function collectReferences(installed) {
+  const references = []
+  for (const [key, rows] of Object.entries(installed ?? {})) {
+    for (const installation of listInstallations(key, Array.isArray(rows) ? rows : [])) {
+      if (!installation.installPath) continue
+      references.push({ path: resolve(installation.installPath), key, scope: installation.scope, projectPath: installation.projectPath })
+    }
+  }
+  return references
+}
+
+// A directory is in use when an installPath is the directory itself, lies
+// inside it, or contains it.
+function findReferences(path, references) {
+  return references.filter((reference) => isWithin(reference.path, path) || isWithin(path, reference.path))
+}
+
+// Read straight from disk, not the cache, right before anything is deleted.
+// A file the bridge cannot read means nothing is provably unreferenced.
+async function readReferencesFresh() {
+  const inspected = await inspectJsonFile(getInstalledPluginsPath())
+  if (!inspected.exists) return { ok: true, installed: {}, references: [] }
+  if (inspected.error) return { ok: false, reason: `installed_plugins.json is ${inspected.error}` }
+  const errors = validateInstalledPlugins(inspected.value).filter((issue) => issue.level === "error")
+  if (errors.length) return { ok: false, reason: `installed_plugins.json is not in a recognized layout (${errors.map((issue) => issue.message).join("; ")})` }
+  const installed = inspected.value.plugins ?? {}
+  return { ok: true, installed, references: collectReferences(installed) }
+}
+
+// Sizes of every cache/<marketplace>/<plugin>/<version> directory, every
+// marketplace clone and the bridge's snapshots, with what references each.
+export async function getDiskUsage() {
+  const fresh = await readReferencesFresh()
+  if (!fresh.ok) return fresh
+  const known = await getKnownMarketplaces()
+  const cacheRoot = getCacheRoot()
+
+  const versions = []
+  for (const marketplace of await listDirectories(cacheRoot)) {
+    for (const plugin of await listDirectories(join(cacheRoot, marketplace))) {
+      for (const version of await listDirectories(join(cacheRoot, marketplace, plugin))) {
+        const path = join(cacheRoot, marketplace, plugin, version)
+        const size = await measureDirectory(path)
+        versions.push({
+          key: `${plugin}@${marketplace}`,
+          marketplace,
+          plugin,
+          version,
+          path,
+          bytes: size.bytes,
+          files: size.files,
+          referencedBy: findReferences(path, fresh.references),
+        })
+      }
+    }
+  }
+
+  const installedKeys = Object.keys(fresh.installed)
+  const marketplaces = []
+  for (const name of (await discoverMarketplaceNames()).sort()) {
+    const path = getMarketplaceDir(name)
+    const size = await measureDirectory(path)
+    marketplaces.push({
+      name,
+      path,
+      exists: size.exists,
+      registered: Boolean(known[name]),
+      bytes: size.bytes,
+      files: size.files,
+      installedPlugins: installedKeys.filter((key) => splitPluginIdentifier(key).marketplace === name),
+    })
+  }
+
+  const snapshots = await measureDirectory(getSnapshotsRoot())
+  const cacheBytes = versions.reduce((total, version) => total + version.bytes, 0)
+  const cloneBytes = marketplaces.reduce((total, marketplace) => total + marketplace.bytes, 0)
+  return {
+    ok: true,
+    root: getPluginsRoot(),
+    versions,
+    marketplaces,
+    snapshots: { path: getSnapshotsRoot(), bytes: snapshots.bytes, files: snapshots.files },
+    totals: { cacheBytes, cloneBytes, snapshotBytes: snapshots.bytes, totalBytes: cacheBytes + cloneBytes + snapshots.bytes },
+  }
+}
+
+// Cache versions no row references, and clones under marketplaces/ that
+// known_marketplaces.json does not list and no installed plugin came from.
+export function selectGarbage(usage, options = {}) {
+  const candidates = usage.versions
+    .filter((version) => !version.referencedBy.length)
+    .map((version) => ({ kind: "cache_version", label: `${version.key} ${version.version}`, path: version.path, bytes: version.bytes }))
+  if (options.marketplaces !== false) {
+    for (const marketplace of usage.marketplaces) {
+      if (!marketplace.exists || marketplace.registered || marketplace.installedPlugins.length) continue
+      candidates.push({ kind: "marketplace_clone", label: `marketplace ${marketplace.name}`, path: marketplace.path, bytes: marketplace.bytes })
+    }
+  }
+  return candidates
+}
+
+// Deletes the candidates after re-reading installed_plugins.json. Anything
+// that overlaps a referenced installPath, or lies outside cache/ and
+// marketplaces/, is skipped whatever the caller passed in.
+export async function collectGarbage(candidates) {
+  const fresh = await readReferencesFresh()
+  if (!fresh.ok) return { ok: false, reason: `${fresh.reason}; nothing was deleted`, removed: [], skipped: [] }
+
+  const roots = [getCacheRoot(), join(getPluginsRoot(), "marketplaces")]
+  const removed = []
+  const skipped = []
+  for (const candidate of candidates) {
+    const path = resolve(candidate.path)
+    const references = findReferences(path, fresh.references)
+    if (references.length) {
+      skipped.push({ ...candidate, reason: `referenced by ${references.map((reference) => `${reference.key} (${reference.scope})`).join(", ")}` })
+      continue
+    }
+    if (!roots.some((root) => path !== root && isWithin(path, root))) {
+      skipped.push({ ...candidate, reason: "outside the plugin cache and marketplaces directories" })
+      continue
+    }
+    try {
+      await rm(path, { recursive: true, force: true })
+      removed.push(candidate)
+    } catch (error) {
+      skipped.push({ ...candidate, reason: error.message })
+      continue
+    }
+    // Drop plugin and marketplace directories the removal left empty
+    for (let parent = dirname(path); roots.some((root) => parent !== root && isWithin(parent, root)); parent = dirname(parent)) {
+      if (!await rmdir(parent).then(() => true, () => false)) break
+    }
+  }
+  return { ok: true, removed, skipped }
+}
@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+import { cp, readFile, rm, stat } from "node:fs/promises"
+import { join, resolve, sep } from "node:path"
+import { fileURLToPath } from "node:url"
+import {
+  getInstalledPluginsPath,
+  getKnownMarketplacesPath,
+  getMarketplaceDir,
+  getPluginsRoot,
+  getWritableInstalledPluginsData,
+  getWritableKnownMarketplaces,
+  isInsidePluginCache,
+  writeJsonAtomic,
+} from "./data.js"
+import { nativeInstall, nativeUninstall, planNativeInstall, setEnabledState } from "./native.js"
+import { DEFAULT_PROFILE } from "./profiles.js"
+
+// A stand-in for the `claude` CLI that applies plugin and marketplace commands
+// straight to the config dir (CLAUDE_CONFIG_DIR, default ~/.claude), so every
+// tool can be exercised against a fixture tree without the real CLI or the
+// network. Marketplaces can only be added from local directories.
+//
+// Select it with CLAUDE_BRIDGE_CLI=fake. Behavior switches:
+// - FAKE_CLAUDE_VERSION: version reported by --version
+// - FAKE_CLAUDE_FAIL: comma-separated verbs that exit 1 without writing
+// - FAKE_CLAUDE_NOOP: comma-separated verbs that report success without
+//   writing, to trigger the bridge's drift warnings
+// - FAKE_CLAUDE_HANG: comma-separated verbs that never finish, to trigger
+//   the bridge's timeouts
+// Verbs are the adapter's names: install, uninstall, update, enable, disable,
+// marketplace_add, marketplace_update, marketplace_remove.
+
+export const FAKE_CLAUDE_VERSION = "2.0.0"
+
+function listEnv(value) {
+  return (value ?? "").split(",").map((item) => item.trim()).filter(Boolean)
+}
+
+function parseArgs(argv) {
+  const positional = []
+  const flags = {}
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i].startsWith("--")) {
+      flags[argv[i].slice(2)] = argv[i + 1]
+      i += 1
+    } else {
+      positional.push(argv[i])
+    }
+  }
+  return { positional, flags }
+}
+
+function detectVerb(positional) {
+  if (positional[0] !== "plugin") return null
+  if (positional[1] === "marketplace") {
+    return ["add", "update", "remove"].includes(positional[2]) ? `marketplace_${positional[2]}` : null
+  }
+  return ["install", "uninstall", "update", "enable", "disable"].includes(positional[1]) ? positional[1] : null
+}
+
+function ok(stdout) {
+  return { exitCode: 0, stdout: `${stdout}\n`, stderr: "" }
+}
+
+function fail(stderr) {
+  return { exitCode: 1, stdout: "", stderr: `${stderr}\n` }
+}
+
+function isProjectScope(scope) {
+  return scope === "project" || scope === "local"
+}
+
+function fromNative(result) {
+  return result.ok ? ok(result.stdout) : fail(result.stderr)
+}
+
+async function isDirectory(path) {
+  return await stat(path).then((info) => info.isDirectory(), () => false)
+}
+
+async function updatePlugin(pluginKey, scope, cwd) {
+  const loaded = await getWritableInstalledPluginsData()
+  if (!loaded.ok) return fail(loaded.reason)
+
+  const rows = loaded.data.plugins[pluginKey] ?? []
+  const index = rows.findIndex((row) => (row?.scope ?? "user") === scope && (!isProjectScope(scope) || row.projectPath === cwd))
+  if (index < 0) return fail(`Plugin "${pluginKey}" is not installed at scope ${scope}`)
+
+  const plan = await planNativeInstall(pluginKey)
+  if (!plan.ok) return fail(plan.reason)
+
+  const current = rows[index]
+  if (current.version === plan.version && current.installPath === plan.installPath) {
+    return ok(`Plugin "${pluginKey}" is already at the latest version (${plan.version})`)
+  }
+
+  const inUse = (path) => Object.values(loaded.data.plugins)
+    .some((list) => (list ?? []).some((row) => row !== current && row?.installPath === path))
+  if (!isInsidePluginCache(plan.installPath)) return fail(`Refusing to write ${plan.installPath}: outside the plugin cache`)
+
+  if (!inUse(plan.installPath)) {
+    await rm(plan.installPath, { recursive: true, force: true })
+    await cp(plan.sourcePath, plan.installPath, {
+      recursive: true,
+      filter: (path) => !path.split(/[\\/]/).includes(".git"),
+    })
+  }
+
+  const row = { ...current, installPath: plan.installPath, version: plan.version, lastUpdated: new Date().toISOString() }
+  if (plan.gitCommitSha) row.gitCommitSha = plan.gitCommitSha
+  const updatedRows = rows.map((entry, i) => i === index ? row : entry)
+  await writeJsonAtomic(getInstalledPluginsPath(), {
+    ...loaded.data,
+    plugins: { ...loaded.data.plugins, [pluginKey]: updatedRows },
+  })
+  if (current.installPath && current.installPath !== plan.installPath && !inUse(current.installPath) && isInsidePluginCache(current.installPath)) {
+    await rm(current.installPath, { recursive: true, force: true })
+  }
+  return ok(`✔ Plugin "${pluginKey}" updated from ${current.version ?? "unknown"} to ${plan.version} (scope: ${scope})`)
+}
+
+async function setEnabled(pluginKey, scope, cwd, enabled) {
+  const installed = await getWritableInstalledPluginsData()
+  if (installed.ok && !installed.data.plugins[pluginKey]?.length) {
+    return fail(`Plugin "${pluginKey}" is not installed`)
+  }
+  const path = await setEnabledState(scope, cwd, pluginKey, enabled)
+  if (!path) return fail(`Cannot change ${scope} scope settings`)
+  return ok(`✔ Successfully ${enabled ? "enabled" : "disabled"} plugin: ${pluginKey} (scope: ${scope})`)
+}
+
+async function loadKnownMarketplaces() {
+  const loaded = await getWritableKnownMarketplaces()
+  if (!loaded.ok) throw new Error(loaded.reason)
+  return { ...loaded.data }
+}
+
+async function addMarketplace(source, cwd) {
+  const path = resolve(cwd, source)
+  if (!await isDirectory(path)) {
+    return fail(`fake-claude has no network access; add marketplaces from a local directory (got ${source})`)
+  }
+  const catalog = await readFile(join(path, ".claude-plugin", "marketplace.json"), "utf-8")
+    .then((text) => JSON.parse(text), () => null)
+  if (!catalog?.name) return fail(`No .claude-plugin/marketplace.json with a name in ${path}`)
+
+  const known = await loadKnownMarketplaces()
+  if (known[catalog.name]) return fail(`Marketplace "${catalog.name}" is already installed`)
+
+  const installLocation = getMarketplaceDir(catalog.name)
+  await rm(installLocation, { recursive: true, force: true })
+  await cp(path, installLocation, { recursive: true })
+  known[catalog.name] = {
+    source: { source: "directory", path },
+    installLocation,
+    lastUpdated: new Date().toISOString(),
+  }
+  await writeJsonAtomic(getKnownMarketplacesPath(), known)
+  return ok(`✔ Successfully added marketplace: ${catalog.name}`)
+}
+
+// Directory sources are copied again; anything else would need the network
+// and is reported as up to date.
+async function updateMarketplaces(name) {
+  const known = await loadKnownMarketplaces()
+  if (name && !known[name]) return fail(`Marketplace "${name}" not found`)
+
+  const lines = []
+  for (const target of name ? [name] : Object.keys(known).sort()) {
+    const entry = known[target]
+    const sourcePath = entry?.source?.source === "directory" ? entry.source.path : null
+    if (!sourcePath || !await isDirectory(sourcePath)) {
+      lines.push(`Marketplace "${target}" is already up to date`)
+      continue
+    }
+    const installLocation = entry.installLocation ?? getMarketplaceDir(target)
+    await rm(installLocation, { recursive: true, force: true })
+    await cp(sourcePath, installLocation, { recursive: true })
+    known[target] = { ...entry, lastUpdated: new Date().toISOString() }
+    lines.push(`✔ Successfully updated marketplace: ${target}`)
+  }
+  await writeJsonAtomic(getKnownMarketplacesPath(), known)
+  return ok(lines.join("\n") || "No marketplaces to update")
+}
+
+async function removeMarketplace(name) {
+  const known = await loadKnownMarketplaces()
+  if (!known[name]) return fail(`Marketplace "${name}" not found`)
+
+  const installLocation = known[name].installLocation ?? getMarketplaceDir(name)
+  delete known[name]
+  await writeJsonAtomic(getKnownMarketplacesPath(), known)
+  if (resolve(installLocation).startsWith(`${join(getPluginsRoot(), "marketplaces")}${sep}`)) {
+    await rm(installLocation, { recursive: true, force: true })
+  }
+  return ok(`✔ Successfully removed marketplace: ${name}`)
+}
+
+export async function runFakeClaude(argv, options = {}) {
+  const env = options.env ?? process.env
+  const cwd = resolve(options.cwd ?? process.cwd())
+
+  if (argv[0] === "--version" || argv[0] === "-v") {
+    return ok(`${env.FAKE_CLAUDE_VERSION || FAKE_CLAUDE_VERSION} (Claude Code, fake)`)
+  }
+
+  const { positional, flags } = parseArgs(argv)
+  const verb = detectVerb(positional)
+  if (!verb) return fail(`fake-claude: unsupported command: ${argv.join(" ")}`)
+
+  const target = verb.startsWith("marketplace_") ? positional[3] : positional[2]
+  if (!target && verb !== "marketplace_update") return fail(`fake-claude: ${verb} needs an argument`)
+  if (listEnv(env.FAKE_CLAUDE_FAIL).includes(verb)) return fail(`fake-claude: ${verb} failed (FAKE_CLAUDE_FAIL)`)
+  if (listEnv(env.FAKE_CLAUDE_NOOP).includes(verb)) return ok("✔ Done (FAKE_CLAUDE_NOOP)")
+  if (listEnv(env.FAKE_CLAUDE_HANG).includes(verb)) {
+    // Until the bridge kills the process
+    return await new Promise(() => setInterval(() => {}, 60_000))
+  }
+
+  const scope = flags.scope ?? "user"
+  const projectPath = isProjectScope(scope) ? cwd : undefined
+  try {
+    if (verb === "install") return fromNative(await nativeInstall(target, { scope, projectPath }))
+    if (verb === "uninstall") return fromNative(await nativeUninstall(target, { scope: flags.scope, projectPath: cwd }))
+    if (verb === "update") return await updatePlugin(target, scope, cwd)
+    if (verb === "enable") return await setEnabled(target, scope, cwd, true)
+    if (verb === "disable") return await setEnabled(target, scope, cwd, false)
+    if (verb === "marketplace_add") return await addMarketplace(target, cwd)
+    if (verb === "marketplace_update") return await updateMarketplaces(target)
+    return await removeMarketplace(target)
+  } catch (error) {
+    return fail(error.message)
+  }
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  // Follow CLAUDE_CONFIG_DIR like the real CLI, not the bridge's own profile choice
+  process.env.CLAUDE_BRIDGE_PROFILE = DEFAULT_PROFILE
+  const result = await runFakeClaude(process.argv.slice(2))
+  process.stdout.write(result.stdout)
+  process.stderr.write(result.stderr)
+  process.exitCode = result.exitCode
+}
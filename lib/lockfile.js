@@ -0,0 +1,162 @@
+import { readFile, writeFile } from "node:fs/promises"
+import { dirname, join, resolve } from "node:path"
+import { getProjectRoot } from "./profiles.js"
+
+export const LOCKFILE_NAME = "claude-plugins.lock.json"
+export const LOCKFILE_VERSION = 1
+
+export function getDefaultLockfilePath(projectDir = getProjectRoot()) {
+  return join(projectDir, LOCKFILE_NAME)
+}
+
+export function getLockfileProjectPath(lockfilePath) {
+  return dirname(resolve(lockfilePath))
+}
+
+export function marketplaceSourceArg(source) {
+  if (typeof source === "string") return source
+  return source?.repo ?? source?.url ?? source?.path ?? null
+}
+
+function lockEntryId(entry) {
+  return `${entry.key}|${entry.scope}`
+}
+
+function isProjectScope(scope) {
+  return scope === "project" || scope === "local"
+}
+
+function samePath(a, b) {
+  if (!a || !b) return false
+  return resolve(a) === resolve(b)
+}
+
+// Project and local rows are tied to a checkout, so only the rows belonging to
+// the lockfile's project are recorded, without their machine-specific path.
+// Managed rows are owned by an administrator and cannot be applied by users.
+export function buildLockfile(installed, known, options = {}) {
+  const projectPath = options.projectPath ?? null
+  const plugins = []
+
+  for (const key of Object.keys(installed ?? {}).sort()) {
+    for (const row of installed[key] ?? []) {
+      const scope = row?.scope ?? "user"
+      if (scope === "managed") continue
+      if (isProjectScope(scope) && !samePath(row.projectPath, projectPath)) continue
+      plugins.push({
+        key,
+        scope,
+        version: row.version ?? null,
+        gitCommitSha: row.gitCommitSha ?? null,
+      })
+    }
+  }
+
+  plugins.sort((a, b) => lockEntryId(a).localeCompare(lockEntryId(b)))
+
+  const marketplaces = {}
+  for (const name of Object.keys(known ?? {}).sort()) {
+    marketplaces[name] = { source: known[name]?.source ?? null }
+  }
+
+  return {
+    lockfileVersion: LOCKFILE_VERSION,
+    marketplaces,
+    plugins,
+  }
+}
+
+export async function readLockfile(path) {
+  let raw
+  try {
+    raw = await readFile(path, "utf-8")
+  } catch {
+    return { ok: false, reason: `Lockfile not found: ${path}` }
+  }
+
+  let lock
+  try {
+    lock = JSON.parse(raw)
+  } catch (error) {
+    return { ok: false, reason: `Lockfile is not valid JSON: ${error.message}` }
+  }
+
+  if (lock?.lockfileVersion !== LOCKFILE_VERSION) {
+    return { ok: false, reason: `Unsupported lockfileVersion ${lock?.lockfileVersion ?? "missing"} (expected ${LOCKFILE_VERSION})` }
+  }
+  if (!Array.isArray(lock.plugins) || typeof lock.marketplaces !== "object" || lock.marketplaces === null) {
+    return { ok: false, reason: "Lockfile must contain a `plugins` array and a `marketplaces` object" }
+  }
+
+  return { ok: true, lock }
+}
+
+export async function writeLockfile(path, lock) {
+  await writeFile(path, `${JSON.stringify(lock, null, 2)}\n`, "utf-8")
+}
+
+export function computeLockfileDrift(lock, installed, known, options = {}) {
+  const current = buildLockfile(installed, known, options)
+  const items = []
+
+  for (const [name, entry] of Object.entries(lock.marketplaces ?? {})) {
+    const expected = marketplaceSourceArg(entry?.source)
+    if (!known?.[name]) {
+      items.push({ kind: "marketplace_missing", key: name, expected, actual: null })
+      continue
+    }
+    const actual = marketplaceSourceArg(known[name].source)
+    if (expected && actual && expected !== actual) {
+      items.push({ kind: "marketplace_source_mismatch", key: name, expected, actual })
+    }
+  }
+
+  const currentById = new Map(current.plugins.map((entry) => [lockEntryId(entry), entry]))
+  const lockedIds = new Set()
+
+  for (const entry of lock.plugins ?? []) {
+    if (!entry?.key) continue
+    const scope = entry.scope ?? "user"
+    const id = lockEntryId({ key: entry.key, scope })
+    lockedIds.add(id)
+    const actual = currentById.get(id)
+
+    if (!actual) {
+      items.push({ kind: "plugin_missing", key: entry.key, scope, expected: entry.version ?? null, actual: null })
+      continue
+    }
+    if (entry.version && actual.version !== entry.version) {
+      items.push({ kind: "version_mismatch", key: entry.key, scope, expected: entry.version, actual: actual.version })
+    } else if (entry.gitCommitSha && actual.gitCommitSha !== entry.gitCommitSha) {
+      items.push({ kind: "commit_mismatch", key: entry.key, scope, expected: entry.gitCommitSha, actual: actual.gitCommitSha })
+    }
+  }
+
+  for (const entry of current.plugins) {
+    if (!lockedIds.has(lockEntryId(entry))) {
+      items.push({ kind: "plugin_extra", key: entry.key, scope: entry.scope, expected: null, actual: entry.version })
+    }
+  }
+
+  return items
+}
+
+export function formatDriftItem(item) {
+  const scope = item.scope ? ` (scope=${item.scope})` : ""
+  switch (item.kind) {
+    case "marketplace_missing":
+      return `marketplace missing: ${item.key} (source=${item.expected ?? "unknown"})`
+    case "marketplace_source_mismatch":
+      return `marketplace source differs: ${item.key} locked=${item.expected} actual=${item.actual}`
+    case "plugin_missing":
+      return `plugin missing: ${item.key}${scope}, locked version=${item.expected ?? "unknown"}`
+    case "version_mismatch":
+      return `version differs: ${item.key}${scope} locked=${item.expected} actual=${item.actual ?? "unknown"}`
+    case "commit_mismatch":
+      return `commit differs: ${item.key}${scope} locked=${item.expected} actual=${item.actual ?? "unknown"}`
+    case "plugin_extra":
+      return `not in lockfile: ${item.key}${scope}, version=${item.actual ?? "unknown"}`
+    default:
+      return `${item.kind}: ${item.key}`
+  }
+}
@@ -0,0 +1,224 @@
+import { cp, rm, stat } from "node:fs/promises"
+import { readPluginManifest } from "./components.js"
+import {
+  findCatalogPlugin,
+  getCacheDir,
+  getInstalledPluginsPath,
+  getMarketplaceHeadSha,
+  getSettingsPath,
+  getWritableInstalledPluginsData,
+  getWritableSettings,
+  isInsidePluginCache,
+  isSafePathSegment,
+  resolvePluginSourceDir,
+  splitPluginIdentifier,
+  writeJsonAtomic,
+} from "./data.js"
+import { getProjectRoot } from "./profiles.js"
+
+function nativeResult(verb, pluginKey, scope, outcome) {
+  return {
+    ok: outcome.ok,
+    exitCode: outcome.ok ? 0 : 1,
+    stdout: outcome.ok ? outcome.message : "",
+    stderr: outcome.ok ? "" : outcome.message,
+    command: `native ${verb} ${pluginKey}${scope ? ` --scope ${scope}` : ""}`,
+    engine: "native",
+  }
+}
+
+function isProjectScope(scope) {
+  return scope === "project" || scope === "local"
+}
+
+function rowMatches(row, scope, projectPath) {
+  if ((row?.scope ?? "user") !== scope) return false
+  if (!isProjectScope(scope)) return true
+  return (row?.projectPath ?? null) === projectPath
+}
+
+// Checked before installed_plugins.json is written, so a corrupt settings file
+// cannot leave a half-applied install behind.
+async function checkSettingsWritable(scope, projectPath) {
+  const path = getSettingsPath(scope, projectPath)
+  return path ? await getWritableSettings(path) : { ok: true }
+}
+
+export async function setEnabledState(scope, projectPath, pluginKey, enabled) {
+  const path = getSettingsPath(scope, projectPath)
+  if (!path) return null
+  const loaded = await getWritableSettings(path)
+  if (!loaded.ok) throw new Error(loaded.reason)
+  const settings = loaded.data
+  const enabledPlugins = typeof settings.enabledPlugins === "object" && settings.enabledPlugins !== null
+    ? { ...settings.enabledPlugins }
+    : {}
+  if (enabled === null) {
+    delete enabledPlugins[pluginKey]
+  } else {
+    enabledPlugins[pluginKey] = enabled
+  }
+  await writeJsonAtomic(path, { ...settings, enabledPlugins })
+  return path
+}
+
+export async function planNativeInstall(pluginKey) {
+  const { name, marketplace } = splitPluginIdentifier(pluginKey)
+  if (!marketplace) return { ok: false, reason: "native install needs a plugin@marketplace identifier" }
+
+  const entry = await findCatalogPlugin(name, marketplace)
+  if (!entry) return { ok: false, reason: `\`${pluginKey}\` is not in the ${marketplace} catalog` }
+
+  const source = resolvePluginSourceDir(marketplace, entry)
+  if (!source.ok) return { ok: false, reason: `cannot install natively: ${source.reason}` }
+
+  const sourceExists = await stat(source.path).then((s) => s.isDirectory(), () => false)
+  if (!sourceExists) return { ok: false, reason: `plugin source directory not found: ${source.path}` }
+
+  const manifest = await readPluginManifest(source.path)
+  const gitCommitSha = await getMarketplaceHeadSha(marketplace)
+  const version = entry.version ?? manifest?.version ?? gitCommitSha?.slice(0, 12) ?? "unknown"
+  // The catalog is untrusted, and these values become cache/ path segments
+  const unsafe = [["marketplace", marketplace], ["name", name], ["version", version]]
+    .find(([, value]) => !isSafePathSegment(value))
+  if (unsafe) return { ok: false, reason: `refusing to install: ${unsafe[0]} \`${unsafe[1]}\` is not a safe directory name` }
+  const installPath = getCacheDir(marketplace, name, version)
+  if (!isInsidePluginCache(installPath)) return { ok: false, reason: `refusing to install: ${installPath} is outside the plugin cache` }
+
+  return {
+    ok: true,
+    name,
+    marketplace,
+    version,
+    gitCommitSha,
+    sourcePath: source.path,
+    installPath,
+  }
+}
+
+export async function nativeInstall(pluginKey, options = {}) {
+  const scope = options.scope ?? "user"
+  const projectPath = isProjectScope(scope) ? options.projectPath ?? getProjectRoot() : null
+
+  const plan = await planNativeInstall(pluginKey)
+  if (!plan.ok) return nativeResult("install", pluginKey, scope, { ok: false, message: plan.reason })
+
+  const loaded = await getWritableInstalledPluginsData()
+  if (!loaded.ok) return nativeResult("install", pluginKey, scope, { ok: false, message: loaded.reason })
+  const settings = await checkSettingsWritable(scope, projectPath)
+  if (!settings.ok) return nativeResult("install", pluginKey, scope, { ok: false, message: settings.reason })
+
+  const rows = loaded.data.plugins[pluginKey] ?? []
+  if (rows.some((row) => rowMatches(row, scope, projectPath))) {
+    return nativeResult("install", pluginKey, scope, { ok: false, message: `${pluginKey} is already installed at scope ${scope}` })
+  }
+
+  // Another scope may already use this exact cache version; reuse it rather
+  // than replacing files under a live install.
+  const shared = Object.values(loaded.data.plugins)
+    .some((list) => (list ?? []).some((row) => row?.installPath === plan.installPath))
+
+  if (!isInsidePluginCache(plan.installPath)) {
+    return nativeResult("install", pluginKey, scope, { ok: false, message: `refusing to write ${plan.installPath}: outside the plugin cache` })
+  }
+
+  try {
+    if (!shared) {
+      await rm(plan.installPath, { recursive: true, force: true })
+      await cp(plan.sourcePath, plan.installPath, {
+        recursive: true,
+        filter: (path) => !path.split(/[\\/]/).includes(".git"),
+      })
+    }
+
+    const now = new Date().toISOString()
+    const row = { scope }
+    if (projectPath) row.projectPath = projectPath
+    Object.assign(row, {
+      installPath: plan.installPath,
+      version: plan.version,
+      installedAt: now,
+      lastUpdated: now,
+    })
+    if (plan.gitCommitSha) row.gitCommitSha = plan.gitCommitSha
+
+    const data = { ...loaded.data, plugins: { ...loaded.data.plugins, [pluginKey]: [...rows, row] } }
+    await writeJsonAtomic(getInstalledPluginsPath(), data)
+    const settingsPath = await setEnabledState(scope, projectPath, pluginKey, true)
+
+    return nativeResult("install", pluginKey, scope, {
+      ok: true,
+      message: [
+        shared ? `Reused ${plan.installPath}` : `Copied ${plan.sourcePath} -> ${plan.installPath}`,
+        `Added installed_plugins.json row (version ${plan.version})`,
+        settingsPath ? `Enabled in ${settingsPath}` : null,
+      ].filter(Boolean).join("\n"),
+    })
+  } catch (error) {
+    return nativeResult("install", pluginKey, scope, { ok: false, message: error.message })
+  }
+}
+
+export async function nativeUninstall(pluginKey, options = {}) {
+  const loaded = await getWritableInstalledPluginsData()
+  const requestedScope = options.scope ?? null
+  if (!loaded.ok) return nativeResult("uninstall", pluginKey, requestedScope, { ok: false, message: loaded.reason })
+
+  const rows = loaded.data.plugins[pluginKey] ?? []
+  // An explicit null selects a project row that has no projectPath, which is
+  // how plugin_prune removes such stale rows
+  const projectPath = options.projectPath === undefined ? getProjectRoot() : options.projectPath
+  const candidates = requestedScope
+    ? rows.filter((row) => rowMatches(row, requestedScope, projectPath))
+    : rows.filter((row) => !isProjectScope(row?.scope ?? "user") || (row.projectPath ?? null) === projectPath)
+
+  if (!candidates.length) {
+    return nativeResult("uninstall", pluginKey, requestedScope, { ok: false, message: `${pluginKey} is not installed at the requested scope` })
+  }
+  if (candidates.length > 1) {
+    const scopes = candidates.map((row) => row.scope ?? "user").join(", ")
+    return nativeResult("uninstall", pluginKey, requestedScope, { ok: false, message: `${pluginKey} is installed at several scopes (${scopes}); pass scope` })
+  }
+
+  const target = candidates[0]
+  const scope = target.scope ?? "user"
+  const settingsProject = target.projectPath ?? projectPath
+  // A deleted (or unrecorded) project has no settings left to clean up, and
+  // writing one would recreate its directory
+  const projectGone = isProjectScope(scope) && (!settingsProject || !await stat(settingsProject).then((s) => s.isDirectory(), () => false))
+  const settings = projectGone ? { ok: true } : await checkSettingsWritable(scope, settingsProject)
+  if (!settings.ok) return nativeResult("uninstall", pluginKey, scope, { ok: false, message: settings.reason })
+
+  try {
+    const remaining = rows.filter((row) => row !== target)
+    const plugins = { ...loaded.data.plugins }
+    if (remaining.length) {
+      plugins[pluginKey] = remaining
+    } else {
+      delete plugins[pluginKey]
+    }
+    await writeJsonAtomic(getInstalledPluginsPath(), { ...loaded.data, plugins })
+    const settingsPath = projectGone ? null : await setEnabledState(scope, settingsProject, pluginKey, null)
+
+    const stillReferenced = Object.values(plugins).some((list) => (list ?? []).some((row) => row?.installPath === target.installPath))
+    // A hand-edited row can point anywhere; only cache directories are deleted
+    const outsideCache = Boolean(target.installPath) && !isInsidePluginCache(target.installPath)
+    const deleted = Boolean(target.installPath) && !stillReferenced && !outsideCache
+    if (deleted) {
+      await rm(target.installPath, { recursive: true, force: true })
+    }
+
+    return nativeResult("uninstall", pluginKey, scope, {
+      ok: true,
+      message: [
+        `Removed installed_plugins.json row (scope ${scope})`,
+        settingsPath ? `Removed enabledPlugins entry from ${settingsPath}` : null,
+        projectGone ? `Project directory ${settingsProject} is gone; no settings to update` : null,
+        deleted ? `Deleted ${target.installPath}` : null,
+        outsideCache && !stillReferenced ? `Warning: left ${target.installPath} in place because it is outside the plugin cache` : null,
+      ].filter(Boolean).join("\n"),
+    })
+  } catch (error) {
+    return nativeResult("uninstall", pluginKey, scope, { ok: false, message: error.message })
+  }
+}
@@ -0,0 +1,132 @@
+import { join } from "node:path"
+import {
+  getKnownMarketplaces,
+  isPluginSystemAvailable,
+  writeJsonAtomic,
+} from "./data.js"
+import { getOutdatedRows, hasUpdate } from "./outdated.js"
+import { getBridgeStateDir, readBridgeConfig } from "./profiles.js"
+import { inspectJsonFile } from "./schema.js"
+
+export const UPDATE_CHECK_FILE = "update-check.json"
+export const DEFAULT_UPDATE_CHECK_HOURS = 24
+export const DEFAULT_STALE_MARKETPLACE_DAYS = 7
+export const UPDATE_NOTICE_MODES = ["toast", "session", "off"]
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Several sessions created at once must not each run a check and notify
+let running = false
+
+function readNonNegativeNumber(value, fallback) {
+  const parsed = Number.parseFloat(value ?? "")
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback
+}
+
+// `updateCheck` in the bridge config file, with the environment variables
+// taking precedence over it.
+export function getUpdateCheckSettings() {
+  const configured = readBridgeConfig().updateCheck
+  const config = configured && typeof configured === "object" ? configured : {}
+  const notice = String(process.env.CLAUDE_BRIDGE_UPDATE_NOTICE || config.notice || "").trim().toLowerCase()
+  return {
+    intervalHours: readNonNegativeNumber(
+      process.env.CLAUDE_BRIDGE_UPDATE_CHECK_HOURS,
+      readNonNegativeNumber(config.intervalHours, DEFAULT_UPDATE_CHECK_HOURS),
+    ),
+    staleMarketplaceDays: readNonNegativeNumber(
+      process.env.CLAUDE_BRIDGE_STALE_MARKETPLACE_DAYS,
+      readNonNegativeNumber(config.staleMarketplaceDays, DEFAULT_STALE_MARKETPLACE_DAYS),
+    ),
+    notice: UPDATE_NOTICE_MODES.includes(notice) ? notice : "toast",
+  }
+}
+
+export function getUpdateCheckPath() {
+  return join(getBridgeStateDir(), UPDATE_CHECK_FILE)
+}
+
+export async function readLastUpdateCheck() {
+  const inspected = await inspectJsonFile(getUpdateCheckPath())
+  return inspected.exists && !inspected.error ? inspected.value : null
+}
+
+// Read-only: compares known_marketplaces.json lastUpdated with the threshold
+// and install rows with the local catalogs. Nothing is fetched.
+export async function checkForUpdates(options = {}) {
+  const now = options.now ?? Date.now()
+  const staleDays = options.staleMarketplaceDays ?? getUpdateCheckSettings().staleMarketplaceDays
+
+  const staleMarketplaces = []
+  for (const [name, info] of Object.entries(await getKnownMarketplaces()).sort(([a], [b]) => a.localeCompare(b))) {
+    const updated = Date.parse(info?.lastUpdated ?? "")
+    const ageDays = Number.isNaN(updated) ? null : Math.floor((now - updated) / DAY_MS)
+    if (ageDays === null || ageDays >= staleDays) {
+      staleMarketplaces.push({ name, lastUpdated: info?.lastUpdated ?? null, ageDays })
+    }
+  }
+
+  const outdated = []
+  for (const row of (await getOutdatedRows()).filter(hasUpdate)) {
+    if (outdated.some((entry) => entry.key === row.key)) continue
+    outdated.push({ key: row.key, current: row.current, latest: row.latest, change: row.change, commitChanged: row.commitChanged })
+  }
+
+  return { checkedAt: new Date(now).toISOString(), staleDays, staleMarketplaces, outdated }
+}
+
+function listNames(names, limit = 3) {
+  const shown = names.slice(0, limit).join(", ")
+  return names.length > limit ? `${shown} and ${names.length - limit} more` : shown
+}
+
+function describeUpdate(entry) {
+  return entry.change === "none"
+    ? `${entry.key} ${entry.current ?? "?"} (newer commit)`
+    : `${entry.key} ${entry.current ?? "?"} → ${entry.latest ?? "?"}`
+}
+
+// One or two short sentences, or null when there is nothing to report.
+export function formatUpdateNotice(report) {
+  const parts = []
+  if (report.outdated.length) {
+    parts.push(`${report.outdated.length} plugin update(s) available: ${listNames(report.outdated.map(describeUpdate))}.`)
+  }
+  if (report.staleMarketplaces.length) {
+    parts.push(`${report.staleMarketplaces.length} marketplace(s) not refreshed in ${report.staleDays}+ days: ${listNames(report.staleMarketplaces.map((entry) => entry.name))}.`)
+  }
+  if (!parts.length) return null
+  parts.push("Run `update_all` (`dry_run=true` to preview).")
+  return parts.join(" ")
+}
+
+async function runUpdateCheck(settings, now) {
+  if (!await isPluginSystemAvailable()) return null
+  const last = await readLastUpdateCheck()
+  const lastAt = Date.parse(last?.checkedAt ?? "")
+  if (!Number.isNaN(lastAt) && now - lastAt < settings.intervalHours * 60 * 60 * 1000) return null
+
+  const report = await checkForUpdates({ now, staleMarketplaceDays: settings.staleMarketplaceDays })
+  // Recorded before anyone is notified, so a failing toast cannot turn into a
+  // notice on every new session
+  await writeJsonAtomic(getUpdateCheckPath(), {
+    checkedAt: report.checkedAt,
+    outdated: report.outdated.length,
+    staleMarketplaces: report.staleMarketplaces.length,
+  })
+  return report
+}
+
+// Returns the report when a check was due and ran, null when it was throttled
+// or turned off (interval 0 or notice "off").
+export async function runScheduledUpdateCheck(options = {}) {
+  const settings = getUpdateCheckSettings()
+  if (settings.intervalHours === 0 || settings.notice === "off") return null
+  if (running) return null
+  running = true
+  try {
+    return await runUpdateCheck(settings, options.now ?? Date.now())
+  } finally {
+    running = false
+  }
+}
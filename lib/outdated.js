@@ -0,0 +1,64 @@
+import {
+  getAvailablePlugins,
+  getInstalledPlugins,
+  getMarketplaceHeadSha,
+  splitPluginIdentifier,
+} from "./data.js"
+import { classifyVersionChange } from "./semver.js"
+
+export async function getOutdatedRows(options = {}) {
+  const installed = await getInstalledPlugins()
+  const catalogVersions = new Map((await getAvailablePlugins()).map((row) => [row.key, row.version]))
+  const headShas = new Map()
+  const marketplaceFilter = options.marketplace?.toLowerCase() ?? null
+  const rows = []
+
+  for (const key of Object.keys(installed).sort()) {
+    const { name, marketplace } = splitPluginIdentifier(key)
+    if (marketplaceFilter && (marketplace ?? "").toLowerCase() !== marketplaceFilter) continue
+
+    if (marketplace && !headShas.has(marketplace)) {
+      headShas.set(marketplace, await getMarketplaceHeadSha(marketplace))
+    }
+    const headSha = marketplace ? headShas.get(marketplace) : null
+    const inCatalog = catalogVersions.has(key)
+    const latest = catalogVersions.get(key) ?? null
+
+    for (const row of installed[key] ?? []) {
+      const current = row?.version ?? null
+      const change = inCatalog ? classifyVersionChange(current, latest) : "not-in-catalog"
+      const commitChanged = Boolean(row?.gitCommitSha && headSha && row.gitCommitSha !== headSha)
+      rows.push({
+        key,
+        name,
+        marketplace,
+        scope: row?.scope ?? "user",
+        projectPath: row?.projectPath ?? null,
+        current,
+        latest,
+        change,
+        installedSha: row?.gitCommitSha ?? null,
+        headSha,
+        commitChanged,
+      })
+    }
+  }
+
+  return rows
+}
+
+export function isOutdated(row) {
+  return ["major", "minor", "patch", "prerelease"].includes(row.change)
+}
+
+// Same version as the catalog, but the marketplace clone has moved past the
+// commit it was installed from
+export function isCommitOnlyUpdate(row) {
+  return row.change === "none" && row.commitChanged
+}
+
+// What counts as an available update everywhere: plugin_outdated's
+// updates_available and the session-start notice
+export function hasUpdate(row) {
+  return isOutdated(row) || isCommitOnlyUpdate(row)
+}
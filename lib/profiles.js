@@ -0,0 +1,156 @@
+import { existsSync, readFileSync, statSync } from "node:fs"
+import { homedir } from "node:os"
+import { dirname, join, resolve, sep } from "node:path"
+
+export const BRIDGE_CONFIG_NAME = "claude-marketplace-bridge.json"
+export const DEFAULT_PROFILE = "default"
+
+const state = {
+  directory: null,
+  worktree: null,
+  activeProfile: null,
+}
+
+let configCache = { path: null, mtimeMs: null, config: {} }
+
+function expandHome(path) {
+  if (path === "~") return homedir()
+  if (path.startsWith("~/") || path.startsWith("~\\")) return join(homedir(), path.slice(2))
+  return path
+}
+
+function isDirectory(path) {
+  try {
+    return statSync(path).isDirectory()
+  } catch {
+    return false
+  }
+}
+
+function isInside(path, parent) {
+  return path === parent || path.startsWith(parent.endsWith(sep) ? parent : `${parent}${sep}`)
+}
+
+export function getBridgeConfigPath() {
+  if (process.env.CLAUDE_BRIDGE_CONFIG) return resolve(expandHome(process.env.CLAUDE_BRIDGE_CONFIG))
+  const base = process.env.XDG_CONFIG_HOME || join(homedir(), ".config")
+  return join(base, "opencode", BRIDGE_CONFIG_NAME)
+}
+
+// Re-read only when the file changes; profile lookups happen on every path
+// resolution.
+export function readBridgeConfig() {
+  const path = getBridgeConfigPath()
+  let mtimeMs = null
+  try {
+    mtimeMs = statSync(path).mtimeMs
+  } catch {
+    configCache = { path, mtimeMs: null, config: {} }
+    return configCache.config
+  }
+  if (configCache.path === path && configCache.mtimeMs === mtimeMs) return configCache.config
+
+  let config = {}
+  try {
+    const parsed = JSON.parse(readFileSync(path, "utf-8"))
+    if (parsed && typeof parsed === "object") config = parsed
+  } catch {
+    config = {}
+  }
+  configCache = { path, mtimeMs, config }
+  return config
+}
+
+function getDefaultConfigDir() {
+  return resolve(expandHome(process.env.CLAUDE_CONFIG_DIR || join(homedir(), ".claude")))
+}
+
+export function listProfiles() {
+  const profiles = {
+    [DEFAULT_PROFILE]: {
+      configDir: getDefaultConfigDir(),
+      source: process.env.CLAUDE_CONFIG_DIR ? "CLAUDE_CONFIG_DIR" : "~/.claude",
+    },
+  }
+  const configured = readBridgeConfig().profiles
+  if (configured && typeof configured === "object") {
+    for (const [name, value] of Object.entries(configured)) {
+      const configDir = typeof value === "string" ? value : value?.configDir
+      if (typeof configDir !== "string" || !configDir.trim()) continue
+      profiles[name] = { configDir: resolve(expandHome(configDir.trim())), source: getBridgeConfigPath() }
+    }
+  }
+  return profiles
+}
+
+// Session choice first, then CLAUDE_BRIDGE_PROFILE, then the config file.
+export function getActiveProfileName() {
+  return state.activeProfile ?? process.env.CLAUDE_BRIDGE_PROFILE ?? readBridgeConfig().profile ?? DEFAULT_PROFILE
+}
+
+export function getActiveProfile() {
+  const profiles = listProfiles()
+  const name = getActiveProfileName()
+  if (profiles[name]) return { name, ...profiles[name], missing: null }
+  return { name: DEFAULT_PROFILE, ...profiles[DEFAULT_PROFILE], missing: name }
+}
+
+export function setActiveProfile(name) {
+  const profiles = listProfiles()
+  if (!profiles[name]) {
+    return { ok: false, reason: `Unknown profile \`${name}\`. Known: ${Object.keys(profiles).join(", ")}` }
+  }
+  state.activeProfile = name
+  return { ok: true, profile: { name, ...profiles[name] } }
+}
+
+export function getClaudeConfigDir() {
+  return getActiveProfile().configDir
+}
+
+// Files the bridge itself keeps (update-check record, snapshots) live here
+// rather than in the Claude config dir, which belongs to the CLI. Each profile
+// gets its own subdirectory.
+export function getBridgeStateDir() {
+  const base = process.env.CLAUDE_BRIDGE_STATE_DIR
+    ? resolve(expandHome(process.env.CLAUDE_BRIDGE_STATE_DIR))
+    : join(process.env.XDG_STATE_HOME || join(homedir(), ".local", "state"), "opencode", "claude-marketplace-bridge")
+  return join(base, encodeURIComponent(getActiveProfile().name))
+}
+
+// Environment for spawned `claude` processes, so the CLI reads and writes the
+// same profile as the bridge. CLAUDE_CONFIG_DIR is left unset for the plain
+// ~/.claude default: the CLI keys stored credentials on it.
+export function getClaudeCliEnv() {
+  const configDir = getClaudeConfigDir()
+  const env = { ...process.env }
+  if (process.env.CLAUDE_CONFIG_DIR || configDir !== resolve(homedir(), ".claude")) {
+    env.CLAUDE_CONFIG_DIR = configDir
+  }
+  return env
+}
+
+export function configureProjectDirectory(input = {}) {
+  state.directory = input.directory ? resolve(input.directory) : null
+  state.worktree = input.worktree && input.worktree !== "/" ? resolve(input.worktree) : null
+}
+
+// OpenCode may be opened in a subdirectory. Walk up from its directory to the
+// nearest folder with a `.claude/` or `.git`, never past the worktree or into
+// the home directory, whose `.claude/` is user config.
+export function getProjectRoot() {
+  const start = state.directory ?? resolve(process.cwd())
+  const boundary = state.worktree && isInside(start, state.worktree) ? state.worktree : null
+  const home = resolve(homedir())
+
+  let current = start
+  while (current !== home) {
+    // .git is a file in linked worktrees and submodules
+    if (isDirectory(join(current, ".claude")) || existsSync(join(current, ".git"))) return current
+    if (current === boundary) return current
+    const parent = dirname(current)
+    if (parent === current) break
+    current = parent
+  }
+  return boundary ?? start
+}
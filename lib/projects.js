@@ -0,0 +1,68 @@
+import { stat } from "node:fs/promises"
+import { getInstalledPlugins, getSettingsPath, listInstallations, readSettingsFile } from "./data.js"
+
+async function isDirectory(path) {
+  return path ? await stat(path).then((info) => info.isDirectory(), () => false) : false
+}
+
+function isProjectScope(scope) {
+  return scope === "project" || scope === "local"
+}
+
+// Why a project or local install no longer belongs to a live project: its
+// directory is gone, or the settings file the install wrote no longer lists the
+// plugin in enabledPlugins (the project was re-cloned, moved or cleaned up
+// without uninstalling).
+async function checkInstallation(installation, exists) {
+  if (!installation.projectPath) return { stale: "missing", reason: "row has no projectPath" }
+  if (!exists) return { stale: "missing", reason: `${installation.projectPath} does not exist` }
+  const path = getSettingsPath(installation.scope, installation.projectPath)
+  const settings = await readSettingsFile(path)
+  const enabledPlugins = settings?.enabledPlugins
+  if (enabledPlugins && typeof enabledPlugins === "object" && installation.key in enabledPlugins) {
+    return { stale: null, reason: null }
+  }
+  return { stale: "unreferenced", reason: `${path} does not list it in enabledPlugins` }
+}
+
+// Project and local installs grouped by projectPath, each checked with
+// checkInstallation. User and managed installs are only counted.
+export async function getProjectInventory() {
+  const installed = await getInstalledPlugins()
+  const byProject = new Map()
+  let globalInstalls = 0
+
+  for (const key of Object.keys(installed).sort()) {
+    for (const installation of listInstallations(key, installed[key])) {
+      if (!isProjectScope(installation.scope)) {
+        globalInstalls += 1
+        continue
+      }
+      const list = byProject.get(installation.projectPath) ?? []
+      list.push(installation)
+      byProject.set(installation.projectPath, list)
+    }
+  }
+
+  const projects = []
+  for (const [projectPath, installations] of byProject) {
+    const exists = await isDirectory(projectPath)
+    const checked = []
+    for (const installation of installations) {
+      checked.push({ ...installation, ...await checkInstallation(installation, exists) })
+    }
+    projects.push({
+      projectPath,
+      exists,
+      stale: checked.filter((installation) => installation.stale).length,
+      installations: checked,
+    })
+  }
+
+  projects.sort((a, b) => (a.projectPath ?? "").localeCompare(b.projectPath ?? ""))
+  return { globalInstalls, projects }
+}
+
+export function listStaleInstallations(inventory) {
+  return inventory.projects.flatMap((project) => project.installations.filter((installation) => installation.stale))
+}
@@ -0,0 +1,143 @@
+import { chmod, mkdir, readFile, stat, writeFile } from "node:fs/promises"
+import { basename, dirname, join, relative, resolve } from "node:path"
+import { writeJsonAtomic } from "./data.js"
+import { NAME_PATTERN } from "./validate.js"
+
+export const SCAFFOLD_COMPONENTS = ["skill", "command", "agent", "hooks", "mcp"]
+
+const CATALOG_FILE = join(".claude-plugin", "marketplace.json")
+
+async function exists(path) {
+  return await stat(path).then(() => true, () => false)
+}
+
+function json(value) {
+  return `${JSON.stringify(value, null, 2)}\n`
+}
+
+function componentFiles(name, description, components) {
+  const files = []
+  if (components.includes("skill")) {
+    files.push({
+      path: join("skills", name, "SKILL.md"),
+      content: `---\nname: ${name}\ndescription: ${description}. Use when the user asks for ${name}.\n---\n\n# ${name}\n\nInstructions Claude follows when this skill is active.\n`,
+    })
+  }
+  if (components.includes("command")) {
+    files.push({
+      path: join("commands", `${name}.md`),
+      content: `---\ndescription: ${description}\n---\n\nRun ${name} for: $ARGUMENTS\n`,
+    })
+  }
+  if (components.includes("agent")) {
+    files.push({
+      path: join("agents", `${name}.md`),
+      content: `---\nname: ${name}\ndescription: ${description}\n---\n\nYou are the ${name} agent. Describe its role, tools and output here.\n`,
+    })
+  }
+  if (components.includes("hooks")) {
+    // A narrow matcher keeps plugin_audit from flagging the template itself
+    files.push({
+      path: join("hooks", "hooks.json"),
+      content: json({
+        hooks: {
+          PostToolUse: [{ matcher: "Write|Edit", hooks: [{ type: "command", command: "${CLAUDE_PLUGIN_ROOT}/hooks/post-edit.sh" }] }],
+        },
+      }),
+    })
+    files.push({
+      path: join("hooks", "post-edit.sh"),
+      content: "#!/bin/sh\n# Runs after every Write or Edit tool call. The tool input arrives as JSON on stdin.\nexit 0\n",
+      mode: 0o755,
+    })
+  }
+  if (components.includes("mcp")) {
+    files.push({
+      path: ".mcp.json",
+      content: json({ mcpServers: { [name]: { command: "node", args: ["${CLAUDE_PLUGIN_ROOT}/server.js"] } } }),
+    })
+  }
+  return files
+}
+
+function readme(name, description, components) {
+  const lines = [`# ${name}`, "", description, "", "## Contents", ""]
+  lines.push("- `.claude-plugin/plugin.json`: plugin manifest")
+  if (components.includes("skill")) lines.push(`- \`skills/${name}/SKILL.md\`: skill`)
+  if (components.includes("command")) lines.push(`- \`commands/${name}.md\`: slash command /${name}`)
+  if (components.includes("agent")) lines.push(`- \`agents/${name}.md\`: subagent`)
+  if (components.includes("hooks")) lines.push("- `hooks/hooks.json`: PostToolUse hook running `hooks/post-edit.sh`")
+  if (components.includes("mcp")) lines.push("- `.mcp.json`: MCP server (add `server.js`, or point it at your server)")
+  return `${lines.join("\n")}\n`
+}
+
+// Works out every file and catalog change without touching disk, so dry runs
+// and the real run share one plan.
+export async function planScaffold(options) {
+  const name = options.name?.trim() ?? ""
+  if (!NAME_PATTERN.test(name)) {
+    return { ok: false, reason: `plugin name \`${name}\` must be lowercase letters, digits, dots, dashes or underscores` }
+  }
+
+  const root = resolve(options.marketplacePath)
+  const catalogPath = join(root, CATALOG_FILE)
+  let catalog = null
+  const text = await readFile(catalogPath, "utf-8").catch(() => null)
+  if (text !== null) {
+    try {
+      catalog = JSON.parse(text)
+    } catch (error) {
+      return { ok: false, reason: `${catalogPath} is not valid JSON (${error.message}); fix it with \`marketplace_validate\` first` }
+    }
+    if (!Array.isArray(catalog?.plugins)) {
+      return { ok: false, reason: `${catalogPath} has no \`plugins\` list` }
+    }
+    if (catalog.plugins.some((plugin) => plugin?.name === name)) {
+      return { ok: false, reason: `\`${name}\` is already listed in ${catalogPath}` }
+    }
+  }
+
+  const marketplaceName = catalog?.name ?? options.marketplaceName ?? basename(root).toLowerCase()
+  if (!catalog && !NAME_PATTERN.test(marketplaceName)) {
+    return { ok: false, reason: `marketplace name \`${marketplaceName}\` must be lowercase letters, digits, dots, dashes or underscores; pass \`marketplace_name\`` }
+  }
+
+  const pluginDir = join(root, "plugins", name)
+  if (await exists(pluginDir)) {
+    return { ok: false, reason: `${pluginDir} already exists` }
+  }
+
+  const components = SCAFFOLD_COMPONENTS.filter((component) => options.components?.includes(component))
+  const description = options.description?.trim() || `The ${name} plugin`
+  const version = options.version ?? "0.1.0"
+  const author = { name: options.owner ?? catalog?.owner?.name ?? "Your Name" }
+  const files = [
+    { path: join(".claude-plugin", "plugin.json"), content: json({ name, version, description, author }) },
+    { path: "README.md", content: readme(name, description, components) },
+    ...componentFiles(name, description, components),
+  ].map((file) => ({ ...file, path: join(pluginDir, file.path) }))
+
+  const entry = { name, source: `./${relative(root, pluginDir).split("\\").join("/")}`, description, version, author }
+  return {
+    ok: true,
+    root,
+    marketplaceName,
+    pluginDir,
+    files,
+    catalogPath,
+    createsMarketplace: !catalog,
+    entry,
+    catalog: catalog
+      ? { ...catalog, plugins: [...catalog.plugins, entry] }
+      : { name: marketplaceName, owner: { name: author.name }, plugins: [entry] },
+  }
+}
+
+export async function writeScaffold(plan) {
+  for (const file of plan.files) {
+    await mkdir(dirname(file.path), { recursive: true })
+    await writeFile(file.path, file.content, "utf-8")
+    if (file.mode) await chmod(file.path, file.mode)
+  }
+  await writeJsonAtomic(plan.catalogPath, plan.catalog)
+}
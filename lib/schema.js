@@ -0,0 +1,174 @@
+import { readFile } from "node:fs/promises"
+
+// Schema versions of the Claude CLI files the bridge knows how to read.
+// Files without a version field are recognized by shape alone.
+export const INSTALLED_SCHEMA_VERSION = 2
+export const INSTALL_COUNTS_SCHEMA_VERSION = 1
+
+const SCOPES = ["user", "project", "local", "managed"]
+const INSTALL_ROW_FIELDS = ["scope", "projectPath", "installPath", "version", "installedAt", "lastUpdated", "gitCommitSha", "isLocal"]
+const MARKETPLACE_ENTRY_FIELDS = ["source", "installLocation", "lastUpdated", "autoUpdate"]
+const MARKETPLACE_SOURCE_TYPES = ["github", "git", "url", "directory", "file"]
+const CATALOG_FIELDS = ["$schema", "name", "owner", "metadata", "description", "version", "plugins"]
+const CATALOG_PLUGIN_FIELDS = [
+  "name", "source", "description", "version", "author", "homepage", "repository", "license", "keywords",
+  "category", "tags", "strict", "dependencies", "commands", "agents", "hooks", "mcpServers", "lspServers", "skills", "outputStyles",
+]
+
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value)
+}
+
+function error(message) {
+  return { level: "error", message }
+}
+
+function warning(message) {
+  return { level: "warning", message }
+}
+
+// Counts unexpected keys across many records so one report line covers them.
+function collectUnexpected(records, known, label) {
+  const counts = new Map()
+  for (const record of records) {
+    if (!isObject(record)) continue
+    for (const key of Object.keys(record)) {
+      if (!known.includes(key)) counts.set(key, (counts.get(key) ?? 0) + 1)
+    }
+  }
+  if (!counts.size) return []
+  const fields = Array.from(counts, ([key, count]) => `${key} (${count})`).join(", ")
+  return [warning(`unexpected ${label} field(s): ${fields}`)]
+}
+
+// Reads a JSON file without the cache, keeping the parse error so corrupt and
+// half-written files can be told apart from missing ones.
+export async function inspectJsonFile(path) {
+  let raw
+  try {
+    raw = await readFile(path, "utf-8")
+  } catch (err) {
+    if (err.code === "ENOENT") return { exists: false, value: null, error: null }
+    return { exists: true, value: null, error: `unreadable: ${err.message}` }
+  }
+  if (!raw.trim()) return { exists: true, value: null, error: "empty file (partially written?)" }
+  try {
+    return { exists: true, value: JSON.parse(raw), error: null }
+  } catch (err) {
+    // Every file the bridge reads is a single object, so text that does not
+    // close it was cut off mid-write rather than edited into bad JSON.
+    const message = err.message.replace(/\s+/g, " ")
+    const truncated = /end of (JSON )?input/i.test(message) || !/[}\]]$/.test(raw.trimEnd())
+    return { exists: true, value: null, error: truncated ? `truncated JSON (partially written?): ${message}` : `invalid JSON: ${message}` }
+  }
+}
+
+export function validateInstalledPlugins(data) {
+  if (!isObject(data)) return [error("expected an object")]
+  const issues = []
+  if (data.version !== INSTALLED_SCHEMA_VERSION) {
+    issues.push(error(`unknown schema version ${JSON.stringify(data.version ?? null)} (known: ${INSTALLED_SCHEMA_VERSION})`))
+  }
+  if (!isObject(data.plugins)) {
+    issues.push(error("`plugins` is not an object"))
+    return issues
+  }
+  issues.push(...collectUnexpected([data], ["version", "plugins"], "top-level"))
+
+  const rows = []
+  for (const [key, list] of Object.entries(data.plugins)) {
+    if (!key.includes("@")) issues.push(warning(`\`${key}\` is not a plugin@marketplace key`))
+    if (!Array.isArray(list)) {
+      issues.push(error(`\`${key}\` is not a list of install rows`))
+      continue
+    }
+    for (const row of list) {
+      if (!isObject(row)) {
+        issues.push(error(`\`${key}\` has a row that is not an object`))
+        continue
+      }
+      rows.push(row)
+      if (row.scope !== undefined && !SCOPES.includes(row.scope)) issues.push(warning(`\`${key}\` has unknown scope \`${row.scope}\``))
+      if (typeof row.installPath !== "string") issues.push(warning(`\`${key}\` has a row without installPath`))
+      if ((row.scope === "project" || row.scope === "local") && typeof row.projectPath !== "string") {
+        issues.push(warning(`\`${key}\` has a ${row.scope} row without projectPath`))
+      }
+    }
+  }
+  issues.push(...collectUnexpected(rows, INSTALL_ROW_FIELDS, "install row"))
+  return issues
+}
+
+export function validateKnownMarketplaces(data) {
+  if (!isObject(data)) return [error("expected an object keyed by marketplace name")]
+  const issues = []
+  const entries = []
+  for (const [name, entry] of Object.entries(data)) {
+    if (!isObject(entry)) {
+      issues.push(error(`\`${name}\` is not an object`))
+      continue
+    }
+    entries.push(entry)
+    if (!isObject(entry.source)) {
+      issues.push(error(`\`${name}\` has no source object`))
+    } else if (!MARKETPLACE_SOURCE_TYPES.includes(entry.source.source)) {
+      issues.push(warning(`\`${name}\` has unknown source type \`${entry.source.source}\``))
+    }
+  }
+  issues.push(...collectUnexpected(entries, MARKETPLACE_ENTRY_FIELDS, "marketplace entry"))
+  return issues
+}
+
+export function validateMarketplaceCatalog(data) {
+  if (!isObject(data)) return [error("expected an object")]
+  const issues = []
+  if (typeof data.name !== "string") issues.push(warning("missing `name`"))
+  if (!Array.isArray(data.plugins)) {
+    issues.push(error("`plugins` is not a list"))
+    return issues
+  }
+  issues.push(...collectUnexpected([data], CATALOG_FIELDS, "top-level"))
+  data.plugins.forEach((plugin, index) => {
+    if (!isObject(plugin) || typeof plugin.name !== "string") {
+      issues.push(warning(`plugin #${index + 1} has no name`))
+    } else if (plugin.source === undefined) {
+      issues.push(warning(`\`${plugin.name}\` has no source`))
+    }
+  })
+  issues.push(...collectUnexpected(data.plugins, CATALOG_PLUGIN_FIELDS, "plugin"))
+  return issues
+}
+
+// Settings files hold far more than plugins; only enabledPlugins is checked.
+export function validateSettings(data) {
+  if (!isObject(data)) return [error("expected an object")]
+  if (data.enabledPlugins === undefined) return []
+  if (!isObject(data.enabledPlugins)) return [error("`enabledPlugins` is not an object")]
+  const nonBoolean = Object.entries(data.enabledPlugins).filter(([, value]) => typeof value !== "boolean")
+  return nonBoolean.length
+    ? [warning(`non-boolean enabledPlugins value(s): ${nonBoolean.map(([key]) => key).join(", ")}`)]
+    : []
+}
+
+export function validateInstallCounts(data) {
+  if (!isObject(data)) return [error("expected an object")]
+  const issues = []
+  if (data.version !== undefined && data.version !== INSTALL_COUNTS_SCHEMA_VERSION) {
+    issues.push(warning(`unknown schema version ${JSON.stringify(data.version)} (known: ${INSTALL_COUNTS_SCHEMA_VERSION})`))
+  }
+  if (!Array.isArray(data.counts)) issues.push(warning("`counts` is not a list; install counts are ignored"))
+  return issues
+}
+
+export function validateObject(data) {
+  return isObject(data) ? [] : [error("expected an object")]
+}
+
+// Errors make a file unrecognized: the bridge reads around it but will not
+// write to it or trust it to verify a mutation. Warnings are reported only.
+export function summarizeSchemaCheck(inspected, issues) {
+  if (!inspected.exists) return "missing"
+  if (inspected.error) return "corrupt"
+  if (issues.some((issue) => issue.level === "error")) return "unrecognized"
+  return issues.length ? "drift" : "ok"
+}
@@ -0,0 +1,136 @@
+const FIELD_WEIGHTS = {
+  name: 5,
+  tags: 3,
+  category: 2,
+  description: 1,
+  author: 1,
+  marketplace: 1,
+}
+
+const RELEVANCE_WEIGHT = 0.8
+
+export function tokenize(text) {
+  return String(text ?? "").toLowerCase().split(/[^a-z0-9]+/).filter(Boolean)
+}
+
+// Optimal string alignment distance, abandoned once it exceeds `max`.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+  let previousPrevious = null
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index)
+
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+      if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousPrevious[j - 2] + 1)
+      }
+      current.push(value)
+      rowMin = Math.min(rowMin, value)
+    }
+    if (rowMin > max) return max + 1
+    previousPrevious = previous
+    previous = current
+  }
+
+  return previous[b.length]
+}
+
+function allowedTypos(token) {
+  if (token.length >= 8) return 2
+  if (token.length >= 4) return 1
+  return 0
+}
+
+function matchQuality(queryToken, word) {
+  if (word === queryToken) return 1
+  if (word.startsWith(queryToken)) return 0.8
+  // Query is an inflection of the word, e.g. "testing" against "test"
+  if (word.length >= 4 && queryToken.startsWith(word)) return 0.7
+  if (queryToken.length >= 3 && word.includes(queryToken)) return 0.6
+
+  const typos = allowedTypos(queryToken)
+  if (!typos) return 0
+  if (editDistance(queryToken, word, typos) <= typos) return 0.5
+  // Typo inside a prefix, e.g. "reactt" against "reactivity"
+  if (word.length > queryToken.length && editDistance(queryToken, word.slice(0, queryToken.length), typos) <= typos) return 0.4
+  return 0
+}
+
+function searchFields(row) {
+  return {
+    name: tokenize(row.name),
+    tags: (row.tags ?? []).flatMap(tokenize),
+    category: tokenize(row.category),
+    description: tokenize(row.description),
+    author: tokenize(row.author),
+    marketplace: tokenize(row.marketplace),
+  }
+}
+
+export function scorePluginMatch(row, query) {
+  const queryTokens = Array.from(new Set(tokenize(query)))
+  if (!queryTokens.length) return null
+
+  const fields = searchFields(row)
+  const matches = []
+  let raw = 0
+
+  for (const term of queryTokens) {
+    let best = null
+    for (const [field, words] of Object.entries(fields)) {
+      for (const word of words) {
+        const quality = matchQuality(term, word)
+        if (!quality) continue
+        const value = quality * FIELD_WEIGHTS[field]
+        if (!best || value > best.value) {
+          best = { term, word, field, value }
+        }
+      }
+    }
+    if (best) {
+      raw += best.value
+      matches.push(best)
+    }
+  }
+
+  if (!matches.length) return null
+
+  const phrase = queryTokens.join(" ")
+  const name = fields.name.join(" ")
+  if (name === phrase) {
+    raw += FIELD_WEIGHTS.name
+  } else if (queryTokens.length > 1 && name.includes(phrase)) {
+    raw += FIELD_WEIGHTS.name / 2
+  }
+
+  const coverage = matches.length / queryTokens.length
+  const maxRaw = (queryTokens.length + 1) * FIELD_WEIGHTS.name
+  const relevance = Math.min(1, raw / maxRaw) * coverage
+
+  return {
+    relevance: Math.round(relevance * 1000) / 1000,
+    matches: matches.map(({ term, word, field }) => ({ term, word, field })),
+  }
+}
+
+export function popularityScore(installs, maxInstalls) {
+  if (!maxInstalls || !installs) return 0
+  return Math.log10(installs + 1) / Math.log10(maxInstalls + 1)
+}
+
+export function blendSearchScore(relevance, installs, maxInstalls) {
+  return relevance * RELEVANCE_WEIGHT + popularityScore(installs, maxInstalls) * (1 - RELEVANCE_WEIGHT)
+}
+
+export function highlightMatches(text, query) {
+  const queryTokens = tokenize(query)
+  if (!text || !queryTokens.length) return text
+  return text.replace(/[A-Za-z0-9]+/g, (word) => {
+    const lower = word.toLowerCase()
+    return queryTokens.some((term) => matchQuality(term, lower) > 0) ? `**${word}**` : word
+  })
+}
@@ -0,0 +1,73 @@
+const VERSION_PATTERN = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/
+
+export function parseVersion(value) {
+  if (typeof value !== "string") return null
+  const match = value.trim().match(VERSION_PATTERN)
+  if (!match) return null
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2] ?? 0),
+    patch: Number(match[3] ?? 0),
+    prerelease: match[4] ? match[4].split(".") : [],
+  }
+}
+
+export function isValidVersion(value) {
+  return parseVersion(value) !== null
+}
+
+// Full MAJOR.MINOR.PATCH as published manifests should carry it; parseVersion
+// also accepts the shorthand ("1.2", "v1") found in existing catalogs.
+export function isStrictVersion(value) {
+  return typeof value === "string" && /^\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?$/.test(value)
+}
+
+function comparePrerelease(a, b) {
+  if (!a.length && !b.length) return 0
+  if (!a.length) return 1
+  if (!b.length) return -1
+  for (let i = 0; i < Math.max(a.length, b.length); i += 1) {
+    if (a[i] === undefined) return -1
+    if (b[i] === undefined) return 1
+    const numA = /^\d+$/.test(a[i]) ? Number(a[i]) : null
+    const numB = /^\d+$/.test(b[i]) ? Number(b[i]) : null
+    if (numA !== null && numB !== null) {
+      if (numA !== numB) return numA < numB ? -1 : 1
+    } else if (numA !== null) {
+      return -1
+    } else if (numB !== null) {
+      return 1
+    } else if (a[i] !== b[i]) {
+      return a[i] < b[i] ? -1 : 1
+    }
+  }
+  return 0
+}
+
+// Returns -1, 0 or 1, or null when either side is not a version.
+export function compareVersions(a, b) {
+  const left = parseVersion(a)
+  const right = parseVersion(b)
+  if (!left || !right) return null
+  for (const part of ["major", "minor", "patch"]) {
+    if (left[part] !== right[part]) return left[part] < right[part] ? -1 : 1
+  }
+  return comparePrerelease(left.prerelease, right.prerelease)
+}
+
+export function classifyVersionChange(current, latest) {
+  if (!current || !latest) return "unknown"
+  if (current === latest) return "none"
+
+  const order = compareVersions(current, latest)
+  if (order === null) return "unknown"
+  if (order === 0) return "none"
+  if (order > 0) return "downgrade"
+
+  const from = parseVersion(current)
+  const to = parseVersion(latest)
+  if (to.major !== from.major) return "major"
+  if (to.minor !== from.minor) return "minor"
+  if (to.patch !== from.patch) return "patch"
+  return "prerelease"
+}
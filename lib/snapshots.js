@@ -0,0 +1,198 @@
+import { cp, readFile, readdir, rm, rmdir, stat } from "node:fs/promises"
+import { dirname, join } from "node:path"
+import {
+  getInstalledPluginsPath,
+  getWritableInstalledPluginsData,
+  isInsidePluginCache,
+  writeJsonAtomic,
+} from "./data.js"
+import { getBridgeStateDir } from "./profiles.js"
+
+export const SNAPSHOT_DIR_NAME = "snapshots"
+export const DEFAULT_SNAPSHOT_KEEP = 5
+export const DEFAULT_SNAPSHOT_MAX_AGE_DAYS = 30
+
+const META_FILE = "snapshot.json"
+
+function readPositiveInt(value, fallback) {
+  const parsed = Number.parseInt(value ?? "", 10)
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback
+}
+
+export function getSnapshotRetention() {
+  return {
+    keep: readPositiveInt(process.env.CLAUDE_BRIDGE_SNAPSHOT_KEEP, DEFAULT_SNAPSHOT_KEEP),
+    maxAgeDays: readPositiveInt(process.env.CLAUDE_BRIDGE_SNAPSHOT_MAX_AGE_DAYS, DEFAULT_SNAPSHOT_MAX_AGE_DAYS),
+  }
+}
+
+export function getSnapshotsRoot() {
+  return join(getBridgeStateDir(), SNAPSHOT_DIR_NAME)
+}
+
+function keyDir(pluginKey) {
+  return join(getSnapshotsRoot(), pluginKey.replace(/[^A-Za-z0-9@._-]/g, "_"))
+}
+
+async function exists(path) {
+  return await stat(path).then(() => true, () => false)
+}
+
+async function readMeta(dir) {
+  try {
+    const meta = JSON.parse(await readFile(join(dir, META_FILE), "utf-8"))
+    return meta && typeof meta === "object" ? { ...meta, dir } : null
+  } catch {
+    return null
+  }
+}
+
+async function nextSnapshotId(root) {
+  const base = new Date().toISOString().replace(/[:.]/g, "-")
+  let id = base
+  for (let suffix = 1; await exists(join(root, id)); suffix += 1) {
+    id = `${base}-${suffix}`
+  }
+  return id
+}
+
+// Copies every cache dir referenced by the rows, plus the rows themselves, so
+// plugin_rollback can put both back exactly as they were. A hand-edited row
+// can point anywhere; only cache directories are copied.
+export async function createPluginSnapshot(pluginKey, rows, options = {}) {
+  const root = keyDir(pluginKey)
+  const id = await nextSnapshotId(root)
+  const dir = join(root, id)
+
+  const files = []
+  const warnings = []
+  const installPaths = Array.from(new Set(rows.map((row) => row?.installPath).filter(Boolean)))
+  for (const [index, installPath] of installPaths.entries()) {
+    if (!isInsidePluginCache(installPath)) {
+      files.push({ installPath, path: null, outsideCache: true })
+      warnings.push(`Warning: did not copy ${installPath} because it is outside the plugin cache`)
+      continue
+    }
+    if (!await exists(installPath)) {
+      files.push({ installPath, path: null })
+      continue
+    }
+    const path = join("files", String(index))
+    await cp(installPath, join(dir, path), { recursive: true })
+    files.push({ installPath, path })
+  }
+
+  const meta = {
+    id,
+    key: pluginKey,
+    reason: options.reason ?? "manual",
+    createdAt: new Date().toISOString(),
+    rows,
+    files,
+    warnings,
+  }
+  await writeJsonAtomic(join(dir, META_FILE), meta)
+
+  if (options.prune !== false) await pruneSnapshots(pluginKey)
+  return { ...meta, dir }
+}
+
+export async function listSnapshots(pluginKey) {
+  const root = getSnapshotsRoot()
+  const keyDirs = pluginKey
+    ? [keyDir(pluginKey)]
+    : (await readdir(root, { withFileTypes: true }).catch(() => []))
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => join(root, entry.name))
+
+  const snapshots = []
+  for (const dir of keyDirs) {
+    const entries = await readdir(dir, { withFileTypes: true }).catch(() => [])
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue
+      const meta = await readMeta(join(dir, entry.name))
+      if (meta?.key && (!pluginKey || meta.key === pluginKey)) snapshots.push(meta)
+    }
+  }
+
+  return snapshots.sort((a, b) => {
+    if (a.key !== b.key) return a.key.localeCompare(b.key)
+    return b.id.localeCompare(a.id)
+  })
+}
+
+export async function findSnapshot(pluginKey, snapshotId) {
+  const snapshots = await listSnapshots(pluginKey)
+  if (!snapshotId) return snapshots[0] ?? null
+  return snapshots.find((snapshot) => snapshot.id === snapshotId) ?? null
+}
+
+export async function discardSnapshot(snapshot) {
+  await rm(snapshot.dir, { recursive: true, force: true })
+  // Drop the plugin's directory once its last snapshot is gone
+  await rmdir(dirname(snapshot.dir)).catch(() => {})
+}
+
+// The newest snapshot of each plugin is always kept, whatever its age.
+export async function pruneSnapshots(pluginKey, retention = getSnapshotRetention()) {
+  const cutoff = Date.now() - retention.maxAgeDays * 24 * 60 * 60 * 1000
+  const removed = []
+  const ranks = new Map()
+
+  for (const snapshot of await listSnapshots(pluginKey)) {
+    const rank = ranks.get(snapshot.key) ?? 0
+    ranks.set(snapshot.key, rank + 1)
+    if (rank === 0) continue
+    const createdAt = new Date(snapshot.createdAt).getTime()
+    if (rank >= retention.keep || (Number.isFinite(createdAt) && createdAt < cutoff)) removed.push(snapshot)
+  }
+
+  for (const snapshot of removed) await discardSnapshot(snapshot)
+  return removed
+}
+
+// snapshot.json is as editable as the rows it was taken from, so containment
+// is checked again at restore time rather than trusted from when it was taken
+export function isRestorableFile(file) {
+  return Boolean(file?.path) && isInsidePluginCache(file.installPath)
+}
+
+export async function restorePluginSnapshot(snapshot) {
+  const command = `native rollback ${snapshot.key} --snapshot ${snapshot.id}`
+  const fail = (message) => ({ ok: false, exitCode: 1, stdout: "", stderr: message, command, engine: "native" })
+
+  const loaded = await getWritableInstalledPluginsData()
+  if (!loaded.ok) return fail(loaded.reason)
+
+  const restorable = (snapshot.files ?? []).filter(isRestorableFile)
+  const skipped = (snapshot.files ?? []).filter((file) => file.installPath && !isInsidePluginCache(file.installPath))
+
+  const missing = []
+  for (const file of restorable) {
+    if (!await exists(join(snapshot.dir, file.path))) missing.push(file.installPath)
+  }
+  if (missing.length) return fail(`snapshot is incomplete; missing copies of ${missing.join(", ")}`)
+
+  try {
+    const messages = []
+    for (const file of restorable) {
+      await rm(file.installPath, { recursive: true, force: true })
+      await cp(join(snapshot.dir, file.path), file.installPath, { recursive: true })
+      messages.push(`Restored ${file.installPath}`)
+    }
+
+    const plugins = { ...loaded.data.plugins }
+    if (snapshot.rows?.length) {
+      plugins[snapshot.key] = snapshot.rows
+    } else {
+      delete plugins[snapshot.key]
+    }
+    await writeJsonAtomic(getInstalledPluginsPath(), { ...loaded.data, plugins })
+    messages.push(`Restored ${snapshot.rows?.length ?? 0} installed_plugins.json row(s) from ${snapshot.createdAt}`)
+    messages.push(...skipped.map((file) => `Warning: left ${file.installPath} in place because it is outside the plugin cache`))
+
+    return { ok: true, exitCode: 0, stdout: messages.join("\n"), stderr: "", command, engine: "native" }
+  } catch (error) {
+    return fail(error.message)
+  }
+}
@@ -0,0 +1,167 @@
+import { formatInstallation, splitPluginIdentifier } from "./data.js"
+
+export const DEFAULT_UPDATE_CONCURRENCY = 3
+export const DEFAULT_PLUGIN_TIMEOUT_MS = 120_000
+export const DEFAULT_UPDATE_RETRIES = 1
+export const RETRY_BACKOFF_MS = 2_000
+
+function matchesIdentifier(pluginKey, identifiers) {
+  const key = pluginKey.toLowerCase()
+  const { name } = splitPluginIdentifier(key)
+  return identifiers.some((identifier) => {
+    const value = identifier.trim().toLowerCase()
+    return value.includes("@") ? value === key : value === name
+  })
+}
+
+// One update target per installation (installed_plugins.json row), so a
+// plugin installed at user scope and in two projects yields three targets.
+// `filters` takes marketplace, scope, projectPath, include and exclude
+// (plugin@marketplace or bare names).
+export function selectUpdateTargets(installed, filters = {}) {
+  const marketplace = filters.marketplace?.toLowerCase() ?? null
+  const targets = []
+
+  for (const pluginKey of Object.keys(installed).sort()) {
+    const rows = installed[pluginKey] ?? []
+    const parts = splitPluginIdentifier(pluginKey)
+
+    if (marketplace && (parts.marketplace ?? "").toLowerCase() !== marketplace) continue
+    if (filters.include?.length && !matchesIdentifier(pluginKey, filters.include)) continue
+    if (filters.exclude?.length && matchesIdentifier(pluginKey, filters.exclude)) continue
+
+    for (const row of rows) {
+      if (!row) continue
+      if (filters.scope && (row.scope ?? "user") !== filters.scope) continue
+      if (filters.projectPath && row.projectPath !== filters.projectPath) continue
+      targets.push({ key: pluginKey, id: formatTargetId(pluginKey, row), row, rows })
+    }
+  }
+
+  return targets
+}
+
+export function formatTargetId(pluginKey, row) {
+  return `${pluginKey} (${formatInstallation(row)})`
+}
+
+// Project and local scope updates run from, and write into, their project
+// directory, and the installations of one plugin share its installed_plugins.json
+// entry and often its cache dir. Targets linked by either a projectPath or a
+// plugin key stay in one sequential group.
+export function groupUpdateTargets(targets) {
+  const groups = []
+  const groupByLink = new Map()
+  for (const target of targets) {
+    const scope = target.row.scope ?? "user"
+    const links = [`plugin:${target.key}`]
+    if ((scope === "project" || scope === "local") && target.row.projectPath) {
+      links.push(`project:${target.row.projectPath}`)
+    }
+
+    const linked = Array.from(new Set(links.map((link) => groupByLink.get(link)).filter(Boolean)))
+    const group = linked[0] ?? []
+    if (!linked.length) groups.push(group)
+    for (const other of linked.slice(1)) {
+      group.push(...other)
+      groups.splice(groups.indexOf(other), 1)
+      for (const [link, value] of groupByLink) {
+        if (value === other) groupByLink.set(link, group)
+      }
+    }
+    group.push(target)
+    for (const link of links) groupByLink.set(link, group)
+  }
+  return groups
+}
+
+export async function runGroupsWithConcurrency(groups, concurrency, worker) {
+  const queue = [...groups]
+  const lanes = Math.max(1, Math.min(concurrency, queue.length))
+  await Promise.all(Array.from({ length: lanes }, async () => {
+    while (queue.length) {
+      const group = queue.shift()
+      for (const item of group) await worker(item)
+    }
+  }))
+}
+
+// Runs tasks that write the same files one at a time: `run(keys, task)` starts
+// `task` once every earlier task sharing any of `keys` has settled. Keys are
+// claimed when `run` is called, so two tasks can never wait on each other.
+export function createWriteQueue() {
+  const tails = new Map()
+  return async function run(keys, task) {
+    const previous = keys.map((key) => tails.get(key)).filter(Boolean)
+    const done = Promise.allSettled(previous).then(() => task())
+    const tail = done.catch(() => {})
+    for (const key of keys) tails.set(key, tail)
+    return await done
+  }
+}
+
+export function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) {
+      resolve()
+      return
+    }
+    const onAbort = () => {
+      clearTimeout(timer)
+      resolve()
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener("abort", onAbort, { once: true })
+  })
+}
+
+// Retries failed results with exponential backoff (backoffMs, 2x, 4x, ...).
+// Nothing is retried once `signal` has fired.
+export async function withRetries(run, options = {}) {
+  const retries = options.retries ?? DEFAULT_UPDATE_RETRIES
+  const backoffMs = options.backoffMs ?? RETRY_BACKOFF_MS
+  let attempt = 0
+
+  while (true) {
+    const result = await run(attempt)
+    if (result.ok || attempt >= retries || options.signal?.aborted) {
+      return { result, attempts: attempt + 1 }
+    }
+    await sleep(backoffMs * 2 ** attempt, options.signal)
+    if (options.signal?.aborted) return { result, attempts: attempt + 1 }
+    attempt += 1
+  }
+}
+
+// Follows the caller's abort signal and additionally aborts after
+// `timeoutMs`, remembering which of the two fired.
+export function createDeadline(signal, timeoutMs) {
+  const controller = new AbortController()
+  let timedOut = false
+
+  const onAbort = () => controller.abort()
+  if (signal?.aborted) {
+    controller.abort()
+  } else {
+    signal?.addEventListener("abort", onAbort, { once: true })
+  }
+
+  const timer = timeoutMs
+    ? setTimeout(() => {
+      timedOut = true
+      controller.abort()
+    }, timeoutMs)
+    : null
+
+  return {
+    signal: controller.signal,
+    timedOut: () => timedOut,
+    dispose() {
+      clearTimeout(timer)
+      signal?.removeEventListener("abort", onAbort)
+    },
+  }
+}
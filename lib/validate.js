@@ -0,0 +1,251 @@
+import { readFile, readdir, stat } from "node:fs/promises"
+import { join, relative, resolve, sep } from "node:path"
+import { inspectPluginComponents, parseFrontmatter } from "./components.js"
+import { isStrictVersion } from "./semver.js"
+
+const CATALOG_FILE = join(".claude-plugin", "marketplace.json")
+const MANIFEST_FILE = join(".claude-plugin", "plugin.json")
+export const NAME_PATTERN = /^[a-z0-9][a-z0-9._-]*$/
+
+async function isDirectory(path) {
+  return await stat(path).then((info) => info.isDirectory(), () => false)
+}
+
+function lineAt(text, position) {
+  return text.slice(0, position).split("\n").length
+}
+
+// Maps slash-joined JSON paths ("plugins/0/source") to the line their value
+// starts on. Only run on text JSON.parse accepted, so it skips validation.
+function locateJsonLines(text) {
+  const lines = new Map()
+  let i = 0
+  let line = 1
+
+  const skipSpace = () => {
+    while (i < text.length && /\s/.test(text[i])) {
+      if (text[i] === "\n") line += 1
+      i += 1
+    }
+  }
+  const readString = () => {
+    let end = i + 1
+    while (text[end] !== "\"") end += text[end] === "\\" ? 2 : 1
+    const value = JSON.parse(text.slice(i, end + 1))
+    i = end + 1
+    return value
+  }
+  const readValue = (path) => {
+    skipSpace()
+    lines.set(path, line)
+    const open = text[i]
+    if (open === "{" || open === "[") {
+      i += 1
+      let index = 0
+      skipSpace()
+      while (text[i] !== (open === "{" ? "}" : "]")) {
+        let key = index
+        if (open === "{") {
+          key = readString()
+          skipSpace()
+          i += 1
+        }
+        readValue(path ? `${path}/${key}` : `${key}`)
+        index += 1
+        skipSpace()
+        if (text[i] === ",") i += 1
+        skipSpace()
+      }
+      i += 1
+    } else if (open === "\"") {
+      readString()
+    } else {
+      while (i < text.length && !/[\s,\]}]/.test(text[i])) i += 1
+    }
+  }
+
+  readValue("")
+  return lines
+}
+
+function createReport() {
+  const findings = []
+  return {
+    findings,
+    add(level, rule, message, file, line = null) {
+      findings.push({ level, rule, message, file, line })
+    },
+  }
+}
+
+async function validateSkills(report, root, pluginDir, components) {
+  for (const skill of components.skills) {
+    const path = join(pluginDir, skill.path)
+    const frontmatter = parseFrontmatter(await readFile(path, "utf-8").catch(() => null))
+    const file = relative(root, path)
+    if (!frontmatter.ok) {
+      report.add("error", "skill-frontmatter", "SKILL.md has no `---` frontmatter block", file, 1)
+      continue
+    }
+    const missing = ["name", "description"].filter((field) => !frontmatter.data[field])
+    if (missing.length) {
+      report.add("error", "skill-frontmatter", `SKILL.md frontmatter is missing ${missing.join(" and ")}`, file, 1)
+    } else if (!NAME_PATTERN.test(frontmatter.data.name)) {
+      report.add("warning", "skill-name", `skill name \`${frontmatter.data.name}\` should be lowercase letters, digits, dots, dashes or underscores`, file, 2)
+    }
+  }
+}
+
+async function validatePluginSource(report, root, plugin, at) {
+  const sourceDir = resolve(root, plugin.source)
+  if (sourceDir !== root && !sourceDir.startsWith(`${root}${sep}`)) {
+    report.add("error", "source-outside", `\`${plugin.name}\` source \`${plugin.source}\` points outside the marketplace`, CATALOG_FILE, at("source"))
+    return
+  }
+  if (!await isDirectory(sourceDir)) {
+    report.add("error", "source-missing", `\`${plugin.name}\` source \`${plugin.source}\` does not exist`, CATALOG_FILE, at("source"))
+    return
+  }
+
+  const manifestPath = join(sourceDir, MANIFEST_FILE)
+  const manifestText = await readFile(manifestPath, "utf-8").catch(() => null)
+  const manifestFile = relative(root, manifestPath)
+  if (manifestText === null) {
+    // strict: false lets the catalog entry stand in for plugin.json
+    if (plugin.strict !== false) {
+      report.add("error", "manifest-missing", `\`${plugin.name}\` has no ${MANIFEST_FILE} (set \`strict: false\` if the catalog entry is the manifest)`, CATALOG_FILE, at("source"))
+    }
+  } else {
+    let manifest = null
+    try {
+      manifest = JSON.parse(manifestText)
+    } catch (error) {
+      const position = Number(error.message.match(/position (\d+)/)?.[1])
+      report.add("error", "manifest-json", `invalid JSON: ${error.message}`, manifestFile, Number.isNaN(position) ? null : lineAt(manifestText, position))
+    }
+    if (manifest) {
+      const lines = locateJsonLines(manifestText)
+      if (typeof manifest.name !== "string" || !manifest.name) {
+        report.add("error", "manifest-name", "plugin.json is missing `name`", manifestFile, lines.get(""))
+      } else if (manifest.name !== plugin.name) {
+        report.add("warning", "manifest-name", `plugin.json name \`${manifest.name}\` differs from the catalog name \`${plugin.name}\``, manifestFile, lines.get("name"))
+      }
+      if (manifest.version !== undefined && !isStrictVersion(manifest.version)) {
+        report.add("error", "manifest-version", `version \`${manifest.version}\` is not semver (MAJOR.MINOR.PATCH)`, manifestFile, lines.get("version"))
+      } else if (manifest.version && plugin.version && manifest.version !== plugin.version) {
+        report.add("warning", "version-mismatch", `catalog version ${plugin.version} differs from plugin.json version ${manifest.version}`, CATALOG_FILE, at("version"))
+      }
+    }
+  }
+
+  const components = await inspectPluginComponents(sourceDir, plugin)
+  if (!components.readme) {
+    report.add("warning", "readme-missing", `\`${plugin.name}\` has no README`, relative(root, sourceDir) || ".", null)
+  }
+  await validateSkills(report, root, sourceDir, components)
+}
+
+// Lints a marketplace checkout the way the Claude CLI will read it. Findings
+// carry the file (relative to the marketplace root) and, where it can be
+// located, the line.
+export async function validateMarketplaceDir(dir) {
+  const root = resolve(dir)
+  const report = createReport()
+  const text = await readFile(join(root, CATALOG_FILE), "utf-8").catch(() => null)
+  let catalog = null
+  const result = () => {
+    const count = (level) => report.findings.filter((finding) => finding.level === level).length
+    const errors = count("error")
+    return {
+      root,
+      path: join(root, CATALOG_FILE),
+      name: catalog?.name ?? null,
+      plugins: Array.isArray(catalog?.plugins) ? catalog.plugins.length : 0,
+      passed: errors === 0,
+      errors,
+      warnings: count("warning"),
+      findings: report.findings,
+    }
+  }
+
+  if (text === null) {
+    report.add("error", "catalog-missing", `no ${CATALOG_FILE} in ${root}`, CATALOG_FILE)
+    return result()
+  }
+  try {
+    catalog = JSON.parse(text)
+  } catch (error) {
+    const position = Number(error.message.match(/position (\d+)/)?.[1])
+    report.add("error", "catalog-json", `invalid JSON: ${error.message}`, CATALOG_FILE, Number.isNaN(position) ? null : lineAt(text, position))
+    return result()
+  }
+  if (!catalog || typeof catalog !== "object" || Array.isArray(catalog)) {
+    report.add("error", "catalog-shape", "marketplace.json must be an object", CATALOG_FILE, 1)
+    catalog = null
+    return result()
+  }
+
+  const lines = locateJsonLines(text)
+  if (typeof catalog.name !== "string" || !catalog.name) {
+    report.add("error", "required", "missing `name`", CATALOG_FILE, lines.get(""))
+  } else if (!NAME_PATTERN.test(catalog.name)) {
+    report.add("warning", "marketplace-name", `marketplace name \`${catalog.name}\` should be lowercase letters, digits, dots, dashes or underscores`, CATALOG_FILE, lines.get("name"))
+  }
+  if (typeof catalog.owner?.name !== "string") {
+    report.add("error", "required", "missing `owner.name`", CATALOG_FILE, lines.get("owner") ?? lines.get(""))
+  }
+  if (!Array.isArray(catalog.plugins)) {
+    report.add("error", "required", "`plugins` must be a list", CATALOG_FILE, lines.get("plugins") ?? lines.get(""))
+    return result()
+  }
+
+  const seen = new Map()
+  for (const [index, plugin] of catalog.plugins.entries()) {
+    const at = (field) => lines.get(`plugins/${index}/${field}`) ?? lines.get(`plugins/${index}`)
+    if (!plugin || typeof plugin !== "object") {
+      report.add("error", "plugin-shape", `plugin #${index + 1} is not an object`, CATALOG_FILE, at(""))
+      continue
+    }
+    if (typeof plugin.name !== "string" || !plugin.name) {
+      report.add("error", "required", `plugin #${index + 1} is missing \`name\``, CATALOG_FILE, at(""))
+      continue
+    }
+    if (seen.has(plugin.name)) {
+      report.add("error", "duplicate-name", `duplicate plugin name \`${plugin.name}\` (first on line ${seen.get(plugin.name)})`, CATALOG_FILE, at("name"))
+    } else {
+      seen.set(plugin.name, at("name"))
+    }
+    if (!NAME_PATTERN.test(plugin.name)) {
+      report.add("warning", "plugin-name", `plugin name \`${plugin.name}\` should be lowercase letters, digits, dots, dashes or underscores`, CATALOG_FILE, at("name"))
+    }
+    if (plugin.version !== undefined && !isStrictVersion(plugin.version)) {
+      report.add("error", "version", `\`${plugin.name}\` version \`${plugin.version}\` is not semver (MAJOR.MINOR.PATCH)`, CATALOG_FILE, at("version"))
+    }
+    if (plugin.description === undefined) {
+      report.add("warning", "description", `\`${plugin.name}\` has no description, so search can only match its name`, CATALOG_FILE, at(""))
+    }
+
+    if (plugin.source === undefined) {
+      report.add("error", "required", `\`${plugin.name}\` is missing \`source\``, CATALOG_FILE, at(""))
+    } else if (typeof plugin.source === "string") {
+      await validatePluginSource(report, root, plugin, at)
+    } else if (!plugin.source || typeof plugin.source !== "object" || !plugin.source.source) {
+      report.add("error", "source", `\`${plugin.name}\` source must be a relative path or an object with \`source\``, CATALOG_FILE, at("source"))
+    } else {
+      report.add("info", "remote-source", `\`${plugin.name}\` uses a remote ${plugin.source.source} source; its files are not checked`, CATALOG_FILE, at("source"))
+    }
+  }
+
+  // Plugin directories nobody lists are usually a forgotten catalog entry
+  const listed = new Set(catalog.plugins
+    .filter((plugin) => typeof plugin?.source === "string")
+    .map((plugin) => resolve(root, plugin.source)))
+  const pluginsDir = join(root, "plugins")
+  for (const entry of await readdir(pluginsDir, { withFileTypes: true }).catch(() => [])) {
+    if (entry.isDirectory() && !listed.has(join(pluginsDir, entry.name))) {
+      report.add("warning", "unlisted-plugin", `plugins/${entry.name} is not listed in marketplace.json`, relative(root, join(pluginsDir, entry.name)))
+    }
+  }
+
+  return result()
+}
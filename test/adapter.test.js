@@ -0,0 +1,40 @@
+import assert from "node:assert/strict"
+import { afterEach, test } from "node:test"
+import { applyCliQuirks } from "../lib/adapter.js"
+import { createFixture } from "./fixture.js"
+
+const INSTALL = ["plugin", "install", "lint@acme", "--scope", "user"]
+
+test("a quirk without a version window always applies", () => {
+  assert.deepEqual(applyCliQuirks("install", INSTALL, null, [{ drop: ["--scope"] }]), ["plugin", "install", "lint@acme"])
+})
+
+test("quirks with a version window never apply to an unknown version", () => {
+  assert.deepEqual(applyCliQuirks("install", INSTALL, null, [{ from: "2.0.0", drop: ["--scope"] }]), INSTALL)
+  assert.deepEqual(applyCliQuirks("install", INSTALL, null, [{ below: "2.0.0", drop: ["--scope"] }]), INSTALL)
+})
+
+test("quirks apply inside their window only", () => {
+  const quirks = [{ from: "2.0.0", below: "3.0.0", drop: ["--scope"] }]
+  assert.deepEqual(applyCliQuirks("install", INSTALL, "2.1.0", quirks), ["plugin", "install", "lint@acme"])
+  assert.deepEqual(applyCliQuirks("install", INSTALL, "1.9.0", quirks), INSTALL)
+  assert.deepEqual(applyCliQuirks("install", INSTALL, "3.0.0", quirks), INSTALL)
+})
+
+test("quirks are limited to their verbs", () => {
+  assert.deepEqual(applyCliQuirks("install", INSTALL, "2.0.0", [{ verbs: ["update"], drop: ["--scope"] }]), INSTALL)
+})
+
+let fx = null
+afterEach(async () => {
+  await fx?.cleanup()
+  fx = null
+})
+
+test("quirks from the bridge config shape the commands the tools run", async () => {
+  fx = await createFixture({ bridgeConfig: { cli: { quirks: [{ verbs: ["install"], from: "2.0.0", drop: ["--scope"] }] } } })
+  const result = await fx.run("plugin_install", { plugin: "react-test@acme", scope: "user" })
+
+  assert.equal(result.ok, true)
+  assert.equal(result.cli.command, "fake-claude plugin install react-test@acme")
+})
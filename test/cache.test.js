@@ -0,0 +1,31 @@
+import assert from "node:assert/strict"
+import { mkdir, mkdtemp, rm, writeFile } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+import { test } from "node:test"
+import { getCacheFreshness, invalidateDataCache, readCachedJson } from "../lib/cache.js"
+
+test("readCachedJson keeps a bounded number of watched directories and cached files", async () => {
+  const root = await mkdtemp(join(tmpdir(), "bridge-test-cache-"))
+  try {
+    for (let dir = 0; dir < 80; dir += 1) {
+      await mkdir(join(root, String(dir)))
+      for (let file = 0; file < 8; file += 1) {
+        const path = join(root, String(dir), `${file}.json`)
+        await writeFile(path, `{"dir":${dir},"file":${file}}`)
+        assert.deepEqual(await readCachedJson(path, null), { dir, file })
+      }
+    }
+
+    const freshness = getCacheFreshness()
+    assert.equal(freshness.watching.length, 64)
+    assert.equal(freshness.files.length, 512)
+    // The newest entries stay; an evicted file is read again from disk
+    assert.ok(freshness.watching.includes(join(root, "79")))
+    assert.equal(freshness.watching.includes(join(root, "0")), false)
+    assert.deepEqual(await readCachedJson(join(root, "0", "0.json"), null), { dir: 0, file: 0 })
+  } finally {
+    invalidateDataCache()
+    await rm(root, { recursive: true, force: true })
+  }
+})
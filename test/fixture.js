@@ -0,0 +1,120 @@
+import { cp, mkdir, mkdtemp, readFile, rm, writeFile } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import { dirname, join } from "node:path"
+import { ClaudeMarketplaceBridge } from "../index.js"
+
+async function writeJson(path, value) {
+  await mkdir(dirname(path), { recursive: true })
+  await writeFile(path, `${JSON.stringify(value, null, 2)}\n`)
+}
+
+async function writeText(path, text) {
+  await mkdir(dirname(path), { recursive: true })
+  await writeFile(path, text)
+}
+
+const CATALOG = {
+  name: "acme",
+  owner: { name: "Acme" },
+  plugins: [
+    { name: "lint", description: "Lint fixer", version: "1.2.0", source: "./plugins/lint" },
+    { name: "react-test", description: "React testing helpers", version: "2.0.0", source: "./plugins/react-test" },
+  ],
+}
+
+// A throwaway Claude config dir with one local marketplace (acme: lint 1.2.0,
+// react-test 2.0.0) and a project directory. The bridge and the fake CLI are
+// pointed at it through CLAUDE_CONFIG_DIR (and the bridge's own state through
+// CLAUDE_BRIDGE_STATE_DIR), so nothing outside it is touched.
+// `installed` seeds installed_plugins.json rows; `{ project: true }` in a row
+// stands for the fixture's project directory.
+export async function createFixture(options = {}) {
+  const root = await mkdtemp(join(tmpdir(), "bridge-test-"))
+  const configDir = join(root, "claude")
+  const pluginsRoot = join(configDir, "plugins")
+  const projectDir = join(root, "project")
+  const marketplaceDir = join(pluginsRoot, "marketplaces", "acme")
+  // The marketplace's "remote": the fake CLI copies it again on marketplace update
+  const sourceDir = join(root, "acme")
+
+  await writeJson(join(sourceDir, ".claude-plugin", "marketplace.json"), options.catalog ?? CATALOG)
+  await writeJson(join(sourceDir, "plugins", "lint", ".claude-plugin", "plugin.json"), { name: "lint", version: "1.2.0" })
+  await writeText(join(sourceDir, "plugins", "lint", "skills", "fix-lint", "SKILL.md"), "---\nname: fix-lint\ndescription: Fix lint errors\n---\nBody\n")
+  await writeText(join(sourceDir, "plugins", "lint", "CHANGELOG.md"), "# Changelog\n\n## 1.2.0\n- new rule\n\n## 1.1.0\n- fixes\n")
+  await writeJson(join(sourceDir, "plugins", "react-test", ".claude-plugin", "plugin.json"), { name: "react-test", version: "2.0.0" })
+  await writeText(join(sourceDir, "plugins", "react-test", "agents", "tester.md"), "# tester\n")
+  await cp(sourceDir, marketplaceDir, { recursive: true })
+  await writeJson(join(pluginsRoot, "known_marketplaces.json"), {
+    acme: { source: { source: "directory", path: sourceDir }, installLocation: marketplaceDir, lastUpdated: new Date().toISOString() },
+  })
+
+  const plugins = {}
+  for (const [key, rows] of Object.entries(options.installed ?? {})) {
+    plugins[key] = []
+    for (const row of rows) {
+      const { project, files, ...fields } = row
+      const entry = { scope: "user", ...fields }
+      if (project) entry.projectPath = projectDir
+      if (!entry.installPath) {
+        const [name, marketplace] = key.split("@")
+        entry.installPath = join(pluginsRoot, "cache", marketplace, name, entry.version)
+      }
+      for (const [path, text] of Object.entries(files ?? { ".claude-plugin/plugin.json": JSON.stringify({ name: key.split("@")[0], version: entry.version }) })) {
+        await writeText(join(entry.installPath, path), text)
+      }
+      plugins[key].push(entry)
+    }
+  }
+  await writeJson(join(pluginsRoot, "installed_plugins.json"), { version: 2, plugins })
+  await writeJson(join(configDir, "settings.json"), {
+    enabledPlugins: Object.fromEntries(Object.keys(plugins).map((key) => [key, true])),
+  })
+  await mkdir(join(projectDir, ".claude"), { recursive: true })
+  await mkdir(join(projectDir, ".git"), { recursive: true })
+
+  process.env.CLAUDE_CONFIG_DIR = configDir
+  process.env.CLAUDE_BRIDGE_CONFIG = join(root, "bridge.json")
+  process.env.CLAUDE_BRIDGE_STATE_DIR = join(root, "state")
+  process.env.CLAUDE_BRIDGE_CLI = options.cli ?? "fake"
+  delete process.env.CLAUDE_BRIDGE_PROFILE
+  if (options.bridgeConfig) await writeJson(process.env.CLAUDE_BRIDGE_CONFIG, options.bridgeConfig)
+
+  const hooks = await ClaudeMarketplaceBridge({ directory: projectDir, worktree: projectDir })
+
+  return {
+    root,
+    configDir,
+    pluginsRoot,
+    projectDir,
+    hooks,
+    cacheDir: (name, version, marketplace = "acme") => join(pluginsRoot, "cache", marketplace, name, version),
+    async readInstalled() {
+      return JSON.parse(await readFile(join(pluginsRoot, "installed_plugins.json"), "utf-8")).plugins
+    },
+    async readSettings() {
+      return JSON.parse(await readFile(join(configDir, "settings.json"), "utf-8"))
+    },
+    // Runs a tool with format=json and returns the parsed result
+    async run(name, args = {}) {
+      const output = await hooks.tool[name].execute({ ...args, format: "json" }, { abort: new AbortController().signal })
+      return JSON.parse(output)
+    },
+    async cleanup() {
+      await rm(root, { recursive: true, force: true })
+    },
+  }
+}
+
+// Sets environment variables for the fake CLI for the duration of `fn`.
+export async function withEnv(values, fn) {
+  const saved = Object.fromEntries(Object.keys(values).map((key) => [key, process.env[key]]))
+  Object.assign(process.env, values)
+  try {
+    return await fn()
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key]
+      else process.env[key] = value
+    }
+  }
+}
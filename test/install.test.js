@@ -0,0 +1,169 @@
+import assert from "node:assert/strict"
+import { mkdtemp, readFile, rm, stat } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+import { afterEach, test } from "node:test"
+import { createFixture, withEnv } from "./fixture.js"
+
+const exists = (path) => stat(path).then(() => true, () => false)
+
+let fx = null
+afterEach(async () => {
+  await fx?.cleanup()
+  fx = null
+})
+
+test("plugin_install through the CLI writes and verifies the install row", async () => {
+  fx = await createFixture()
+  const result = await fx.run("plugin_install", { plugin: "react-test@acme" })
+
+  assert.equal(result.schemaVersion, 1)
+  assert.equal(result.ok, true)
+  assert.equal(result.verification.verified, true)
+  assert.match(result.cli.command, /^fake-claude plugin install react-test@acme/)
+  const rows = (await fx.readInstalled())["react-test@acme"]
+  assert.equal(rows.length, 1)
+  assert.equal(rows[0].version, "2.0.0")
+  assert.equal(await exists(fx.cacheDir("react-test", "2.0.0")), true)
+  assert.equal((await fx.readSettings()).enabledPlugins["react-test@acme"], true)
+})
+
+test("plugin_install is not verified when the CLI reports success but writes nothing", async () => {
+  fx = await createFixture()
+  const result = await withEnv({ FAKE_CLAUDE_NOOP: "install" }, () => fx.run("plugin_install", { plugin: "react-test@acme" }))
+
+  assert.equal(result.ok, false)
+  assert.equal(result.cli.ok, true)
+  assert.equal(result.verification.verified, false)
+  assert.equal((await fx.readInstalled())["react-test@acme"], undefined)
+})
+
+test("plugin_install reports a failing CLI", async () => {
+  fx = await createFixture()
+  const result = await withEnv({ FAKE_CLAUDE_FAIL: "install" }, () => fx.run("plugin_install", { plugin: "react-test@acme" }))
+
+  assert.equal(result.ok, false)
+  assert.equal(result.cli.exitCode, 1)
+  assert.equal(result.verification.verified, false)
+})
+
+test("plugin_install falls back to the native engine without a CLI", async () => {
+  fx = await createFixture({ cli: "/nonexistent/claude" })
+  const result = await fx.run("plugin_install", { plugin: "react-test@acme" })
+
+  assert.equal(result.ok, true)
+  assert.equal(result.cli.engine, "native")
+  assert.equal(result.verification.verified, true)
+  assert.equal((await fx.readInstalled())["react-test@acme"][0].version, "2.0.0")
+})
+
+test("engine=cli does not fall back when the CLI is missing", async () => {
+  fx = await createFixture({ cli: "/nonexistent/claude" })
+  const result = await fx.run("plugin_install", { plugin: "react-test@acme", engine: "cli" })
+
+  assert.equal(result.ok, false)
+  assert.equal((await fx.readInstalled())["react-test@acme"], undefined)
+})
+
+test("the native engine refuses a catalog version that leaves the plugin cache", async () => {
+  fx = await createFixture({
+    catalog: { name: "acme", owner: { name: "Acme" }, plugins: [{ name: "react-test", version: "../../..", source: "./plugins/react-test" }] },
+  })
+  const result = await fx.run("plugin_install", { plugin: "react-test@acme", engine: "native" })
+
+  assert.equal(result.ok, false)
+  assert.match(result.cli.stderr, /not a safe directory name/)
+  assert.equal(await exists(fx.pluginsRoot), true)
+})
+
+test("plugin_uninstall removes the row, the settings entry and the cache dir", async () => {
+  fx = await createFixture({ installed: { "lint@acme": [{ version: "1.0.0" }] } })
+  const result = await fx.run("plugin_uninstall", { plugin: "lint@acme" })
+
+  assert.equal(result.ok, true)
+  assert.equal(result.verification.verified, true)
+  assert.equal((await fx.readInstalled())["lint@acme"], undefined)
+  assert.equal((await fx.readSettings()).enabledPlugins["lint@acme"], undefined)
+  assert.equal(await exists(fx.cacheDir("lint", "1.0.0")), false)
+})
+
+test("plugin_uninstall is not verified when the row stays", async () => {
+  fx = await createFixture({ installed: { "lint@acme": [{ version: "1.0.0" }] } })
+  const result = await withEnv({ FAKE_CLAUDE_NOOP: "uninstall" }, () => fx.run("plugin_uninstall", { plugin: "lint@acme" }))
+
+  assert.equal(result.ok, false)
+  assert.equal(result.verification.verified, false)
+  assert.equal((await fx.readInstalled())["lint@acme"].length, 1)
+})
+
+test("native uninstall never deletes an installPath outside the plugin cache", async () => {
+  const outside = await mkdtemp(join(tmpdir(), "bridge-test-outside-"))
+  try {
+    fx = await createFixture({ installed: { "lint@acme": [{ version: "1.0.0", installPath: outside }] } })
+    const result = await fx.run("plugin_uninstall", { plugin: "lint@acme", engine: "native" })
+
+    assert.equal(result.ok, true)
+    assert.equal((await fx.readInstalled())["lint@acme"], undefined)
+    assert.match(result.cli.stdout, /outside the plugin cache/)
+    assert.equal(await exists(outside), true)
+  } finally {
+    await rm(outside, { recursive: true, force: true })
+  }
+})
+
+test("plugin_prune removes a project row that has no projectPath", async () => {
+  fx = await createFixture({
+    installed: { "lint@acme": [{ version: "1.2.0" }, { scope: "project", version: "1.2.0" }] },
+  })
+  const result = await fx.run("plugin_prune", {})
+
+  assert.equal(result.ok, true)
+  assert.deepEqual((await fx.readInstalled())["lint@acme"].map((row) => row.scope), ["user"])
+})
+
+test("plugin_uninstall removes another project's row by project_path and verifies that row", async () => {
+  const other = await mkdtemp(join(tmpdir(), "bridge-test-other-"))
+  try {
+    fx = await createFixture({
+      installed: {
+        "lint@acme": [
+          { scope: "project", version: "1.2.0", project: true },
+          { scope: "project", version: "1.2.0", projectPath: other },
+        ],
+        // Depends on lint; one project keeping lint is enough for it
+        "react-test@acme": [{ version: "2.0.0", files: { ".claude-plugin/plugin.json": JSON.stringify({ name: "react-test", dependencies: ["lint"] }) } }],
+      },
+    })
+    const result = await fx.run("plugin_uninstall", { plugin: "lint@acme", project_path: other })
+
+    assert.equal(result.ok, true)
+    assert.equal(result.verification.verified, true)
+    assert.equal(result.cli.command, "fake-claude plugin uninstall lint@acme --scope project")
+    assert.deepEqual((await fx.readInstalled())["lint@acme"].map((row) => row.projectPath), [fx.projectDir])
+  } finally {
+    await rm(other, { recursive: true, force: true })
+  }
+})
+
+test("plugin_uninstall asks for a scope when several installations match", async () => {
+  fx = await createFixture({ installed: { "lint@acme": [{ version: "1.2.0" }, { scope: "project", version: "1.2.0", project: true }] } })
+  const result = await fx.run("plugin_uninstall", { plugin: "lint@acme" })
+
+  assert.equal(result.ok, false)
+  assert.match(result.error, /pass `scope`/)
+  assert.equal((await fx.readInstalled())["lint@acme"].length, 2)
+})
+
+test("plugin_disable writes another project's settings with project_path", async () => {
+  const other = await mkdtemp(join(tmpdir(), "bridge-test-other-"))
+  try {
+    fx = await createFixture({ installed: { "lint@acme": [{ scope: "project", version: "1.2.0", projectPath: other }] } })
+    const result = await fx.run("plugin_disable", { plugin: "lint@acme", scope: "project", project_path: other })
+
+    assert.equal(result.ok, true)
+    const settings = JSON.parse(await readFile(join(other, ".claude", "settings.json"), "utf-8"))
+    assert.equal(settings.enabledPlugins["lint@acme"], false)
+  } finally {
+    await rm(other, { recursive: true, force: true })
+  }
+})
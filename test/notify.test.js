@@ -0,0 +1,56 @@
+import assert from "node:assert/strict"
+import { existsSync } from "node:fs"
+import { mkdir, writeFile } from "node:fs/promises"
+import { join } from "node:path"
+import { afterEach, test } from "node:test"
+import {
+  checkForUpdates,
+  formatUpdateNotice,
+  getUpdateCheckPath,
+  getUpdateCheckSettings,
+  runScheduledUpdateCheck,
+} from "../lib/notify.js"
+import { createFixture, withEnv } from "./fixture.js"
+
+let fx = null
+afterEach(async () => {
+  await fx?.cleanup()
+  fx = null
+})
+
+test("update check settings come from the bridge config, overridden by the environment", async () => {
+  fx = await createFixture({ bridgeConfig: { updateCheck: { intervalHours: 6, staleMarketplaceDays: 3, notice: "session" } } })
+
+  assert.deepEqual(getUpdateCheckSettings(), { intervalHours: 6, staleMarketplaceDays: 3, notice: "session" })
+  await withEnv({ CLAUDE_BRIDGE_UPDATE_CHECK_HOURS: "0", CLAUDE_BRIDGE_UPDATE_NOTICE: "toast" }, async () => {
+    assert.deepEqual(getUpdateCheckSettings(), { intervalHours: 0, staleMarketplaceDays: 3, notice: "toast" })
+  })
+})
+
+test("the update check records its run in the bridge state dir, not the plugins dir", async () => {
+  fx = await createFixture({ installed: { "lint@acme": [{ version: "1.0.0" }] } })
+  const report = await runScheduledUpdateCheck()
+
+  assert.deepEqual(report.outdated.map((entry) => entry.key), ["lint@acme"])
+  assert.ok(getUpdateCheckPath().startsWith(join(fx.root, "state")))
+  assert.ok(existsSync(getUpdateCheckPath()))
+  assert.equal(existsSync(join(fx.pluginsRoot, "update-check.json")), false)
+  assert.equal(await runScheduledUpdateCheck(), null)
+})
+
+test("the update check counts the same updates as plugin_outdated", async () => {
+  fx = await createFixture({
+    installed: {
+      "lint@acme": [{ version: "1.2.0", gitCommitSha: "aaaaaaa" }],
+      "react-test@acme": [{ version: "1.0.0" }],
+    },
+  })
+  const gitDir = join(fx.pluginsRoot, "marketplaces", "acme", ".git")
+  await mkdir(gitDir, { recursive: true })
+  await writeFile(join(gitDir, "HEAD"), "bbbbbbb\n")
+  const report = await checkForUpdates()
+  const outdated = await fx.run("plugin_outdated")
+
+  assert.equal(report.outdated.length, outdated.updatesAvailable)
+  assert.match(formatUpdateNotice(report), /lint@acme 1\.2\.0 \(newer commit\)/)
+})
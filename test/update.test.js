@@ -0,0 +1,116 @@
+import assert from "node:assert/strict"
+import { mkdir, mkdtemp, readFile, rm, writeFile } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+import { afterEach, test } from "node:test"
+import { createFixture, withEnv } from "./fixture.js"
+
+let fx = null
+afterEach(async () => {
+  await fx?.cleanup()
+  fx = null
+})
+
+test("plugin_update verifies every installation against its own row", async () => {
+  fx = await createFixture({ installed: { "lint@acme": [{ version: "1.0.0" }, { version: "1.0.0", scope: "project", project: true }] } })
+  const result = await fx.run("plugin_update", { plugin: "lint@acme" })
+
+  assert.equal(result.ok, true)
+  assert.deepEqual(result.installations.map((installation) => [installation.scope, installation.status, installation.to]), [
+    ["user", "updated", "1.2.0"],
+    ["project", "updated", "1.2.0"],
+  ])
+  assert.ok(result.snapshot?.id)
+  assert.deepEqual((await fx.readInstalled())["lint@acme"].map((row) => row.version), ["1.2.0", "1.2.0"])
+})
+
+test("plugin_update reports an installation already at the catalog version as latest", async () => {
+  fx = await createFixture({ installed: { "lint@acme": [{ version: "1.2.0" }] } })
+  const result = await fx.run("plugin_update", { plugin: "lint@acme" })
+
+  assert.equal(result.ok, true)
+  assert.equal(result.installations[0].status, "latest")
+})
+
+test("plugin_update warns when the CLI reports success but nothing changed", async () => {
+  fx = await createFixture({ installed: { "lint@acme": [{ version: "1.0.0" }] } })
+  const result = await withEnv({ FAKE_CLAUDE_NOOP: "update" }, () => fx.run("plugin_update", { plugin: "lint@acme" }))
+
+  assert.equal(result.ok, false)
+  assert.equal(result.installations[0].status, "unverified")
+  assert.ok(result.verification.warning)
+})
+
+test("plugin_update dry_run runs nothing and can include the changes", async () => {
+  fx = await createFixture({ installed: { "lint@acme": [{ version: "1.0.0" }] } })
+  const result = await fx.run("plugin_update", { plugin: "lint@acme", dry_run: true, changes: true })
+
+  assert.equal(result.kind, "plan")
+  assert.equal((await fx.readInstalled())["lint@acme"][0].version, "1.0.0")
+  const [report] = result.changes
+  assert.equal(report.to, "1.2.0")
+  assert.deepEqual(report.changes.map((change) => [change.type, change.name, change.status]), [["skill", "fix-lint", "added"]])
+  assert.deepEqual(report.changelog.entries.map((entry) => entry.version), ["1.2.0", "1.1.0"])
+})
+
+test("snapshots and rollback leave an installPath outside the plugin cache alone", async () => {
+  const outside = await mkdtemp(join(tmpdir(), "bridge-test-outside-"))
+  try {
+    await writeFile(join(outside, "keep.txt"), "mine\n")
+    fx = await createFixture({ installed: { "lint@acme": [{ version: "1.0.0", installPath: outside }] } })
+    const update = await fx.run("plugin_update", { plugin: "lint@acme" })
+
+    assert.equal(update.ok, true)
+    assert.match(update.snapshot.warnings[0], /did not copy .* outside the plugin cache/)
+
+    const rollback = await fx.run("plugin_rollback", { plugin: "lint@acme" })
+    assert.equal(rollback.ok, true)
+    assert.match(rollback.cli.stdout, /left .* in place because it is outside the plugin cache/)
+    assert.equal((await fx.readInstalled())["lint@acme"][0].installPath, outside)
+    assert.equal(await readFile(join(outside, "keep.txt"), "utf-8"), "mine\n")
+  } finally {
+    await rm(outside, { recursive: true, force: true })
+  }
+})
+
+test("update_all updates every installed plugin", async () => {
+  fx = await createFixture({
+    installed: {
+      "lint@acme": [{ version: "1.0.0" }],
+      "react-test@acme": [{ version: "1.0.0" }],
+    },
+  })
+  const result = await fx.run("update_all", { concurrency: 2 })
+
+  assert.equal(result.ok, true)
+  const installed = await fx.readInstalled()
+  assert.equal(installed["lint@acme"][0].version, "1.2.0")
+  assert.equal(installed["react-test@acme"][0].version, "2.0.0")
+})
+
+test("update_all reports a timed-out update as cancelled", async () => {
+  fx = await createFixture({ installed: { "lint@acme": [{ version: "1.0.0" }] } })
+  const result = await withEnv({ FAKE_CLAUDE_HANG: "update" }, () => fx.run("update_all", { plugin_timeout_seconds: 1, retries: 0 }))
+
+  assert.equal(result.ok, false)
+  assert.equal(result.plugins[0].status, "cancelled")
+  assert.equal(result.plugins[0].reason, "timed out after 1s")
+  assert.equal(result.stopped, null)
+})
+
+test("plugin_outdated counts a newer commit at the same version as an update", async () => {
+  fx = await createFixture({
+    installed: {
+      "lint@acme": [{ version: "1.2.0", gitCommitSha: "aaaaaaa" }],
+      "react-test@acme": [{ version: "1.0.0" }],
+    },
+  })
+  const gitDir = join(fx.pluginsRoot, "marketplaces", "acme", ".git")
+  await mkdir(gitDir, { recursive: true })
+  await writeFile(join(gitDir, "HEAD"), "bbbbbbb\n")
+  const result = await fx.run("plugin_outdated")
+
+  assert.deepEqual(result.rows.map((row) => row.key), ["lint@acme", "react-test@acme"])
+  assert.equal(result.updatesAvailable, 2)
+  assert.equal(result.commitOnlyUpdates, 1)
+})